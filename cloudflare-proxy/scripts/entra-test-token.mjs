@@ -0,0 +1,111 @@
+/**
+ * Offline Entra ID test mode: generate a local signing key and mint test tokens.
+ *
+ *   node scripts/entra-test-token.mjs init
+ *     Creates .entra-test-key.json (private, git-ignored) and prints the
+ *     ENTRA_TEST_JWKS value to put in .dev.vars. The Worker only honours it with
+ *     the dummy ENTRA_TENANT_ID printed alongside.
+ *
+ *   node scripts/entra-test-token.mjs sign --upn jan@example.com [--oid <guid>] [--minutes 60]
+ *     Prints a signed access token for the tenant/audience in .dev.vars.
+ */
+
+import { readFile, writeFile } from 'node:fs/promises';
+import { randomUUID, webcrypto } from 'node:crypto';
+
+const { subtle } = webcrypto;
+const KEY_FILE = new URL('../.entra-test-key.json', import.meta.url);
+const DEV_VARS_FILE = new URL('../.dev.vars', import.meta.url);
+
+const [command, ...rest] = process.argv.slice(2);
+const args = parseArgs(rest);
+
+if (command === 'init') {
+  await init();
+} else if (command === 'sign') {
+  await sign();
+} else {
+  console.error('Usage: entra-test-token.mjs init | sign --upn <upn> [--oid <guid>] [--minutes <n>]');
+  process.exit(1);
+}
+
+async function init() {
+  const keyPair = await subtle.generateKey(
+    { name: 'RSASSA-PKCS1-v1_5', modulusLength: 2048, publicExponent: new Uint8Array([1, 0, 1]), hash: 'SHA-256' },
+    true,
+    ['sign', 'verify']
+  );
+  const kid = `local-${randomUUID().slice(0, 8)}`;
+  const privateJwk = { ...(await subtle.exportKey('jwk', keyPair.privateKey)), kid };
+  const publicJwk = await subtle.exportKey('jwk', keyPair.publicKey);
+
+  await writeFile(KEY_FILE, JSON.stringify(privateJwk, null, 2));
+
+  const jwks = { keys: [{ kty: 'RSA', use: 'sig', alg: 'RS256', kid, n: publicJwk.n, e: publicJwk.e }] };
+  console.log('Wrote .entra-test-key.json. Add these lines to .dev.vars:\n');
+  console.log('ENTRA_TENANT_ID=00000000-0000-0000-0000-000000000000');
+  console.log('ENTRA_AUDIENCE=api://bloxs-proxy-local');
+  console.log(`ENTRA_TEST_JWKS=${JSON.stringify(jwks)}`);
+}
+
+async function sign() {
+  const privateJwk = JSON.parse(await readFile(KEY_FILE, 'utf8'));
+  const devVars = await readDevVars();
+  const tenantId = args.tenant || devVars.ENTRA_TENANT_ID;
+  const audience = args.aud || (devVars.ENTRA_AUDIENCE || '').split(',')[0];
+  if (!tenantId || !audience) {
+    throw new Error('Set ENTRA_TENANT_ID and ENTRA_AUDIENCE in .dev.vars (or pass --tenant/--aud)');
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  const minutes = Number.parseInt(args.minutes ?? '60', 10);
+  const payload = {
+    iss: `https://login.microsoftonline.com/${tenantId}/v2.0`,
+    aud: audience,
+    tid: tenantId,
+    oid: args.oid || randomUUID(),
+    upn: args.upn || 'test.user@example.com',
+    preferred_username: args.upn || 'test.user@example.com',
+    name: args.name || 'Test User',
+    scp: 'access_as_user',
+    iat: now,
+    nbf: now,
+    exp: now + minutes * 60
+  };
+
+  const key = await subtle.importKey('jwk', privateJwk, { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-256' }, false, ['sign']);
+  const header = { alg: 'RS256', typ: 'JWT', kid: privateJwk.kid };
+  const signingInput = `${base64Url(JSON.stringify(header))}.${base64Url(JSON.stringify(payload))}`;
+  const signature = await subtle.sign('RSASSA-PKCS1-v1_5', key, new TextEncoder().encode(signingInput));
+  console.log(`${signingInput}.${base64Url(new Uint8Array(signature))}`);
+}
+
+async function readDevVars() {
+  try {
+    const text = await readFile(DEV_VARS_FILE, 'utf8');
+    return Object.fromEntries(
+      text.split('\n')
+        .map((line) => line.match(/^\s*([A-Z0-9_]+)\s*=\s*(.*)\s*$/))
+        .filter(Boolean)
+        .map((m) => [m[1], m[2].replace(/^"(.*)"$/, '$1')])
+    );
+  } catch {
+    return {};
+  }
+}
+
+function parseArgs(list) {
+  const parsed = {};
+  for (let i = 0; i < list.length; i++) {
+    if (list[i].startsWith('--')) {
+      parsed[list[i].slice(2)] = list[i + 1];
+      i++;
+    }
+  }
+  return parsed;
+}
+
+function base64Url(value) {
+  const buffer = typeof value === 'string' ? Buffer.from(value, 'utf8') : Buffer.from(value);
+  return buffer.toString('base64url');
+}
@@ -0,0 +1,351 @@
+/**
+ * Scheduled alerts posted to a Teams incoming webhook.
+ *
+ * The Cron Trigger (scheduled handler) checks the rules in the ALERTS_KV namespace and
+ * posts each new match as an Adaptive Card, built from the templates in appPackage/cards:
+ *
+ *   alerts:rules:v1 = { "webhookUrl"?: "...", "rules": [{ "id", "type", ...thresholds }] }
+ *
+ * Rule types: contract-expiry (days), maintenance-overdue (days), debtor-arrears
+ * (minAmount, minAge) and ticket-age (days). Every delivered match is remembered under
+ * alert:sent:v1:<rule>:<record>:<version>, so it is sent once; a record only alerts again
+ * when its version changes (e.g. a new EndDate) or after the rule's repeatAfterDays.
+ */
+
+import { CARD_TEMPLATES, expandCard } from './cards.js';
+
+export const ALERT_RULES_KEY = 'alerts:rules:v1';
+
+const SENT_PREFIX = 'alert:sent:v1:';
+const SENT_TTL_DAYS = 400;
+const MAX_ALERTS_PER_RULE = 50;
+const CARDS_PER_MESSAGE = 10;
+const READ_BATCH = 50;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const RULE_TYPES = {
+  'contract-expiry': {
+    card: 'contract',
+    defaults: { days: 90 },
+    numbers: { days: { min: 1, max: 730 } },
+    title: (rule) => `Contracten die binnen ${rule.days} dagen aflopen`,
+    async load(read, rule, today) {
+      const until = new Date(today.getTime() + (rule.days + 1) * DAY_MS);
+      return read('SalesContracts', {
+        filter: joinClauses([
+          ownerClause(rule),
+          'IsEnded eq false',
+          `EndDate ge ${today.toISOString()}`,
+          `EndDate lt ${until.toISOString()}`
+        ]),
+        select: ['SalesContractId', 'Reference', 'RelationName', 'OwnerId', 'OwnerName', 'StartDate', 'EndDate', 'IsEnded'],
+        orderby: 'EndDate'
+      });
+    },
+    // A contract that is extended gets a new EndDate, and so a new alert.
+    identify: (row) => ({ id: row.SalesContractId, version: dateVersion(row.EndDate) })
+  },
+  'maintenance-overdue': {
+    card: 'installation',
+    defaults: { days: 0 },
+    numbers: { days: { min: 0, max: 365 } },
+    owned: false,
+    title: (rule) => (rule.days > 0
+      ? `Installaties met onderhoud meer dan ${rule.days} dagen over datum`
+      : 'Installaties met achterstallig onderhoud'),
+    async load(read, rule, today) {
+      const before = new Date(today.getTime() - rule.days * DAY_MS);
+      return read('Installations', {
+        filter: `NextMaintenanceOn lt ${before.toISOString()} and ArchiveDate eq null`,
+        select: [
+          'InstallationId', 'Reference', 'Description', 'BuildYear', 'RealEstateObjectId',
+          'LastMaintainedOn', 'NextMaintenanceOn', 'ExpectedCosts', 'ArchiveDate'
+        ],
+        orderby: 'NextMaintenanceOn'
+      });
+    },
+    identify: (row) => ({ id: row.InstallationId, version: dateVersion(row.NextMaintenanceOn) })
+  },
+  'debtor-arrears': {
+    card: 'debtor',
+    defaults: { minAmount: 1000, minAge: 0, repeatAfterDays: 30 },
+    numbers: { minAmount: { min: 0.01, max: 100000000 }, minAge: { min: 0, max: 3650 } },
+    title: (rule) => `Debiteuren met meer dan € ${formatAmount(rule.minAmount)} openstaand`,
+    async load(read, rule) {
+      const debtors = await read('OpenPositionDebtors', {
+        filter: joinClauses([ownerClause(rule), 'OutstandingAmount gt 0']),
+        select: [
+          'SalesInvoiceId', 'InvoiceReference', 'RelationId', 'RelationName', 'OwnerId', 'OwnerName',
+          'OutstandingAmount', 'Age', 'DueDate'
+        ]
+      });
+      if (debtors.error) return debtors;
+      const rows = groupDebtors(debtors.rows)
+        .filter((debtor) => debtor.OutstandingAmount >= rule.minAmount && debtor.Age >= rule.minAge);
+      return { ...debtors, rows };
+    },
+    identify: (row) => ({ id: `${row.OwnerId ?? 'none'}-${row.RelationId ?? 'none'}`, version: null })
+  },
+  'ticket-age': {
+    card: 'ticket',
+    defaults: { days: 14 },
+    numbers: { days: { min: 1, max: 3650 } },
+    title: (rule) => `Meldingen die langer dan ${rule.days} dagen openstaan`,
+    async load(read, rule, today) {
+      const before = new Date(today.getTime() - rule.days * DAY_MS);
+      return read('ServiceTickets', {
+        filter: joinClauses([ownerClause(rule), 'ClosingDate eq null', `ReportingDate lt ${before.toISOString()}`]),
+        select: [
+          'ServiceTicketId', 'Reference', 'RealEstateObjectName', 'ServiceTicketStateName', 'TenantName',
+          'SupplierName', 'ReportingDate', 'ClosingDate', 'OwnerId'
+        ],
+        orderby: 'ReportingDate'
+      });
+    },
+    identify: (row) => ({ id: row.ServiceTicketId, version: null })
+  }
+};
+
+/**
+ * Whether a KV namespace for alert rules and delivery state is bound
+ */
+export function isAlertStoreEnabled(env) {
+  return Boolean(env?.ALERTS_KV && typeof env.ALERTS_KV.get === 'function');
+}
+
+/**
+ * Read and validate the rule document from KV
+ *
+ * Invalid rules are reported in `invalid` and left out, so one typo does not stop the
+ * other alerts. Returns { webhookUrl, rules, invalid } or { error }.
+ */
+export async function loadAlertRules(env) {
+  let document;
+  try {
+    document = await env.ALERTS_KV.get(ALERT_RULES_KEY, { type: 'json' });
+  } catch (error) {
+    return { error: `${ALERT_RULES_KEY} is not valid JSON: ${error.message}` };
+  }
+  if (!document) return { webhookUrl: null, rules: [], invalid: [] };
+  if (!Array.isArray(document.rules)) return { error: `${ALERT_RULES_KEY} must have a "rules" array` };
+
+  const rules = [];
+  const invalid = [];
+  const seen = new Set();
+  for (const raw of document.rules) {
+    const { rule, error } = normalizeRule(raw);
+    if (error) {
+      invalid.push({ id: raw?.id ?? null, error });
+    } else if (seen.has(rule.id)) {
+      invalid.push({ id: rule.id, error: `Duplicate rule id '${rule.id}'` });
+    } else {
+      seen.add(rule.id);
+      if (rule.enabled) rules.push(rule);
+    }
+  }
+  return { webhookUrl: document.webhookUrl || null, rules, invalid };
+}
+
+/**
+ * Apply defaults and check one rule. Returns { rule } or { error }.
+ */
+export function normalizeRule(raw) {
+  if (!raw || typeof raw !== 'object') return { error: 'A rule must be an object' };
+  if (typeof raw.id !== 'string' || !/^[\w-]{1,64}$/.test(raw.id)) {
+    return { error: 'A rule needs an id of letters, digits, - or _ (at most 64)' };
+  }
+  const type = RULE_TYPES[raw.type];
+  if (!type) {
+    return { error: `Rule '${raw.id}' has unknown type '${raw.type}'. Available: ${Object.keys(RULE_TYPES).join(', ')}` };
+  }
+
+  const rule = {
+    id: raw.id,
+    type: raw.type,
+    enabled: raw.enabled !== false,
+    ownerId: null,
+    webhookUrl: raw.webhookUrl || null,
+    repeatAfterDays: null,
+    maxAlerts: MAX_ALERTS_PER_RULE,
+    ...type.defaults
+  };
+  const numbers = {
+    ...type.numbers,
+    repeatAfterDays: { min: 1, max: SENT_TTL_DAYS },
+    maxAlerts: { min: 1, max: 500 }
+  };
+  for (const [name, { min, max }] of Object.entries(numbers)) {
+    if (raw[name] == null) continue;
+    const value = Number(raw[name]);
+    if (!Number.isFinite(value) || value < min || value > max) {
+      return { error: `Rule '${raw.id}': ${name} must be a number between ${min} and ${max}, got '${raw[name]}'` };
+    }
+    rule[name] = value;
+  }
+
+  if (raw.ownerId != null) {
+    if (type.owned === false) return { error: `Rule '${raw.id}': ${raw.type} cannot be limited to an owner` };
+    if (!Number.isInteger(raw.ownerId)) return { error: `Rule '${raw.id}': ownerId must be a whole number` };
+    rule.ownerId = raw.ownerId;
+  }
+  if (rule.webhookUrl && !/^https:\/\//.test(rule.webhookUrl)) {
+    return { error: `Rule '${raw.id}': webhookUrl must be an https URL` };
+  }
+  return { rule };
+}
+
+/**
+ * Check every rule and post the new matches (scheduled handler)
+ *
+ * Returns { rules: [{ id, matched, sent, alreadySent, deferred, error? }], invalid } or { error }.
+ */
+export async function runAlerts(env, readEntity, { now = new Date(), fetcher = fetch } = {}) {
+  if (!isAlertStoreEnabled(env)) {
+    return { error: 'ALERTS_KV is not bound; alerts are disabled' };
+  }
+  const config = await loadAlertRules(env);
+  if (config.error) return { error: config.error };
+
+  const today = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+  const results = [];
+  for (const rule of config.rules) {
+    const webhookUrl = rule.webhookUrl || config.webhookUrl || env.TEAMS_WEBHOOK_URL;
+    try {
+      results.push(await runRule(env, rule, { readEntity, today, webhookUrl, fetcher }));
+    } catch (error) {
+      results.push({ id: rule.id, error: error.message });
+    }
+  }
+  return { rules: results, invalid: config.invalid };
+}
+
+async function runRule(env, rule, { readEntity, today, webhookUrl, fetcher }) {
+  const type = RULE_TYPES[rule.type];
+  const summary = { id: rule.id, matched: 0, sent: 0, alreadySent: 0, deferred: 0 };
+  if (!webhookUrl) return { ...summary, error: 'No webhook configured (TEAMS_WEBHOOK_URL or webhookUrl)' };
+
+  const found = await type.load(readEntity, rule, today);
+  if (found.error) return { ...summary, error: found.error };
+  summary.matched = found.rows.length;
+  if (!found.complete) summary.warning = 'Matches were read from partial data (paging budget)';
+
+  // Skip what was delivered before; the rest waits for the next run once maxAlerts is reached.
+  const matches = found.rows.map((row) => ({ row, key: sentKey(rule, type.identify(row)) }));
+  const fresh = [];
+  for (let i = 0; i < matches.length; i += READ_BATCH) {
+    const batch = matches.slice(i, i + READ_BATCH);
+    const sent = await Promise.all(batch.map(({ key }) => env.ALERTS_KV.get(key)));
+    batch.forEach((match, index) => (sent[index] ? summary.alreadySent++ : fresh.push(match)));
+  }
+  const pending = fresh.slice(0, rule.maxAlerts);
+  summary.deferred = fresh.length - pending.length;
+
+  const ttl = (rule.repeatAfterDays || SENT_TTL_DAYS) * 24 * 60 * 60;
+  for (let i = 0; i < pending.length; i += CARDS_PER_MESSAGE) {
+    const batch = pending.slice(i, i + CARDS_PER_MESSAGE);
+    const message = buildAlertMessage(type.title(rule), batch.map(({ row }) => row), CARD_TEMPLATES[type.card], {
+      total: pending.length,
+      part: i / CARDS_PER_MESSAGE + 1,
+      parts: Math.ceil(pending.length / CARDS_PER_MESSAGE)
+    });
+    const response = await fetcher(webhookUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(message)
+    });
+    if (!response.ok) {
+      // Undelivered matches are not marked, so the next run tries them again.
+      summary.deferred += pending.length - i;
+      return { ...summary, error: `Webhook returned ${response.status}` };
+    }
+    const sentAt = new Date().toISOString();
+    await Promise.all(batch.map(({ key }) => env.ALERTS_KV.put(key, sentAt, { expirationTtl: ttl })));
+    summary.sent += batch.length;
+  }
+  return summary;
+}
+
+/**
+ * One Teams message: a heading and one expanded card template per match
+ */
+export function buildAlertMessage(title, rows, template, { total = rows.length, part = 1, parts = 1 } = {}) {
+  const heading = parts > 1 ? `${title} (${part}/${parts})` : title;
+  const body = [
+    { type: 'TextBlock', text: heading, weight: 'Bolder', size: 'Large', wrap: true },
+    { type: 'TextBlock', text: `${total} nieuwe ${total === 1 ? 'melding' : 'meldingen'}`, isSubtle: true, spacing: 'None' }
+  ];
+  for (const row of rows) {
+    body.push({ type: 'Container', separator: true, spacing: 'Medium', items: expandCard(template, row).body });
+  }
+  return {
+    type: 'message',
+    attachments: [{
+      contentType: 'application/vnd.microsoft.card.adaptive',
+      contentUrl: null,
+      content: {
+        $schema: template.$schema,
+        type: 'AdaptiveCard',
+        version: template.version,
+        msteams: { width: 'Full' },
+        body
+      }
+    }]
+  };
+}
+
+// Open positions per owner and debtor, in the fields the debtor card shows
+function groupDebtors(positions) {
+  const byDebtor = new Map();
+  for (const position of positions) {
+    const outstanding = Number(position.OutstandingAmount);
+    if (!(outstanding > 0)) continue;
+    const key = `${position.OwnerId ?? ''}:${position.RelationId ?? ''}`;
+    if (!byDebtor.has(key)) {
+      byDebtor.set(key, {
+        OwnerId: position.OwnerId ?? null,
+        OwnerName: position.OwnerName ?? null,
+        RelationId: position.RelationId ?? null,
+        RelationName: position.RelationName ?? null,
+        OutstandingAmount: 0,
+        Age: 0,
+        DueDate: null,
+        invoices: []
+      });
+    }
+    const debtor = byDebtor.get(key);
+    debtor.OutstandingAmount += outstanding;
+    debtor.invoices.push(position.InvoiceReference || position.SalesInvoiceId);
+    // Age and due date of the oldest open invoice
+    if ((Number(position.Age) || 0) >= debtor.Age) {
+      debtor.Age = Number(position.Age) || 0;
+      debtor.DueDate = position.DueDate ?? debtor.DueDate;
+    }
+  }
+  return Array.from(byDebtor.values())
+    .map(({ invoices, ...debtor }) => ({
+      ...debtor,
+      OutstandingAmount: Math.round(debtor.OutstandingAmount * 100) / 100,
+      Reference: invoices.length === 1 ? invoices[0] : `${invoices.length} openstaande facturen`
+    }))
+    .sort((a, b) => b.OutstandingAmount - a.OutstandingAmount);
+}
+
+function sentKey(rule, { id, version }) {
+  return `${SENT_PREFIX}${rule.id}:${id}${version ? `:${version}` : ''}`;
+}
+
+function dateVersion(value) {
+  return value ? String(value).slice(0, 10) : null;
+}
+
+function ownerClause(rule) {
+  return rule.ownerId != null ? `OwnerId eq ${rule.ownerId}` : null;
+}
+
+function joinClauses(clauses) {
+  return clauses.filter(Boolean).join(' and ');
+}
+
+function formatAmount(value) {
+  return Number(value).toLocaleString('nl-NL', { maximumFractionDigits: 2 });
+}
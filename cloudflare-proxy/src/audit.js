@@ -0,0 +1,256 @@
+/**
+ * Audit trail of who read or changed which data through the proxy.
+ *
+ * Every authenticated request and every ServiceTickets write is recorded in the AUDIT_KV
+ * namespace:
+ *
+ *   audit:v1:<ISO timestamp>:<id> = { id, at, caller, action, entity, ... }
+ *
+ * Keys sort by time, so one day is one prefix list. Each key carries a small metadata
+ * object (caller, entity, action, status), so the query endpoint can filter without
+ * reading every entry. Entries expire after AUDIT_RETENTION_DAYS (default 365). Without
+ * the binding reads are not recorded and writes are refused, so no change goes unrecorded.
+ *
+ * GET /odatafeed/$audit?from=&to=&caller=&entity=&action=&limit=&cursor= (audit:read scope)
+ */
+
+export const AUDIT_PATH = '/odatafeed/$audit';
+export const AUDIT_SCOPE = 'audit:read';
+
+const KEY_PREFIX = 'audit:v1:';
+const DEFAULT_RETENTION_DAYS = 365;
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+const MAX_RANGE_DAYS = 31;
+const MAX_QUERY_LENGTH = 2000;
+const READ_BATCH = 50;
+// Query parameters that are credentials (calendar feed tokens); their values are never stored
+const CREDENTIAL_PARAMETERS = ['feed'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Whether a KV namespace for the audit trail is bound
+ */
+export function isAuditStoreEnabled(env) {
+  return Boolean(env?.AUDIT_KV && typeof env.AUDIT_KV.put === 'function');
+}
+
+/**
+ * Who made the request, without secrets (never the key itself)
+ */
+export function describeCaller(client) {
+  const caller = { name: client.name, kind: client.kind };
+  if (client.identity?.upn) caller.upn = client.identity.upn;
+  if (client.identity?.oid) caller.oid = client.identity.oid;
+  return caller;
+}
+
+/**
+ * Store one audit entry. Returns the stored entry (with id and timestamp).
+ */
+export async function writeAuditEntry(env, entry, now = new Date()) {
+  const stored = { id: crypto.randomUUID(), at: now.toISOString(), ...entry };
+  await env.AUDIT_KV.put(`${KEY_PREFIX}${stored.at}:${stored.id}`, JSON.stringify(stored), {
+    expirationTtl: getRetentionDays(env) * 24 * 60 * 60,
+    metadata: {
+      caller: stored.caller?.name ?? null,
+      entity: stored.entity ?? null,
+      action: stored.action ?? null,
+      status: stored.status ?? null
+    }
+  });
+  return stored;
+}
+
+function getRetentionDays(env) {
+  const days = Number.parseInt(env?.AUDIT_RETENTION_DAYS ?? '', 10);
+  return Number.isFinite(days) && days > 0 ? days : DEFAULT_RETENTION_DAYS;
+}
+
+/**
+ * Audit entry for one proxied request, from what the handler noted along the way
+ *
+ * `trail` holds caller, entity, query ({ original, rewritten }), upstreamStatus, rows,
+ * rowsWithheld, fieldsMasked and cache, as far as the request got. Credential
+ * parameters in the queries are redacted.
+ */
+export function buildRequestEntry(trail, { method, path, status, latencyMs }) {
+  const entry = {
+    caller: trail.caller,
+    action: 'read',
+    method,
+    path,
+    entity: trail.entity ?? null,
+    query: {
+      original: truncate(redactCredentials(trail.query?.original ?? '')),
+      rewritten: trail.query?.rewritten != null ? truncate(redactCredentials(trail.query.rewritten)) : null
+    },
+    status,
+    upstreamStatus: trail.upstreamStatus ?? null,
+    rows: trail.rows ?? null,
+    rowsWithheld: trail.rowsWithheld ?? 0,
+    fieldsMasked: trail.fieldsMasked ?? [],
+    latencyMs
+  };
+  if (trail.cache) entry.cache = trail.cache;
+  return entry;
+}
+
+/**
+ * Rows in a stored OData response body (for cache hits); null when it is not one
+ */
+export function countRows(body) {
+  try {
+    const parsed = JSON.parse(body);
+    if (Array.isArray(parsed?.value)) return parsed.value.length;
+    return parsed && typeof parsed === 'object' ? 1 : null;
+  } catch {
+    return null;
+  }
+}
+
+function redactCredentials(search) {
+  const names = CREDENTIAL_PARAMETERS.join('|');
+  return search.replace(new RegExp(`([?&](?:${names})=)[^&]*`, 'gi'), '$1[redacted]');
+}
+
+function truncate(value) {
+  return value.length > MAX_QUERY_LENGTH ? `${value.slice(0, MAX_QUERY_LENGTH)}…` : value;
+}
+
+/**
+ * Parse from/to (YYYY-MM-DD, at most 31 days; default today), caller, entity, action,
+ * limit and cursor. Returns { params } or { error }.
+ */
+export function parseAuditQuery(searchParams, now = new Date()) {
+  const today = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+  const params = { from: null, to: today, caller: null, entity: null, action: null, limit: DEFAULT_LIMIT, cursor: null };
+
+  for (const name of ['from', 'to']) {
+    const value = searchParams.get(name);
+    if (!value) continue;
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || Number.isNaN(Date.parse(`${value}T00:00:00Z`))) {
+      return { error: `${name} must be a date (YYYY-MM-DD), got '${value}'` };
+    }
+    params[name] = new Date(`${value}T00:00:00Z`);
+  }
+  params.from = params.from || params.to;
+  if (params.from > params.to) {
+    return { error: 'from must not be after to' };
+  }
+  if ((params.to - params.from) / DAY_MS + 1 > MAX_RANGE_DAYS) {
+    return { error: `The range can span at most ${MAX_RANGE_DAYS} days` };
+  }
+
+  for (const name of ['caller', 'entity', 'action']) {
+    const value = searchParams.get(name);
+    if (value) params[name] = value.toLowerCase();
+  }
+
+  const limit = searchParams.get('limit');
+  if (limit != null && limit !== '') {
+    const value = Number(limit);
+    if (!Number.isInteger(value) || value < 1 || value > MAX_LIMIT) {
+      return { error: `limit must be a whole number between 1 and ${MAX_LIMIT}, got '${limit}'` };
+    }
+    params.limit = value;
+  }
+
+  const cursor = searchParams.get('cursor');
+  if (cursor) {
+    const decoded = decodeCursor(cursor);
+    if (!decoded) return { error: 'cursor is not valid; use the nextCursor of a previous response' };
+    params.cursor = decoded;
+  }
+  return { params };
+}
+
+/**
+ * Entries in time order that match the filters, one page at a time
+ *
+ * Returns { result: { parameters, count, entries, nextCursor } } or { error, status }.
+ */
+export async function queryAuditLog(env, params) {
+  if (!isAuditStoreEnabled(env)) {
+    return { error: 'AUDIT_KV is not bound; the audit trail is disabled', status: 501 };
+  }
+
+  const days = [];
+  for (let time = params.from.getTime(); time <= params.to.getTime(); time += DAY_MS) {
+    days.push(new Date(time).toISOString().slice(0, 10));
+  }
+
+  let dayIndex = params.cursor ? days.indexOf(params.cursor.day) : 0;
+  if (dayIndex === -1) {
+    return { error: 'cursor does not belong to this date range', status: 400 };
+  }
+
+  // A KV list cannot start at a key, so a cursor is the listing page plus the matches
+  // on it that were already returned.
+  let listCursor = params.cursor?.list || undefined;
+  let skip = params.cursor?.skip || 0;
+  const keys = [];
+  let nextCursor = null;
+  while (dayIndex < days.length && !nextCursor) {
+    const listed = await env.AUDIT_KV.list({ prefix: `${KEY_PREFIX}${days[dayIndex]}`, cursor: listCursor, limit: MAX_LIMIT });
+    const matched = listed.keys.filter((key) => matchesFilters(key.metadata, params)).map((key) => key.name).slice(skip);
+    const room = params.limit - keys.length;
+    keys.push(...matched.slice(0, room));
+    if (matched.length > room) {
+      nextCursor = encodeCursor({ day: days[dayIndex], list: listCursor ?? null, skip: skip + room });
+      break;
+    }
+    skip = 0;
+    if (listed.list_complete) {
+      dayIndex++;
+      listCursor = undefined;
+    } else {
+      listCursor = listed.cursor;
+    }
+    if (keys.length === params.limit && dayIndex < days.length) {
+      nextCursor = encodeCursor({ day: days[dayIndex], list: listCursor ?? null, skip: 0 });
+    }
+  }
+
+  const entries = [];
+  for (let i = 0; i < keys.length; i += READ_BATCH) {
+    const batch = await Promise.all(keys.slice(i, i + READ_BATCH).map((name) => env.AUDIT_KV.get(name, { type: 'json' })));
+    entries.push(...batch.filter(Boolean));
+  }
+
+  return {
+    result: {
+      parameters: {
+        from: days[0],
+        to: days[days.length - 1],
+        caller: params.caller,
+        entity: params.entity,
+        action: params.action,
+        limit: params.limit
+      },
+      count: entries.length,
+      entries,
+      nextCursor
+    }
+  };
+}
+
+function matchesFilters(metadata, params) {
+  const value = (name) => String(metadata?.[name] ?? '').toLowerCase();
+  return (!params.caller || value('caller') === params.caller)
+    && (!params.entity || value('entity') === params.entity)
+    && (!params.action || value('action') === params.action);
+}
+
+function encodeCursor(cursor) {
+  return btoa(JSON.stringify(cursor)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function decodeCursor(value) {
+  try {
+    const cursor = JSON.parse(atob(value.replace(/-/g, '+').replace(/_/g, '/')));
+    return cursor && typeof cursor.day === 'string' ? cursor : null;
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,273 @@
+/**
+ * API client registry and bearer authentication (API keys or Entra ID tokens).
+ *
+ * Each consumer (Copilot agent, Power BI refresh, internal scripts) gets its own
+ * named key with its own scopes, so one can be revoked without touching the others.
+ *
+ * Registry sources, merged in this order:
+ * - AUTH_KV binding, key `auth:clients:v1` (JSON)
+ * - API_CLIENTS secret (JSON)
+ * - PROXY_API_KEY (legacy single key, every entity set, client name "default"; of the
+ *   scopes only cache:purge, so write and audit access is granted in the registry)
+ *
+ * Client entry:
+ * {
+ *   "name": "powerbi",
+ *   "keySha256": "<hex sha-256 of the key>",   // or "key": "<plain key>"
+ *   "entities": ["Units", "CommercialOverview"], // or ["*"]
+ *   "ownerIds": [515],                          // optional owner restriction (see policy.js)
+ *   "scopes": ["cache:purge"],                  // optional extra permissions
+ *   "expiresAt": "2026-12-31T23:59:59Z",        // optional
+ *   "disabled": false
+ * }
+ *
+ * When Entra ID is configured (see entra.js), a bearer value shaped like a JWT is
+ * validated as an Entra access token instead. AUTH_MODE selects what is accepted:
+ * "keys", "entra" or "both" (default: "both" when Entra is configured, else "keys").
+ * Entra app roles (e.g. "Cache.Purge") become scopes ("cache:purge").
+ */
+
+import { isEntraEnabled, looksLikeJwt, validateEntraToken } from './entra.js';
+
+const AUTH_KV_KEY = 'auth:clients:v1';
+const REGISTRY_CACHE_MS = 60 * 1000;
+
+// Registry cache (in-memory, per worker instance)
+let cachedRegistry = null;
+let registryExpiry = 0;
+
+/**
+ * Authenticate a request's bearer value (Entra access token or registered API key)
+ *
+ * Returns { client } on success or { error, status } on failure.
+ */
+export async function authenticateRequest(request, env) {
+  const authHeader = request.headers.get('Authorization');
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return { error: 'Missing or invalid Authorization header', status: 401 };
+  }
+
+  const providedKey = authHeader.slice('Bearer '.length).trim();
+  if (!providedKey) {
+    return { error: 'Missing or invalid Authorization header', status: 401 };
+  }
+
+  const mode = getAuthMode(env);
+  if (mode !== 'keys' && looksLikeJwt(providedKey)) {
+    const result = await validateEntraToken(providedKey, env);
+    if (result.error) {
+      return { error: result.error, status: 401 };
+    }
+    return { client: buildUserClient(result.identity) };
+  }
+  if (mode === 'entra') {
+    return { error: 'An Entra ID access token is required', status: 401 };
+  }
+
+  const registry = await loadClientRegistry(env);
+  const providedHash = await sha256Bytes(providedKey);
+
+  // Compare against every entry (no early exit) so timing does not reveal which key matched.
+  let match = null;
+  for (const client of registry) {
+    if (constantTimeEqual(providedHash, client.keyHash) && !match) {
+      match = client;
+    }
+  }
+
+  if (!match || match.disabled) {
+    return { error: 'Invalid API key', status: 401 };
+  }
+  if (match.expiresAtMs && match.expiresAtMs <= Date.now()) {
+    return { error: `API key for '${match.name}' has expired`, status: 401 };
+  }
+
+  return { client: match };
+}
+
+/**
+ * Look up a client by the name and kind recorded earlier (e.g. in a signed calendar feed token)
+ *
+ * API key clients come from the registry, so disabled, expired or removed keys fail.
+ * Entra users are rebuilt from their upn/oid, without app roles.
+ * Returns { client } or { error, status }.
+ */
+export async function resolveClient(env, { kind, name, upn, oid, exp } = {}) {
+  if (kind === 'user') {
+    if (!isEntraEnabled(env) || getAuthMode(env) === 'keys' || (!upn && !oid)) {
+      return { error: 'Entra ID sign-in is not enabled for this proxy', status: 401 };
+    }
+    return {
+      client: buildUserClient({ upn, oid, roles: [], expiresAt: new Date((exp || 0) * 1000).toISOString() })
+    };
+  }
+
+  if (getAuthMode(env) === 'entra') {
+    return { error: 'An Entra ID access token is required', status: 401 };
+  }
+  const client = (await loadClientRegistry(env)).find((entry) => entry.name === name);
+  if (!client || client.disabled) {
+    return { error: `API client '${name}' is not registered or disabled`, status: 401 };
+  }
+  if (client.expiresAtMs && client.expiresAtMs <= Date.now()) {
+    return { error: `API key for '${client.name}' has expired`, status: 401 };
+  }
+  return { client };
+}
+
+function getAuthMode(env) {
+  if (!isEntraEnabled(env)) return 'keys';
+  const mode = String(env?.AUTH_MODE ?? 'both').toLowerCase();
+  return mode === 'keys' || mode === 'entra' ? mode : 'both';
+}
+
+// Entra users get the same client shape as API keys; per-user scoping is done by policy.
+function buildUserClient(identity) {
+  return {
+    name: identity.upn || identity.oid,
+    kind: 'user',
+    identity,
+    keyHash: null,
+    entities: new Set(['*']),
+    scopes: new Set(identity.roles.map(normalizeScope)),
+    ownerIds: null,
+    expiresAtMs: Date.parse(identity.expiresAt),
+    disabled: false
+  };
+}
+
+async function loadClientRegistry(env) {
+  const now = Date.now();
+  if (cachedRegistry && registryExpiry > now) {
+    return cachedRegistry;
+  }
+
+  const entries = [];
+
+  if (env?.AUTH_KV && typeof env.AUTH_KV.get === 'function') {
+    try {
+      const stored = await env.AUTH_KV.get(AUTH_KV_KEY, { type: 'json' });
+      entries.push(...normalizeRegistryEntries(stored));
+    } catch {
+      // A broken KV document must not lock out the other key sources.
+    }
+  }
+
+  if (env?.API_CLIENTS) {
+    try {
+      entries.push(...normalizeRegistryEntries(JSON.parse(env.API_CLIENTS)));
+    } catch {
+      console.log('Ignoring API_CLIENTS: not valid JSON');
+    }
+  }
+
+  if (env?.PROXY_API_KEY) {
+    entries.push({ name: 'default', key: env.PROXY_API_KEY, entities: ['*'], scopes: ['cache:purge'] });
+  }
+
+  const registry = [];
+  const seenNames = new Set();
+  for (const entry of entries) {
+    if (seenNames.has(entry.name)) continue;
+    const client = await compileClient(entry);
+    if (client) {
+      seenNames.add(client.name);
+      registry.push(client);
+    }
+  }
+
+  cachedRegistry = registry;
+  registryExpiry = now + REGISTRY_CACHE_MS;
+  return registry;
+}
+
+// Accept either an array of entries or an object keyed by client name.
+function normalizeRegistryEntries(value) {
+  if (!value) return [];
+  const list = Array.isArray(value)
+    ? value
+    : Array.isArray(value.clients)
+      ? value.clients
+      : Object.entries(value).map(([name, entry]) => ({ name, ...entry }));
+  return list.filter((entry) => entry && typeof entry === 'object' && entry.name);
+}
+
+async function compileClient(entry) {
+  let keyHash = null;
+  if (typeof entry.keySha256 === 'string' && /^[0-9a-fA-F]{64}$/.test(entry.keySha256)) {
+    keyHash = hexToBytes(entry.keySha256);
+  } else if (typeof entry.key === 'string' && entry.key.length > 0) {
+    keyHash = await sha256Bytes(entry.key);
+  }
+  if (!keyHash) return null;
+
+  const expiresAtMs = entry.expiresAt ? Date.parse(entry.expiresAt) : null;
+  const entities = Array.isArray(entry.entities) && entry.entities.length > 0 ? entry.entities : ['*'];
+  const ownerIds = Array.isArray(entry.ownerIds) && entry.ownerIds.length > 0
+    ? entry.ownerIds.map(Number).filter(Number.isFinite)
+    : null;
+
+  return {
+    name: String(entry.name),
+    kind: 'key',
+    identity: null,
+    keyHash,
+    entities: new Set(entities.map((e) => String(e).toLowerCase())),
+    scopes: new Set((Array.isArray(entry.scopes) ? entry.scopes : []).map(normalizeScope)),
+    ownerIds: ownerIds && ownerIds.length > 0 ? new Set(ownerIds) : null,
+    expiresAtMs: Number.isFinite(expiresAtMs) ? expiresAtMs : null,
+    disabled: entry.disabled === true
+  };
+}
+
+/**
+ * Whether a client may query an entity set
+ *
+ * Owner-restricted clients may only use '*' for entity sets that carry an owner
+ * column; anything else has to be listed explicitly.
+ */
+export function isEntityAllowed(client, entityName, { ownerRestricted = false, hasOwnerColumn = false } = {}) {
+  if (!client || !entityName) return false;
+  // Units(5) is checked as Units
+  const key = String(entityName).split('(')[0].toLowerCase();
+  if (client.entities.has(key)) return true;
+  if (!client.entities.has('*')) return false;
+  return !ownerRestricted || hasOwnerColumn;
+}
+
+/**
+ * Whether a client holds a permission scope such as 'cache:purge'
+ */
+export function hasScope(client, scope) {
+  if (!client?.scopes) return false;
+  return client.scopes.has('*') || client.scopes.has(normalizeScope(scope));
+}
+
+function normalizeScope(scope) {
+  return String(scope).trim().toLowerCase().replace(/\./g, ':');
+}
+
+async function sha256Bytes(value) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(value));
+  return new Uint8Array(digest);
+}
+
+function hexToBytes(hex) {
+  const bytes = new Uint8Array(hex.length / 2);
+  for (let i = 0; i < bytes.length; i++) {
+    bytes[i] = Number.parseInt(hex.slice(i * 2, i * 2 + 2), 16);
+  }
+  return bytes;
+}
+
+/**
+ * Constant-time comparison of two byte arrays
+ */
+export function constantTimeEqual(a, b) {
+  if (!a || !b || a.length !== b.length) return false;
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) {
+    diff |= a[i] ^ b[i];
+  }
+  return diff === 0;
+}
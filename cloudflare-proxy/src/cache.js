@@ -0,0 +1,223 @@
+/**
+ * Response cache for read-only OData queries.
+ *
+ * Entries are keyed on the normalized path and query plus a fingerprint of the
+ * caller's effective policy (row rules and field masks), so clients with different
+ * policies never share an entry. What is stored is the final response, after
+ * policy, masking and nextLink rewriting.
+ *
+ * Storage: the CACHE_KV binding when configured (shared across locations, needed on
+ * workers.dev where the Cache API is a no-op), otherwise the Cache API (per location).
+ *
+ * TTLs are per entity set (seconds, 0 = never cached), overridable with the
+ * CACHE_TTLS var: {"*": 300, "ServiceTickets": 30}.
+ *
+ * Purging bumps a generation number (all entries, or one entity set) that is part
+ * of every key; with CACHE_KV the generations are shared, otherwise per worker instance.
+ */
+
+const CACHE_KEY_ORIGIN = 'https://cache.bloxs-proxy.internal';
+const GENERATIONS_KV_KEY = 'cache:generations:v1';
+const GENERATIONS_CACHE_MS = 30 * 1000;
+
+// KV rejects expirationTtl below 60 seconds; shorter TTLs are enforced on read.
+const KV_MIN_TTL_SECONDS = 60;
+
+const DEFAULT_TTL_SECONDS = 300;
+
+// Lowercased entity set -> TTL in seconds
+const ENTITY_TTL_SECONDS = {
+  // Reference data that rarely changes
+  ledgeraccounts: 86400,
+  taxrates: 86400,
+  salespaymentterms: 86400,
+  purchasepaymentterms: 86400,
+  indexationmethods: 86400,
+  indexationseries: 86400,
+  serviceticketstates: 86400,
+  serviceticketproblemcategories: 86400,
+  serviceticketcostcategories: 86400,
+  installationtypes: 86400,
+  workregistrationcodes: 86400,
+  // Portfolio data
+  owners: 3600,
+  units: 900,
+  realestateobjects: 900,
+  commercialoverview: 900,
+  commercialoverviewspecific: 900,
+  // Operational data
+  servicetickets: 30,
+  tasks: 30,
+  notes: 60,
+  openpositiondebtors: 120,
+  openpositioncreditors: 120,
+  paymentremindersrelation: 120
+};
+
+// Generation cache (in-memory, per worker instance)
+let cachedGenerations = null;
+let generationsExpiry = 0;
+
+/**
+ * Cache TTL in seconds for an entity set (0 = do not cache)
+ */
+export function getCacheTtl(env, entityName) {
+  if (!entityName || entityName.startsWith('$')) return 0;
+  const key = String(entityName).split('(')[0].toLowerCase();
+
+  const overrides = parseTtlOverrides(env?.CACHE_TTLS);
+  if (key in overrides) return overrides[key];
+  if (key in ENTITY_TTL_SECONDS) return ENTITY_TTL_SECONDS[key];
+  return '*' in overrides ? overrides['*'] : DEFAULT_TTL_SECONDS;
+}
+
+function parseTtlOverrides(value) {
+  if (!value) return {};
+  try {
+    const parsed = typeof value === 'string' ? JSON.parse(value) : value;
+    const overrides = {};
+    for (const [name, ttl] of Object.entries(parsed || {})) {
+      const seconds = Number.parseInt(ttl, 10);
+      if (Number.isFinite(seconds) && seconds >= 0) overrides[name === '*' ? '*' : name.toLowerCase()] = seconds;
+    }
+    return overrides;
+  } catch {
+    console.log('Ignoring CACHE_TTLS: not valid JSON');
+    return {};
+  }
+}
+
+/**
+ * Short stable fingerprint of everything in a policy that changes response content
+ */
+export async function getPolicyFingerprint(policy) {
+  const canonical = JSON.stringify({
+    denyOwnerIds: Array.from(policy.denyOwnerIds).sort(),
+    denyOwnerNames: Array.from(policy.denyOwnerNames).sort(),
+    allowLists: policy.allowLists.map((allow) => ({
+      ownerIds: Array.from(allow.ownerIds).sort(),
+      ownerNames: Array.from(allow.ownerNames).sort()
+    })),
+    fields: policy.fields,
+    entityFields: policy.entityFields,
+    masking: policy.masking
+  });
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(canonical));
+  return Array.from(new Uint8Array(digest).slice(0, 12), (b) => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Build the cache key for a request; query parameters are sorted so order does not matter
+ */
+export async function buildCacheKey(env, { origin, pathname, search, entityName, fingerprint }) {
+  const generation = await getGeneration(env, entityName);
+  const params = new URLSearchParams(search);
+  const sorted = Array.from(params.entries()).sort(([a, av], [b, bv]) => (a === b ? av.localeCompare(bv) : a.localeCompare(b)));
+  const query = new URLSearchParams(sorted).toString();
+  const host = new URL(origin).host;
+  return `${CACHE_KEY_ORIGIN}/${host}/${fingerprint}/${generation}${pathname}${query ? '?' + query : ''}`;
+}
+
+/**
+ * Read a cached response: { body, headers, storedAt, ttl } or null
+ */
+export async function readCachedResponse(env, key) {
+  try {
+    let entry = null;
+    if (env?.CACHE_KV && typeof env.CACHE_KV.get === 'function') {
+      entry = await env.CACHE_KV.get(await kvKeyFor(key), { type: 'json' });
+    } else if (typeof caches !== 'undefined') {
+      const cached = await caches.default.match(key);
+      if (cached) {
+        entry = {
+          body: await cached.text(),
+          headers: JSON.parse(cached.headers.get('X-Proxy-Headers') || '{}'),
+          storedAt: Number(cached.headers.get('X-Proxy-Stored-At')),
+          ttl: Number(cached.headers.get('X-Proxy-Ttl'))
+        };
+      }
+    }
+    if (!entry || !Number.isFinite(entry.storedAt)) return null;
+    if (Date.now() - entry.storedAt >= entry.ttl * 1000) return null;
+    return entry;
+  } catch (error) {
+    console.log(`Cache read failed: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Store a response body and its proxy headers for ttl seconds
+ */
+export async function writeCachedResponse(env, key, { body, headers }, ttl) {
+  const storedAt = Date.now();
+  try {
+    if (env?.CACHE_KV && typeof env.CACHE_KV.put === 'function') {
+      await env.CACHE_KV.put(await kvKeyFor(key), JSON.stringify({ body, headers, storedAt, ttl }), {
+        expirationTtl: Math.max(ttl, KV_MIN_TTL_SECONDS)
+      });
+    } else if (typeof caches !== 'undefined') {
+      await caches.default.put(key, new Response(body, {
+        headers: {
+          'Content-Type': 'application/json',
+          'Cache-Control': `max-age=${ttl}`,
+          'X-Proxy-Headers': JSON.stringify(headers),
+          'X-Proxy-Stored-At': String(storedAt),
+          'X-Proxy-Ttl': String(ttl)
+        }
+      }));
+    }
+  } catch (error) {
+    console.log(`Cache write failed: ${error.message}`);
+  }
+}
+
+// KV keys are limited to 512 bytes; long queries are hashed.
+async function kvKeyFor(key) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(key));
+  return `cache:v1:${Array.from(new Uint8Array(digest), (b) => b.toString(16).padStart(2, '0')).join('')}`;
+}
+
+async function loadGenerations(env, force) {
+  const now = Date.now();
+  if (!force && cachedGenerations && generationsExpiry > now) {
+    return cachedGenerations;
+  }
+
+  let generations = cachedGenerations || {};
+  if (env?.CACHE_KV && typeof env.CACHE_KV.get === 'function') {
+    try {
+      generations = (await env.CACHE_KV.get(GENERATIONS_KV_KEY, { type: 'json' })) || {};
+    } catch {
+      // Keep the previous generations if KV is unavailable.
+    }
+  }
+
+  cachedGenerations = generations;
+  generationsExpiry = now + GENERATIONS_CACHE_MS;
+  return generations;
+}
+
+async function getGeneration(env, entityName) {
+  const generations = await loadGenerations(env, false);
+  const entity = String(entityName || '').split('(')[0].toLowerCase();
+  return `g${generations['*'] || 0}.${generations[entity] || 0}`;
+}
+
+/**
+ * Invalidate cached responses for one entity set, or all of them
+ *
+ * Returns the new generations document.
+ */
+export async function purgeCache(env, entityName) {
+  const generations = { ...(await loadGenerations(env, true)) };
+  const key = entityName ? String(entityName).toLowerCase() : '*';
+  generations[key] = (generations[key] || 0) + 1;
+
+  if (env?.CACHE_KV && typeof env.CACHE_KV.put === 'function') {
+    await env.CACHE_KV.put(GENERATIONS_KV_KEY, JSON.stringify(generations));
+  }
+  cachedGenerations = generations;
+  generationsExpiry = Date.now() + GENERATIONS_CACHE_MS;
+  return generations;
+}
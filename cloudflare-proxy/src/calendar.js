@@ -0,0 +1,379 @@
+/**
+ * Lease-event calendar: contract expiries, notice deadlines and break options.
+ *
+ * GET /odatafeed/$calendar?ownerId=515&months=12    - events as JSON (plus a subscribe URL)
+ * GET /odatafeed/$calendar.ics?ownerId=515          - the same events as iCalendar
+ * GET /odatafeed/$calendar.ics?feed=<token>         - subscribable feed, no Authorization header
+ *
+ * Events come from the active SalesContracts and CommercialRentSalesContracts, read
+ * through the request's entity reader so the caller's policy applies:
+ * - expiry - EndDate
+ * - notice - NoticeDate, or EndDate minus NoticePeriod (months) when Bloxs has none
+ * - break  - CommercialRentSalesContracts.BreakOption
+ *
+ * Calendar clients such as Outlook cannot send an Authorization header, so the JSON
+ * response carries a feed URL with a token signed with CALENDAR_FEED_SECRET. The token
+ * names the client and fixes the parameters; the client is looked up again on every
+ * refresh, so disabling an API key also stops its feeds. Entra users cannot be looked
+ * up, so their feeds expire sooner (CALENDAR_USER_FEED_DAYS). Any feed can be revoked
+ * in AUTH_KV, key `calendar:revoked:v1`: {"jan@example.com": "2025-06-01T00:00:00Z"}
+ * rejects the feeds of that upn, oid or API client issued before that moment.
+ */
+
+import { constantTimeEqual, resolveClient } from './auth.js';
+
+export const CALENDAR_PATH = '/odatafeed/$calendar';
+export const CALENDAR_ICS_PATH = '/odatafeed/$calendar.ics';
+
+const DEFAULT_MONTHS = 12;
+const MAX_MONTHS = 60;
+const DEFAULT_FEED_DAYS = 365;
+const DEFAULT_USER_FEED_DAYS = 30;
+const REVOKED_FEEDS_KV_KEY = 'calendar:revoked:v1';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const EVENT_LABELS = {
+  expiry: 'Lease expiry',
+  notice: 'Notice deadline',
+  break: 'Break option'
+};
+
+/**
+ * Parse ownerId/asOf/months for the calendar
+ *
+ * Returns { params } or { error }.
+ */
+export function parseCalendarParameters(searchParams, now = new Date()) {
+  const params = { ownerId: null, asOf: startOfUtcDay(now), months: DEFAULT_MONTHS };
+
+  const ownerId = searchParams.get('ownerId');
+  if (ownerId != null && ownerId !== '') {
+    if (!/^\d+$/.test(ownerId)) return { error: `ownerId must be a whole number, got '${ownerId}'` };
+    params.ownerId = Number(ownerId);
+  }
+
+  const asOf = searchParams.get('asOf');
+  if (asOf) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(asOf) || Number.isNaN(Date.parse(`${asOf}T00:00:00Z`))) {
+      return { error: `asOf must be a date (YYYY-MM-DD), got '${asOf}'` };
+    }
+    params.asOf = new Date(`${asOf}T00:00:00Z`);
+  }
+
+  const months = searchParams.get('months');
+  if (months != null && months !== '') {
+    if (!/^\d+$/.test(months) || Number(months) < 1 || Number(months) > MAX_MONTHS) {
+      return { error: `months must be a whole number between 1 and ${MAX_MONTHS}, got '${months}'` };
+    }
+    params.months = Number(months);
+  }
+
+  return { params };
+}
+
+/**
+ * Load the contracts and build the events in [asOf, asOf + months)
+ *
+ * Returns { result } or { error, status }.
+ */
+export async function buildLeaseCalendar(params, readEntity) {
+  const filter = [params.ownerId != null ? `OwnerId eq ${params.ownerId}` : null, 'IsEnded eq false']
+    .filter(Boolean).join(' and ');
+  const fields = ['SalesContractId', 'Reference', 'OwnerId', 'OwnerName', 'RelationId', 'RelationName', 'EndDate', 'NoticePeriod', 'NoticeDate', 'AutomaticExtends'];
+
+  const [contracts, commercial] = await Promise.all([
+    readEntity('SalesContracts', { filter, select: fields }),
+    readEntity('CommercialRentSalesContracts', { filter, select: ['CommercialRentSalesContractId', 'BreakOption', ...fields] })
+  ]);
+  for (const source of [contracts, commercial]) {
+    if (source.error) return { error: source.error, status: source.status };
+  }
+
+  const to = new Date(Date.UTC(params.asOf.getUTCFullYear(), params.asOf.getUTCMonth() + params.months, params.asOf.getUTCDate()));
+  const events = computeLeaseEvents(contracts.rows, commercial.rows, params.asOf, to);
+
+  const result = {
+    parameters: {
+      ownerId: params.ownerId,
+      asOf: params.asOf.toISOString().slice(0, 10),
+      months: params.months,
+      until: to.toISOString().slice(0, 10)
+    },
+    totals: Object.fromEntries(Object.keys(EVENT_LABELS).map((type) => [type, events.filter((e) => e.type === type).length])),
+    events,
+    sources: [contracts, commercial].map((source) => ({
+      entity: source.entity,
+      rows: source.rows.length,
+      rowsWithheld: source.withheld,
+      complete: source.complete
+    }))
+  };
+  if (result.sources.some((source) => !source.complete)) {
+    result.warning = 'Not all contracts could be fetched within the paging budget; the calendar is incomplete.';
+  }
+  return { result };
+}
+
+/**
+ * Expiry, notice and break events between from (inclusive) and to (exclusive), by date
+ *
+ * Commercial rent contracts are matched to their SalesContracts row on SalesContractId;
+ * the commercial row adds the break option.
+ */
+export function computeLeaseEvents(contracts, commercial, from, to) {
+  const byId = new Map();
+  for (const c of contracts) byId.set(c.SalesContractId, { ...c });
+  for (const c of commercial) byId.set(c.SalesContractId, { ...byId.get(c.SalesContractId), ...c });
+
+  const events = [];
+  const add = (type, date, contract, details) => {
+    if (!date) return;
+    const time = Date.parse(`${date}T00:00:00Z`);
+    if (!(time >= from.getTime() && time < to.getTime())) return;
+    events.push({
+      type,
+      date,
+      title: `${EVENT_LABELS[type]}: ${contract.Reference || contract.SalesContractId} (${contract.RelationName || 'unknown tenant'})`,
+      SalesContractId: contract.SalesContractId,
+      Reference: contract.Reference ?? null,
+      RelationId: contract.RelationId ?? null,
+      RelationName: contract.RelationName ?? null,
+      OwnerId: contract.OwnerId ?? null,
+      OwnerName: contract.OwnerName ?? null,
+      ...details
+    });
+  };
+
+  for (const contract of byId.values()) {
+    const endDate = toDateString(contract.EndDate);
+    add('expiry', endDate, contract, { endDate, automaticExtends: contract.AutomaticExtends === true });
+
+    const noticePeriod = contract.NoticePeriod != null && Number.isFinite(Number(contract.NoticePeriod))
+      ? Number(contract.NoticePeriod)
+      : null;
+    const noticeDate = toDateString(contract.NoticeDate) ||
+      (endDate && noticePeriod != null ? addMonths(endDate, -noticePeriod) : null);
+    add('notice', noticeDate, contract, { endDate, noticePeriodMonths: noticePeriod });
+
+    add('break', toDateString(contract.BreakOption), contract, { endDate });
+  }
+
+  return events.sort((a, b) => a.date.localeCompare(b.date) || a.SalesContractId - b.SalesContractId || a.type.localeCompare(b.type));
+}
+
+/**
+ * Render events as an iCalendar (RFC 5545) document of all-day events
+ *
+ * UIDs are stable per contract and event type, so a refreshed feed updates events in place.
+ */
+export function renderICalendar(events, { name, host, now = new Date() }) {
+  const stamp = now.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Bloxs OData Proxy//Lease calendar//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    'REFRESH-INTERVAL;VALUE=DURATION:PT12H',
+    'X-PUBLISHED-TTL:PT12H'
+  ];
+
+  for (const event of events) {
+    const start = event.date.replace(/-/g, '');
+    const end = new Date(Date.parse(`${event.date}T00:00:00Z`) + DAY_MS).toISOString().slice(0, 10).replace(/-/g, '');
+    const description = [
+      `Contract: ${event.Reference ?? event.SalesContractId}`,
+      event.RelationName ? `Tenant: ${event.RelationName}` : null,
+      event.OwnerName ? `Owner: ${event.OwnerName}` : null,
+      event.endDate ? `End date: ${event.endDate}` : null,
+      event.noticePeriodMonths != null ? `Notice period: ${event.noticePeriodMonths} months` : null,
+      event.automaticExtends ? 'Extends automatically' : null
+    ].filter(Boolean).join('\n');
+
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${event.type}-${event.SalesContractId}@${host}`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART;VALUE=DATE:${start}`,
+      `DTEND;VALUE=DATE:${end}`,
+      `SUMMARY:${escapeText(event.title)}`,
+      `DESCRIPTION:${escapeText(description)}`,
+      `CATEGORIES:${escapeText(EVENT_LABELS[event.type])}`,
+      'TRANSP:TRANSPARENT',
+      'END:VEVENT'
+    );
+  }
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * Signed feed token for a client and fixed parameters, or null without CALENDAR_FEED_SECRET
+ */
+export async function createFeedToken(env, client, params, now = Date.now()) {
+  if (!env?.CALENDAR_FEED_SECRET) return null;
+  const days = getFeedDays(env, client.kind);
+  const payload = {
+    kind: client.kind,
+    name: client.name,
+    ...(client.kind === 'user' ? { upn: client.identity?.upn || null, oid: client.identity?.oid || null } : {}),
+    ownerId: params.ownerId,
+    months: params.months,
+    iat: Math.floor(now / 1000),
+    exp: Math.floor(now / 1000) + days * 24 * 60 * 60
+  };
+  const body = bytesToBase64Url(new TextEncoder().encode(JSON.stringify(payload)));
+  return `${body}.${bytesToBase64Url(await sign(env.CALENDAR_FEED_SECRET, body))}`;
+}
+
+/**
+ * Authenticate a feed request by its token instead of the Authorization header
+ *
+ * Returns { client, params } or { error, status }.
+ */
+export async function authenticateFeedToken(token, env, now = new Date()) {
+  if (!env?.CALENDAR_FEED_SECRET) {
+    return { error: 'Calendar feeds are not enabled (CALENDAR_FEED_SECRET is not set)', status: 401 };
+  }
+
+  const [body, signature, extra] = String(token).split('.');
+  if (!body || !signature || extra !== undefined) {
+    return { error: 'Invalid calendar feed token', status: 401 };
+  }
+  let payload;
+  try {
+    const expected = await sign(env.CALENDAR_FEED_SECRET, body);
+    if (!constantTimeEqual(expected, base64UrlToBytes(signature))) {
+      return { error: 'Invalid calendar feed token', status: 401 };
+    }
+    payload = JSON.parse(new TextDecoder().decode(base64UrlToBytes(body)));
+  } catch {
+    return { error: 'Invalid calendar feed token', status: 401 };
+  }
+  if (!payload || typeof payload.exp !== 'number' || payload.exp * 1000 <= now.getTime()) {
+    return { error: 'Calendar feed token has expired; fetch a new subscribe URL from /odatafeed/$calendar', status: 401 };
+  }
+
+  if (await isFeedRevoked(env, payload)) {
+    return { error: 'Calendar feed token has been revoked', status: 401 };
+  }
+
+  const { client, error, status } = await resolveClient(env, payload);
+  if (error) return { error, status };
+
+  return {
+    client,
+    params: {
+      ownerId: Number.isInteger(payload.ownerId) ? payload.ownerId : null,
+      asOf: startOfUtcDay(now),
+      months: Number.isInteger(payload.months) && payload.months >= 1 && payload.months <= MAX_MONTHS ? payload.months : DEFAULT_MONTHS
+    }
+  };
+}
+
+/**
+ * Feed validity in days: CALENDAR_FEED_DAYS, or CALENDAR_USER_FEED_DAYS for Entra users
+ */
+function getFeedDays(env, kind) {
+  const [name, fallback] = kind === 'user'
+    ? ['CALENDAR_USER_FEED_DAYS', DEFAULT_USER_FEED_DAYS]
+    : ['CALENDAR_FEED_DAYS', DEFAULT_FEED_DAYS];
+  return Number(env?.[name]) > 0 ? Number(env[name]) : fallback;
+}
+
+// Revoked when AUTH_KV lists the feed's upn, oid or client name with a later moment than its iat
+async function isFeedRevoked(env, payload) {
+  if (!env?.AUTH_KV || typeof env.AUTH_KV.get !== 'function') return false;
+  let revoked;
+  try {
+    revoked = await env.AUTH_KV.get(REVOKED_FEEDS_KV_KEY, { type: 'json' });
+  } catch {
+    return false;
+  }
+  if (!revoked || typeof revoked !== 'object') return false;
+
+  const issuedAt = (Number(payload.iat) || 0) * 1000;
+  const principals = payload.kind === 'user'
+    ? [payload.upn, payload.upn?.toLowerCase(), payload.oid]
+    : [payload.name];
+  return principals.filter(Boolean).some((principal) => {
+    const since = Date.parse(revoked[principal]);
+    return Number.isFinite(since) && issuedAt < since;
+  });
+}
+
+async function sign(secret, value) {
+  const key = await crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(secret),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign']
+  );
+  return new Uint8Array(await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(value)));
+}
+
+function bytesToBase64Url(bytes) {
+  let binary = '';
+  for (const byte of bytes) binary += String.fromCharCode(byte);
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function base64UrlToBytes(value) {
+  const padded = value.replace(/-/g, '+').replace(/_/g, '/') + '='.repeat((4 - (value.length % 4)) % 4);
+  const binary = atob(padded);
+  return Uint8Array.from(binary, (char) => char.charCodeAt(0));
+}
+
+// TEXT values escape backslash, semicolon, comma and newlines (RFC 5545 3.3.11)
+function escapeText(value) {
+  return String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Lines longer than 75 octets continue on the next line after a space (RFC 5545 3.1)
+function foldLine(line) {
+  const bytes = new TextEncoder().encode(line);
+  if (bytes.length <= 75) return line;
+
+  const parts = [];
+  let current = '';
+  let size = 0;
+  for (const char of line) {
+    const length = new TextEncoder().encode(char).length;
+    if (size + length > (parts.length === 0 ? 75 : 74)) {
+      parts.push(current);
+      current = '';
+      size = 0;
+    }
+    current += char;
+    size += length;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+// Date part of an OData DateTimeOffset, in the offset it was written in (Bloxs uses local dates)
+function toDateString(value) {
+  if (!value) return null;
+  const match = /^(\d{4}-\d{2}-\d{2})/.exec(String(value));
+  return match ? match[1] : null;
+}
+
+// Add calendar months to a YYYY-MM-DD date, keeping the day within the target month
+function addMonths(date, months) {
+  const [year, month, day] = date.split('-').map(Number);
+  const target = new Date(Date.UTC(year, month - 1 + months, 1));
+  const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+  target.setUTCDate(Math.min(day, lastDay));
+  return target.toISOString().slice(0, 10);
+}
+
+function startOfUtcDay(date) {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+}
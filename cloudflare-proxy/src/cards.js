@@ -0,0 +1,189 @@
+/**
+ * Adaptive Card templates from appPackage/cards, expanded in the Worker.
+ *
+ * Copilot binds the templates client-side; a Teams incoming webhook does not, so the
+ * proxy expands the ${...} expressions itself before posting a card. Only the part of the
+ * Adaptive Expressions language the templates use is supported: field paths, string and
+ * number literals, + (add or concatenate), comparisons and the functions below.
+ */
+
+import contractCard from '../../appPackage/cards/contract-card.json';
+import debtorCard from '../../appPackage/cards/debtor-card.json';
+import installationCard from '../../appPackage/cards/installation-card.json';
+import ticketCard from '../../appPackage/cards/ticket-card.json';
+
+export const CARD_TEMPLATES = {
+  contract: contractCard,
+  debtor: debtorCard,
+  installation: installationCard,
+  ticket: ticketCard
+};
+
+const FUNCTIONS = {
+  if: (condition, whenTrue, whenFalse) => (isTruthy(condition) ? whenTrue : whenFalse),
+  mul: (a, b) => Number(a) * Number(b),
+  formatNumber: (value, decimals = 0) => Number(value).toLocaleString('nl-NL', {
+    minimumFractionDigits: decimals,
+    maximumFractionDigits: decimals
+  }),
+  formatDateTime
+};
+
+const ISO_DATE = /^(\d{4})-(\d{2})-(\d{2})(?:T(\d{2}):(\d{2})(?::(\d{2}))?)?/;
+const TOKEN_PATTERN = /\s*(?:('(?:[^'\\]|\\.)*')|(\d+(?:\.\d+)?)|(==|!=|>=|<=|[><+(),])|(\$?[A-Za-z_][\w.]*))/y;
+
+/**
+ * Expand a card template against one record
+ *
+ * `$data: "${$root}"` bindings are dropped (the record is the root). Returns a new card.
+ */
+export function expandCard(template, data) {
+  return expandNode(template, data);
+}
+
+function expandNode(node, data) {
+  if (typeof node === 'string') return expandString(node, data);
+  if (Array.isArray(node)) return node.map((item) => expandNode(item, data));
+  if (node && typeof node === 'object') {
+    const expanded = {};
+    for (const [key, value] of Object.entries(node)) {
+      if (key === '$data' && value === '${$root}') continue;
+      expanded[key] = expandNode(value, data);
+    }
+    return expanded;
+  }
+  return node;
+}
+
+// Every bound property in the templates is text (TextBlock.text, Fact.value).
+function expandString(text, data) {
+  if (!text.includes('${')) return text;
+  return text.replace(/\$\{([^}]*)\}/g, (_, expression) => {
+    const value = evaluateExpression(expression, data);
+    return value == null ? '' : String(value);
+  });
+}
+
+/**
+ * Evaluate one template expression (the part between ${ and })
+ */
+export function evaluateExpression(expression, data) {
+  const tokens = tokenize(expression);
+  let position = 0;
+
+  const peek = () => tokens[position];
+  const take = (expected) => {
+    const token = tokens[position++];
+    if (expected && token?.value !== expected) {
+      throw new Error(`Expected '${expected}' in card expression '${expression}'`);
+    }
+    return token;
+  };
+
+  function parseComparison() {
+    const left = parseAdditive();
+    const operator = peek();
+    if (operator?.type === 'operator' && ['==', '!=', '>', '<', '>=', '<='].includes(operator.value)) {
+      take();
+      return compare(operator.value, left, parseAdditive());
+    }
+    return left;
+  }
+
+  function parseAdditive() {
+    let value = parsePrimary();
+    while (peek()?.value === '+') {
+      take();
+      const right = parsePrimary();
+      value = typeof value === 'string' || typeof right === 'string'
+        ? `${value ?? ''}${right ?? ''}`
+        : Number(value) + Number(right);
+    }
+    return value;
+  }
+
+  function parsePrimary() {
+    const token = take();
+    if (!token) throw new Error(`Unexpected end of card expression '${expression}'`);
+    if (token.type === 'string' || token.type === 'number') return token.value;
+    if (token.value === '(') {
+      const value = parseComparison();
+      take(')');
+      return value;
+    }
+    if (token.type !== 'name') throw new Error(`Unexpected '${token.value}' in card expression '${expression}'`);
+
+    if (peek()?.value === '(') {
+      const fn = FUNCTIONS[token.value];
+      if (!fn) throw new Error(`Unsupported function '${token.value}' in card expression`);
+      take('(');
+      const args = [];
+      while (peek()?.value !== ')') {
+        args.push(parseComparison());
+        if (peek()?.value === ',') take();
+        else break;
+      }
+      take(')');
+      return fn(...args);
+    }
+    return resolvePath(data, token.value);
+  }
+
+  const value = parseComparison();
+  if (position < tokens.length) {
+    throw new Error(`Unexpected '${tokens[position].value}' in card expression '${expression}'`);
+  }
+  return value;
+}
+
+function tokenize(expression) {
+  const tokens = [];
+  TOKEN_PATTERN.lastIndex = 0;
+  while (TOKEN_PATTERN.lastIndex < expression.length) {
+    if (!expression.slice(TOKEN_PATTERN.lastIndex).trim()) break;
+    const start = TOKEN_PATTERN.lastIndex;
+    const match = TOKEN_PATTERN.exec(expression);
+    if (!match) throw new Error(`Cannot read card expression '${expression}' at position ${start}`);
+    const [, string, number, operator, name] = match;
+    if (string != null) tokens.push({ type: 'string', value: string.slice(1, -1).replace(/\\(.)/g, '$1') });
+    else if (number != null) tokens.push({ type: 'number', value: Number(number) });
+    else if (operator != null) tokens.push({ type: 'operator', value: operator });
+    else tokens.push({ type: 'name', value: name });
+  }
+  return tokens;
+}
+
+function resolvePath(data, path) {
+  if (path === '$root') return data;
+  let value = data;
+  for (const part of path.replace(/^\$root\./, '').split('.')) {
+    if (value == null) return null;
+    value = value[part];
+  }
+  return value ?? null;
+}
+
+function compare(operator, left, right) {
+  switch (operator) {
+    case '==': return left === right;
+    case '!=': return left !== right;
+    case '>': return left > right;
+    case '<': return left < right;
+    case '>=': return left >= right;
+    default: return left <= right;
+  }
+}
+
+function isTruthy(value) {
+  return value !== null && value !== undefined && value !== false && value !== '' && value !== 0;
+}
+
+// .NET-style date patterns as the templates use them (dd-MM-yyyy, HH:mm), on the date and
+// time as written in the value (Bloxs sends local times with an offset).
+function formatDateTime(value, pattern = 'yyyy-MM-ddTHH:mm:ss') {
+  const match = ISO_DATE.exec(String(value ?? ''));
+  if (!match) return value == null ? '' : String(value);
+  const [, yyyy, MM, dd, HH = '00', mm = '00', ss = '00'] = match;
+  const parts = { yyyy, MM, dd, HH, mm, ss };
+  return pattern.replace(/yyyy|MM|dd|HH|mm|ss/g, (token) => parts[token]);
+}
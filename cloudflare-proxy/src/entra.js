@@ -0,0 +1,250 @@
+/**
+ * Microsoft Entra ID (OAuth2) access token validation.
+ *
+ * Verifies the RS256 signature against the tenant's JWKS (cached per worker
+ * instance), then the issuer, audience, tenant and lifetime claims. The validated
+ * identity (oid/upn) is returned for later policy and logging steps.
+ *
+ * Configuration:
+ * - ENTRA_TENANT_ID  - directory (tenant) id; enables Entra validation
+ * - ENTRA_AUDIENCE   - accepted audience(s), comma-separated (app id URI and/or client id)
+ * - ENTRA_ISSUER     - optional override; defaults to the v1 and v2 issuers for the tenant
+ * - ENTRA_JWKS_URL   - optional override of the tenant's signing keys URL
+ * - ENTRA_TEST_JWKS  - offline test mode: a JWKS JSON document used instead of fetching keys;
+ *                      only honoured with the dummy tenant id OFFLINE_TEST_TENANT_ID
+ */
+
+const JWKS_CACHE_MS = 60 * 60 * 1000;
+
+// Don't hammer the JWKS endpoint when tokens arrive with an unknown kid.
+const JWKS_MIN_REFRESH_MS = 5 * 60 * 1000;
+
+// After a failed fetch, wait this long before trying the JWKS endpoint again.
+const JWKS_RETRY_MS = 30 * 1000;
+
+const CLOCK_SKEW_SECONDS = 60;
+
+// Test keys replace the tenant's signing keys, so they only count when the Worker
+// is clearly not pointed at a real tenant.
+const OFFLINE_TEST_TENANT_ID = '00000000-0000-0000-0000-000000000000';
+
+// JWKS cache (in-memory, per worker instance)
+let cachedJwks = null;
+let jwksExpiry = 0;
+let jwksFetchedAt = 0;
+let jwksSource = null;
+const importedKeys = new Map();
+
+export function isEntraEnabled(env) {
+  return Boolean(env?.ENTRA_TENANT_ID && env?.ENTRA_AUDIENCE);
+}
+
+/**
+ * Whether a bearer value is shaped like a JWT (three base64url parts with a JSON header)
+ */
+export function looksLikeJwt(value) {
+  const parts = String(value || '').split('.');
+  if (parts.length !== 3) return false;
+  try {
+    const header = JSON.parse(base64UrlToString(parts[0]));
+    return Boolean(header && typeof header.alg === 'string');
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Validate an Entra ID access token
+ *
+ * Returns { identity } on success or { error } with a human-readable reason.
+ */
+export async function validateEntraToken(token, env) {
+  const parts = String(token).split('.');
+  if (parts.length !== 3) {
+    return { error: 'Malformed access token' };
+  }
+
+  let header;
+  let payload;
+  try {
+    header = JSON.parse(base64UrlToString(parts[0]));
+    payload = JSON.parse(base64UrlToString(parts[1]));
+  } catch {
+    return { error: 'Malformed access token' };
+  }
+
+  if (header.alg !== 'RS256') {
+    return { error: `Unsupported token algorithm '${header.alg}'` };
+  }
+  if (!header.kid) {
+    return { error: 'Access token has no key id (kid)' };
+  }
+
+  const key = await getSigningKey(header.kid, env);
+  if (!key) {
+    return { error: 'Access token signed with an unknown key' };
+  }
+
+  const signedData = new TextEncoder().encode(`${parts[0]}.${parts[1]}`);
+  const signature = base64UrlToBytes(parts[2]);
+  const valid = await crypto.subtle.verify('RSASSA-PKCS1-v1_5', key, signature, signedData);
+  if (!valid) {
+    return { error: 'Invalid access token signature' };
+  }
+
+  const claimsError = validateClaims(payload, env);
+  if (claimsError) {
+    return { error: claimsError };
+  }
+
+  return {
+    identity: {
+      oid: payload.oid || null,
+      upn: payload.upn || payload.preferred_username || payload.unique_name || null,
+      name: payload.name || null,
+      tenantId: payload.tid || null,
+      appId: payload.azp || payload.appid || null,
+      roles: Array.isArray(payload.roles) ? payload.roles : [],
+      scopes: typeof payload.scp === 'string' ? payload.scp.split(' ').filter(Boolean) : [],
+      expiresAt: new Date(payload.exp * 1000).toISOString()
+    }
+  };
+}
+
+function validateClaims(payload, env) {
+  const now = Math.floor(Date.now() / 1000);
+
+  if (typeof payload.exp !== 'number' || payload.exp + CLOCK_SKEW_SECONDS < now) {
+    return 'Access token has expired';
+  }
+  if (typeof payload.nbf === 'number' && payload.nbf - CLOCK_SKEW_SECONDS > now) {
+    return 'Access token is not valid yet';
+  }
+
+  const issuers = getAllowedIssuers(env);
+  if (!issuers.includes(payload.iss)) {
+    return `Unexpected token issuer '${payload.iss}'`;
+  }
+
+  const audiences = splitList(env.ENTRA_AUDIENCE);
+  const tokenAudiences = Array.isArray(payload.aud) ? payload.aud : [payload.aud];
+  if (!tokenAudiences.some((aud) => audiences.includes(aud))) {
+    return 'Access token was not issued for this API (audience mismatch)';
+  }
+
+  if (payload.tid && payload.tid !== env.ENTRA_TENANT_ID) {
+    return 'Access token belongs to another tenant';
+  }
+
+  if (!payload.oid) {
+    return 'Access token has no user object id (oid)';
+  }
+
+  return null;
+}
+
+function getAllowedIssuers(env) {
+  if (env.ENTRA_ISSUER) return splitList(env.ENTRA_ISSUER);
+  const tenant = env.ENTRA_TENANT_ID;
+  return [
+    `https://login.microsoftonline.com/${tenant}/v2.0`,
+    `https://sts.windows.net/${tenant}/`
+  ];
+}
+
+function splitList(value) {
+  return String(value || '')
+    .split(',')
+    .map((s) => s.trim())
+    .filter(Boolean);
+}
+
+async function getSigningKey(kid, env) {
+  const source = useTestJwks(env) ? 'test' : 'remote';
+  if (jwksSource !== source) {
+    cachedJwks = null;
+    jwksExpiry = 0;
+    jwksFetchedAt = 0;
+    importedKeys.clear();
+    jwksSource = source;
+  }
+
+  let jwks = await loadJwks(env, false);
+  let jwk = jwks?.keys?.find((k) => k.kid === kid);
+
+  // Keys rotate: refetch once when the kid is unknown.
+  if (!jwk && source === 'remote' && Date.now() - jwksFetchedAt > JWKS_MIN_REFRESH_MS) {
+    jwks = await loadJwks(env, true);
+    jwk = jwks?.keys?.find((k) => k.kid === kid);
+  }
+  if (!jwk || jwk.kty !== 'RSA') return null;
+
+  if (!importedKeys.has(kid)) {
+    const key = await crypto.subtle.importKey(
+      'jwk',
+      { kty: jwk.kty, n: jwk.n, e: jwk.e, alg: 'RS256', ext: true },
+      { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-256' },
+      false,
+      ['verify']
+    );
+    importedKeys.set(kid, key);
+  }
+  return importedKeys.get(kid);
+}
+
+function useTestJwks(env) {
+  return Boolean(env.ENTRA_TEST_JWKS) && env.ENTRA_TENANT_ID === OFFLINE_TEST_TENANT_ID;
+}
+
+async function loadJwks(env, force) {
+  const now = Date.now();
+  if (!force && jwksExpiry > now) {
+    return cachedJwks;
+  }
+
+  if (useTestJwks(env)) {
+    console.log('Warning: Entra offline test mode is active; tokens are verified against ENTRA_TEST_JWKS');
+    try {
+      cachedJwks = JSON.parse(env.ENTRA_TEST_JWKS);
+    } catch {
+      cachedJwks = { keys: [] };
+    }
+    jwksExpiry = Number.POSITIVE_INFINITY;
+    return cachedJwks;
+  }
+
+  if (env.ENTRA_TEST_JWKS) {
+    console.log(`Warning: ignoring ENTRA_TEST_JWKS; it is only honoured with ENTRA_TENANT_ID = ${OFFLINE_TEST_TENANT_ID}`);
+  }
+  const jwksUrl = env.ENTRA_JWKS_URL ||
+    `https://login.microsoftonline.com/${env.ENTRA_TENANT_ID}/discovery/v2.0/keys`;
+  jwksFetchedAt = now;
+  try {
+    const response = await fetch(jwksUrl, { headers: { 'Accept': 'application/json' } });
+    if (!response.ok) {
+      throw new Error(`JWKS fetch failed: ${response.status}`);
+    }
+    cachedJwks = await response.json();
+    jwksExpiry = now + JWKS_CACHE_MS;
+    importedKeys.clear();
+  } catch (error) {
+    console.log(`Entra JWKS unavailable: ${error.message}`);
+    // Keep serving previously fetched keys if we have them, and back off before retrying.
+    jwksExpiry = now + JWKS_RETRY_MS;
+  }
+  return cachedJwks;
+}
+
+function base64UrlToBytes(value) {
+  const padded = value.replace(/-/g, '+').replace(/_/g, '/') + '==='.slice((value.length + 3) % 4);
+  const binary = atob(padded);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+function base64UrlToString(value) {
+  return new TextDecoder('utf-8').decode(base64UrlToBytes(value));
+}
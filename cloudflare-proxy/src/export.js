@@ -0,0 +1,341 @@
+/**
+ * File exports of entity queries: $format=csv and $format=xlsx.
+ *
+ * GET /odatafeed/Units?$select=UnitId,DisplayName&$format=xlsx
+ *
+ * $format is a proxy parameter (never sent upstream). An export follows the result
+ * pages like $all=true, and is rendered from the response after the row policy and
+ * field masking, so a file never holds more than the JSON response would.
+ *
+ * Columns follow $select, else the $metadata property order; expanded entities are
+ * flattened to Navigation.Field columns. Values are written the Dutch way:
+ * - CSV:  semicolon separated, UTF-8 with BOM, dates dd-mm-yyyy, decimal comma
+ * - XLSX: real numbers and dates (dd-mm-yyyy), so Excel can sort and sum them
+ */
+
+export const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' }
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NUMERIC_TYPES = new Set(['Edm.Int16', 'Edm.Int32', 'Edm.Int64', 'Edm.Byte', 'Edm.Decimal', 'Edm.Double', 'Edm.Single']);
+const DATE_TYPES = new Set(['Edm.Date', 'Edm.DateTimeOffset']);
+const ISO_DATE = /^(\d{4})-(\d{2})-(\d{2})(?:T(\d{2}):(\d{2})(?::(\d{2}))?)?/;
+
+/**
+ * Read and remove $format=csv|xlsx from a query string; other $format values stay
+ *
+ * Returns { search, format } with format null when no export was asked for.
+ */
+export function extractExportFormat(search) {
+  const params = new URLSearchParams(search);
+  const value = String(params.get('$format') ?? '').trim().toLowerCase();
+  if (!Object.prototype.hasOwnProperty.call(EXPORT_FORMATS, value)) return { search, format: null };
+
+  params.delete('$format');
+  const rest = params.toString();
+  return { search: rest ? '?' + rest : '', format: value };
+}
+
+/**
+ * Render an OData JSON body (collection or single entity) as a CSV or XLSX file
+ *
+ * select is the validated $select (or null); schema the entity set's catalogue entry.
+ * Returns { body, rows, columns }.
+ */
+export function renderExport(format, responseBody, { select, schema, sheetName }) {
+  let parsed = null;
+  try {
+    parsed = JSON.parse(responseBody);
+  } catch {
+    parsed = null;
+  }
+  const records = Array.isArray(parsed?.value) ? parsed.value : parsed && typeof parsed === 'object' ? [parsed] : [];
+  const rows = records.map((record) => flattenRecord(record));
+  const columns = getExportColumns(rows, select, schema);
+  const types = getColumnTypes(columns, rows, schema);
+
+  const body = format === 'xlsx'
+    ? renderXlsx(rows, columns, types, sheetName)
+    : renderCsv(rows, columns, types);
+  return { body, rows: rows.length, columns };
+}
+
+// Nested (expanded) entities become Parent.Field; arrays and OData annotations are left out.
+function flattenRecord(record, prefix = '', out = {}) {
+  for (const [key, value] of Object.entries(record || {})) {
+    if (key.startsWith('@') || key.includes('@odata.')) continue;
+    const name = prefix + key;
+    if (Array.isArray(value)) continue;
+    if (value && typeof value === 'object') {
+      flattenRecord(value, `${name}.`, out);
+    } else {
+      out[name] = value;
+    }
+  }
+  return out;
+}
+
+/**
+ * Column order: $select, else the $metadata properties present in the rows, then any other fields
+ */
+export function getExportColumns(rows, select, schema) {
+  const seen = new Set();
+  for (const row of rows) {
+    for (const key of Object.keys(row)) seen.add(key);
+  }
+
+  const columns = [];
+  const add = (name) => {
+    if (!columns.includes(name)) columns.push(name);
+  };
+  if (select) {
+    for (const field of select.split(',').map((f) => f.trim()).filter(Boolean)) add(field);
+  } else if (schema) {
+    for (const property of schema.properties) {
+      if (seen.has(property.name)) add(property.name);
+    }
+  }
+  for (const key of seen) {
+    // With $select, only expanded fields are added after the selected ones.
+    if (!select || key.includes('.')) add(key);
+  }
+  return columns;
+}
+
+// 'number', 'date' or 'text' per column, from the schema or else from the values
+function getColumnTypes(columns, rows, schema) {
+  const properties = new Map((schema?.properties || []).map((p) => [p.name, p.type]));
+  return columns.map((column) => {
+    const type = properties.get(column);
+    if (type) return NUMERIC_TYPES.has(type) ? 'number' : DATE_TYPES.has(type) ? 'date' : 'text';
+
+    const values = rows.map((row) => row[column]).filter((value) => value != null && value !== '');
+    if (values.length === 0) return 'text';
+    if (values.every((value) => typeof value === 'number')) return 'number';
+    if (values.every((value) => typeof value === 'string' && ISO_DATE.test(value))) return 'date';
+    return 'text';
+  });
+}
+
+/**
+ * Date parts as written in the value (the wall-clock time Bloxs returns, offset ignored)
+ */
+function parseDateParts(value) {
+  const match = ISO_DATE.exec(String(value));
+  if (!match) return null;
+  const [, year, month, day, hour = '00', minute = '00', second = '00'] = match;
+  return { year, month, day, hour, minute, second, hasTime: hour !== '00' || minute !== '00' || second !== '00' };
+}
+
+function formatDutchDate(value) {
+  const parts = parseDateParts(value);
+  if (!parts) return String(value);
+  const date = `${parts.day}-${parts.month}-${parts.year}`;
+  return parts.hasTime ? `${date} ${parts.hour}:${parts.minute}` : date;
+}
+
+function formatDutchNumber(value) {
+  return String(value).replace('.', ',');
+}
+
+/**
+ * CSV for Dutch Excel: ';' separator, decimal comma, dd-mm-yyyy dates, BOM so UTF-8 is recognised
+ */
+export function renderCsv(rows, columns, types) {
+  const format = (value, type) => {
+    if (value == null) return '';
+    if (type === 'number' && typeof value === 'number') return formatDutchNumber(value);
+    if (type === 'date') return formatDutchDate(value);
+    // Keep spreadsheet apps from evaluating text as a formula
+    const text = String(value);
+    return /^[=+\-@\t\r]/.test(text) ? `'${text}` : text;
+  };
+  const quote = (text) => (/[";\r\n]/.test(text) || /^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text);
+
+  const lines = [columns.map(quote).join(';')];
+  for (const row of rows) {
+    lines.push(columns.map((column, i) => quote(format(row[column], types[i]))).join(';'));
+  }
+  return '\uFEFF' + lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Minimal XLSX workbook (one sheet, inline strings, stored zip entries)
+ *
+ * Style 1 is the bold header, 2 a dd-mm-yyyy date and 3 a dd-mm-yyyy hh:mm date-time.
+ */
+export function renderXlsx(rows, columns, types, sheetName = 'Export') {
+  const cells = [];
+  cells.push(`<row r="1">${columns.map((column, i) => inlineStringCell(i, 1, column, 1)).join('')}</row>`);
+  rows.forEach((row, index) => {
+    const r = index + 2;
+    const rowCells = columns.map((column, i) => {
+      const value = row[column];
+      if (value == null || value === '') return '';
+      if (types[i] === 'number' && typeof value === 'number') return `<c r="${cellRef(i, r)}"><v>${value}</v></c>`;
+      if (typeof value === 'boolean') return `<c r="${cellRef(i, r)}" t="b"><v>${value ? 1 : 0}</v></c>`;
+      if (types[i] === 'date') {
+        const parts = parseDateParts(value);
+        if (parts) {
+          const serial = Date.UTC(+parts.year, +parts.month - 1, +parts.day, +parts.hour, +parts.minute, +parts.second) / DAY_MS + 25569;
+          return `<c r="${cellRef(i, r)}" s="${parts.hasTime ? 3 : 2}"><v>${serial}</v></c>`;
+        }
+      }
+      return inlineStringCell(i, r, String(value));
+    });
+    cells.push(`<row r="${r}">${rowCells.join('')}</row>`);
+  });
+
+  const lastCell = cellRef(Math.max(columns.length - 1, 0), rows.length + 1);
+  const sheet = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+    '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>' +
+    `<sheetData>${cells.join('')}</sheetData>` +
+    (columns.length > 0 ? `<autoFilter ref="A1:${lastCell}"/>` : '') +
+    '</worksheet>';
+
+  const name = escapeXml(String(sheetName).replace(/[\\/?*[\]:]/g, ' ').slice(0, 31) || 'Export');
+  return createZip([
+    ['[Content_Types].xml', '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+      '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+      '<Default Extension="xml" ContentType="application/xml"/>' +
+      '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+      '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+      '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+      '</Types>'],
+    ['_rels/.rels', '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+      '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+      '</Relationships>'],
+    ['xl/workbook.xml', '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+      `<sheets><sheet name="${name}" sheetId="1" r:id="rId1"/></sheets>` +
+      '</workbook>'],
+    ['xl/_rels/workbook.xml.rels', '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+      '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+      '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>' +
+      '</Relationships>'],
+    ['xl/styles.xml', '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+      '<numFmts count="2"><numFmt numFmtId="164" formatCode="dd\\-mm\\-yyyy"/><numFmt numFmtId="165" formatCode="dd\\-mm\\-yyyy\\ hh:mm"/></numFmts>' +
+      '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+      '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+      '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+      '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+      '<cellXfs count="4">' +
+      '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+      '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>' +
+      '<xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+      '<xf numFmtId="165" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+      '</cellXfs>' +
+      '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>' +
+      '</styleSheet>'],
+    ['xl/worksheets/sheet1.xml', sheet]
+  ]);
+}
+
+function inlineStringCell(column, row, text, style) {
+  return `<c r="${cellRef(column, row)}" t="inlineStr"${style ? ` s="${style}"` : ''}><is><t xml:space="preserve">${escapeXml(text)}</t></is></c>`;
+}
+
+// Zero-based column index and one-based row to an A1 reference
+function cellRef(column, row) {
+  let name = '';
+  for (let n = column + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return `${name}${row}`;
+}
+
+// Drop characters XML 1.0 does not allow, then escape markup
+function escapeXml(text) {
+  return String(text)
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// 1980-01-01, the earliest ZIP date; entries carry no real modification time
+const DOS_DATE = (1 << 5) | 1;
+
+let crcTable = null;
+
+function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+      crcTable[n] = c >>> 0;
+    }
+  }
+  let crc = 0xFFFFFFFF;
+  for (const byte of bytes) crc = crcTable[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * ZIP archive with uncompressed (stored) entries; files is a list of [path, text]
+ */
+function createZip(files) {
+  const encoder = new TextEncoder();
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  for (const [path, text] of files) {
+    const name = encoder.encode(path);
+    const data = encoder.encode(text);
+    const crc = crc32(data);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034B50, true);
+    local.setUint16(4, 20, true);
+    local.setUint16(6, 0x0800, true); // UTF-8 file names
+    local.setUint16(8, 0, true); // stored
+    local.setUint16(12, DOS_DATE, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, name.length, true);
+    localParts.push(new Uint8Array(local.buffer), name, data);
+
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, 0x02014B50, true);
+    central.setUint16(4, 20, true);
+    central.setUint16(6, 20, true);
+    central.setUint16(8, 0x0800, true);
+    central.setUint16(14, DOS_DATE, true);
+    central.setUint32(16, crc, true);
+    central.setUint32(20, data.length, true);
+    central.setUint32(24, data.length, true);
+    central.setUint16(28, name.length, true);
+    central.setUint32(42, offset, true);
+    centralParts.push(new Uint8Array(central.buffer), name);
+
+    offset += 30 + name.length + data.length;
+  }
+
+  const centralSize = centralParts.reduce((total, part) => total + part.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054B50, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+  const zip = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+  let position = 0;
+  for (const part of parts) {
+    zip.set(part, position);
+    position += part.length;
+  }
+  return zip;
+}
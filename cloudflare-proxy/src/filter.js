@@ -0,0 +1,492 @@
+/**
+ * OData $filter tokenizer, parser and validator.
+ *
+ * Parses the subset of OData v4 filter syntax that Copilot produces, checks each
+ * property reference against the entity's schema, and rewrites the expression
+ * with canonical field names (the same case-correction $orderby gets).
+ * Malformed expressions produce a structured error pointing at the offending token.
+ */
+
+import { findClosestField, getEntityFieldNames, getEntitySchema } from './schema.js';
+
+const COMPARISON_OPERATORS = new Set(['eq', 'ne', 'gt', 'ge', 'lt', 'le', 'has', 'in']);
+const ADDITIVE_OPERATORS = new Set(['add', 'sub']);
+const MULTIPLICATIVE_OPERATORS = new Set(['mul', 'div', 'divby', 'mod']);
+const LITERAL_KEYWORDS = new Set(['true', 'false', 'null']);
+const RESERVED_WORDS = new Set([
+  'and', 'or', 'not',
+  ...COMPARISON_OPERATORS, ...ADDITIVE_OPERATORS, ...MULTIPLICATIVE_OPERATORS, ...LITERAL_KEYWORDS
+]);
+
+// Supported functions and their allowed argument counts
+const FUNCTION_ARITY = {
+  contains: [2],
+  startswith: [2],
+  endswith: [2],
+  indexof: [2],
+  substring: [2, 3],
+  tolower: [1],
+  toupper: [1],
+  trim: [1],
+  length: [1],
+  concat: [2],
+  year: [1],
+  month: [1],
+  day: [1],
+  hour: [1],
+  minute: [1],
+  second: [1],
+  date: [1],
+  now: [0],
+  round: [1],
+  floor: [1],
+  ceiling: [1]
+};
+
+const DATETIME_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:\d{2})?/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}(?![\dT])/;
+const GUID_PATTERN = /^[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}/;
+const NUMBER_PATTERN = /^-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?[mMdDfFlL]?/;
+const IDENTIFIER_PATTERN = /^[A-Za-z_][\w.]*(?:\/[A-Za-z_][\w.]*)*/;
+
+/**
+ * Split a $filter expression into tokens with their source positions
+ */
+export function tokenizeFilter(filter) {
+  const tokens = [];
+  const source = String(filter ?? '');
+  let pos = 0;
+
+  while (pos < source.length) {
+    const ch = source[pos];
+
+    if (/\s/.test(ch)) {
+      pos++;
+      continue;
+    }
+
+    if (ch === '(' || ch === ')' || ch === ',') {
+      tokens.push({ type: ch === ',' ? 'comma' : ch === '(' ? 'lparen' : 'rparen', text: ch, start: pos, end: pos + 1 });
+      pos++;
+      continue;
+    }
+
+    if (ch === "'") {
+      const str = readQuotedString(source, pos);
+      if (!str) {
+        return { tokens, error: filterError('Unterminated string literal', pos, source.slice(pos)) };
+      }
+      tokens.push({ type: 'string', text: source.slice(pos, str.end), value: str.value, start: pos, end: str.end });
+      pos = str.end;
+      continue;
+    }
+
+    const rest = source.slice(pos);
+    const literalMatch =
+      matchToken(rest, DATETIME_PATTERN, 'datetime') ||
+      matchToken(rest, DATE_PATTERN, 'date') ||
+      matchToken(rest, GUID_PATTERN, 'guid') ||
+      matchToken(rest, NUMBER_PATTERN, 'number');
+    if (literalMatch) {
+      tokens.push({ ...literalMatch, start: pos, end: pos + literalMatch.text.length });
+      pos += literalMatch.text.length;
+      continue;
+    }
+
+    const identifier = rest.match(IDENTIFIER_PATTERN);
+    if (identifier) {
+      const text = identifier[0];
+      const end = pos + text.length;
+
+      // Enum literal: Namespace.EnumType'Member'
+      if (source[end] === "'" && text.includes('.')) {
+        const str = readQuotedString(source, end);
+        if (!str) {
+          return { tokens, error: filterError('Unterminated enum literal', pos, source.slice(pos)) };
+        }
+        tokens.push({ type: 'enum', text: source.slice(pos, str.end), value: str.value, start: pos, end: str.end });
+        pos = str.end;
+        continue;
+      }
+
+      tokens.push({ type: 'identifier', text, start: pos, end });
+      pos = end;
+      continue;
+    }
+
+    return { tokens, error: filterError(`Unexpected character '${ch}'`, pos, ch) };
+  }
+
+  return { tokens, error: null };
+}
+
+function matchToken(rest, pattern, type) {
+  const match = rest.match(pattern);
+  return match ? { type, text: match[0] } : null;
+}
+
+function readQuotedString(source, start) {
+  let value = '';
+  let pos = start + 1;
+  while (pos < source.length) {
+    if (source[pos] === "'") {
+      // '' is an escaped single quote inside OData string literals
+      if (source[pos + 1] === "'") {
+        value += "'";
+        pos += 2;
+        continue;
+      }
+      return { value, end: pos + 1 };
+    }
+    value += source[pos];
+    pos++;
+  }
+  return null;
+}
+
+function filterError(message, position, token, expected) {
+  const error = { message, position, token: token ?? null };
+  if (expected) error.expected = expected;
+  return error;
+}
+
+/**
+ * Parse a $filter expression into an AST
+ *
+ * Returns { ast, tokens } on success or { error } with the offending token and position.
+ */
+export function parseFilter(filter) {
+  const { tokens, error } = tokenizeFilter(filter);
+  if (error) return { error };
+  if (tokens.length === 0) {
+    return { error: filterError('Empty $filter expression', 0, '') };
+  }
+
+  const parser = new FilterParser(tokens, String(filter));
+  const ast = parser.parseExpression();
+  if (parser.error) return { error: parser.error };
+
+  if (parser.pos < tokens.length) {
+    const token = tokens[parser.pos];
+    return { error: filterError(`Unexpected '${token.text}'`, token.start, token.text, 'and, or, or end of expression') };
+  }
+
+  return { ast, tokens };
+}
+
+// Recursive-descent parser; precedence from loosest to tightest:
+// or, and, comparison (eq/ne/gt/ge/lt/le/has/in), add/sub, mul/div/mod, not/primary.
+class FilterParser {
+  constructor(tokens, source) {
+    this.tokens = tokens;
+    this.source = source;
+    this.pos = 0;
+    this.error = null;
+  }
+
+  peek() {
+    return this.tokens[this.pos] || null;
+  }
+
+  peekKeyword() {
+    const token = this.peek();
+    return token && token.type === 'identifier' ? token.text.toLowerCase() : null;
+  }
+
+  fail(message, token, expected) {
+    if (!this.error) {
+      this.error = token
+        ? filterError(message, token.start, token.text, expected)
+        : filterError(message, this.source.length, '', expected);
+    }
+    return null;
+  }
+
+  parseExpression() {
+    return this.parseOr();
+  }
+
+  parseOr() {
+    let left = this.parseAnd();
+    while (!this.error && this.peekKeyword() === 'or') {
+      const token = this.tokens[this.pos++];
+      const right = this.parseAnd();
+      left = { type: 'binary', op: 'or', left, right, token };
+    }
+    return left;
+  }
+
+  parseAnd() {
+    let left = this.parseComparison();
+    while (!this.error && this.peekKeyword() === 'and') {
+      const token = this.tokens[this.pos++];
+      const right = this.parseComparison();
+      left = { type: 'binary', op: 'and', left, right, token };
+    }
+    return left;
+  }
+
+  parseComparison() {
+    const left = this.parseAdditive();
+    if (this.error) return null;
+
+    const keyword = this.peekKeyword();
+    if (!keyword || !COMPARISON_OPERATORS.has(keyword)) return left;
+
+    const token = this.tokens[this.pos++];
+    if (keyword === 'in') {
+      const right = this.parseList();
+      return { type: 'binary', op: 'in', left, right, token };
+    }
+    const right = this.parseAdditive();
+    return { type: 'binary', op: keyword, left, right, token };
+  }
+
+  parseAdditive() {
+    let left = this.parseMultiplicative();
+    while (!this.error && ADDITIVE_OPERATORS.has(this.peekKeyword())) {
+      const token = this.tokens[this.pos++];
+      const right = this.parseMultiplicative();
+      left = { type: 'binary', op: token.text.toLowerCase(), left, right, token };
+    }
+    return left;
+  }
+
+  parseMultiplicative() {
+    let left = this.parseUnary();
+    while (!this.error && MULTIPLICATIVE_OPERATORS.has(this.peekKeyword())) {
+      const token = this.tokens[this.pos++];
+      const right = this.parseUnary();
+      left = { type: 'binary', op: token.text.toLowerCase(), left, right, token };
+    }
+    return left;
+  }
+
+  parseUnary() {
+    if (this.peekKeyword() === 'not') {
+      const token = this.tokens[this.pos++];
+      const operand = this.parseUnary();
+      return { type: 'not', operand, token };
+    }
+    return this.parsePrimary();
+  }
+
+  parseList() {
+    const open = this.peek();
+    if (!open || open.type !== 'lparen') {
+      return this.fail("Expected '(' to start the value list after 'in'", open, '(');
+    }
+    this.pos++;
+    const items = [];
+    while (!this.error) {
+      const item = this.parsePrimary();
+      if (this.error) return null;
+      items.push(item);
+      const next = this.peek();
+      if (next && next.type === 'comma') {
+        this.pos++;
+        continue;
+      }
+      if (next && next.type === 'rparen') {
+        this.pos++;
+        return { type: 'list', items, token: open };
+      }
+      return this.fail("Expected ',' or ')' in value list", next, ', or )');
+    }
+    return null;
+  }
+
+  parsePrimary() {
+    const token = this.peek();
+    if (!token) {
+      return this.fail('Unexpected end of expression', null, 'a field, literal or function');
+    }
+
+    if (token.type === 'lparen') {
+      this.pos++;
+      const inner = this.parseExpression();
+      if (this.error) return null;
+      const close = this.peek();
+      if (!close || close.type !== 'rparen') {
+        return this.fail("Missing closing ')'", close, ')');
+      }
+      this.pos++;
+      return { type: 'group', inner, token };
+    }
+
+    if (token.type === 'string' || token.type === 'number' || token.type === 'date' ||
+        token.type === 'datetime' || token.type === 'guid' || token.type === 'enum') {
+      this.pos++;
+      return { type: 'literal', kind: token.type, value: token.value ?? token.text, token };
+    }
+
+    if (token.type === 'identifier') {
+      const lower = token.text.toLowerCase();
+
+      if (LITERAL_KEYWORDS.has(lower)) {
+        this.pos++;
+        return { type: 'literal', kind: lower === 'null' ? 'null' : 'boolean', value: lower, token };
+      }
+
+      const next = this.tokens[this.pos + 1];
+      if (next && next.type === 'lparen' && !token.text.includes('/')) {
+        return this.parseCall(token);
+      }
+
+      if (RESERVED_WORDS.has(lower)) {
+        return this.fail(`Unexpected operator '${token.text}'`, token, 'a field, literal or function');
+      }
+
+      this.pos++;
+      return { type: 'property', path: token.text, token };
+    }
+
+    return this.fail(`Unexpected '${token.text}'`, token, 'a field, literal or function');
+  }
+
+  parseCall(nameToken) {
+    const name = nameToken.text.toLowerCase();
+    const arity = FUNCTION_ARITY[name];
+    if (!arity) {
+      return this.fail(`Unsupported function '${nameToken.text}'`, nameToken, Object.keys(FUNCTION_ARITY).join(', '));
+    }
+
+    this.pos += 2; // name + '('
+    const args = [];
+    if (this.peek()?.type === 'rparen') {
+      this.pos++;
+    } else {
+      while (!this.error) {
+        const arg = this.parseExpression();
+        if (this.error) return null;
+        args.push(arg);
+        const next = this.peek();
+        if (next && next.type === 'comma') {
+          this.pos++;
+          continue;
+        }
+        if (next && next.type === 'rparen') {
+          this.pos++;
+          break;
+        }
+        return this.fail(`Expected ',' or ')' in ${name}() arguments`, next, ', or )');
+      }
+    }
+
+    if (!arity.includes(args.length)) {
+      return this.fail(
+        `${name}() takes ${arity.join(' or ')} argument(s), got ${args.length}`,
+        nameToken
+      );
+    }
+    return { type: 'call', name, args, token: nameToken };
+  }
+}
+
+/**
+ * Validate a $filter against an entity's schema and case-correct its field names
+ *
+ * Returns { ok: true, filter, rewrites } or { ok: false, error } where error has
+ * message, position, token and (when known) suggestion / availableFields.
+ */
+export function validateFilter(filter, catalogue, entityName) {
+  const parsed = parseFilter(filter);
+  if (parsed.error) {
+    return { ok: false, error: parsed.error };
+  }
+
+  const schema = getEntitySchema(catalogue, entityName);
+  const replacements = [];
+  const rewrites = [];
+  let error = null;
+
+  const visit = (node) => {
+    if (!node || error) return;
+    switch (node.type) {
+      case 'binary':
+        queueKeywordRewrite(node.token, node.op, replacements);
+        visit(node.left);
+        visit(node.right);
+        return;
+      case 'not':
+        queueKeywordRewrite(node.token, 'not', replacements);
+        visit(node.operand);
+        return;
+      case 'group':
+        visit(node.inner);
+        return;
+      case 'list':
+        node.items.forEach(visit);
+        return;
+      case 'call':
+        queueKeywordRewrite(node.token, node.name, replacements);
+        node.args.forEach(visit);
+        return;
+      case 'literal':
+        if (node.kind === 'boolean' || node.kind === 'null') {
+          queueKeywordRewrite(node.token, node.value, replacements);
+        }
+        return;
+      case 'property': {
+        if (!schema) return;
+        const resolved = resolvePropertyPath(schema, node.path);
+        if (!resolved) {
+          const [first] = node.path.split('/');
+          const closest = findClosestField(getEntityFieldNames(catalogue, entityName), first);
+          error = filterError(`Unknown field '${first}' on ${schema.name}`, node.token.start, node.token.text);
+          if (closest) error.suggestion = `Did you mean '${closest}'?`;
+          error.availableFields = getEntityFieldNames(catalogue, entityName);
+          return;
+        }
+        if (resolved !== node.path) {
+          replacements.push({ start: node.token.start, end: node.token.end, text: resolved });
+          rewrites.push({ from: node.path, to: resolved });
+        }
+        return;
+      }
+      default:
+        return;
+    }
+  };
+
+  visit(parsed.ast);
+  if (error) return { ok: false, error };
+
+  return { ok: true, filter: applyReplacements(String(filter), replacements), rewrites };
+}
+
+// Canonical casing for a property path, or null when the first segment is unknown.
+// Segments after a navigation property are passed through unchanged.
+function resolvePropertyPath(schema, path) {
+  const [first, ...rest] = path.split('/');
+  const lower = first.toLowerCase();
+
+  const property = schema.properties.find((p) => p.name.toLowerCase() === lower);
+  if (property) {
+    return rest.length === 0 ? property.name : null;
+  }
+
+  const navigation = schema.navigationProperties.find((n) => n.name.toLowerCase() === lower);
+  if (navigation) {
+    return [navigation.name, ...rest].join('/');
+  }
+
+  return null;
+}
+
+function queueKeywordRewrite(token, canonical, replacements) {
+  if (token && token.type === 'identifier' && token.text !== canonical) {
+    replacements.push({ start: token.start, end: token.end, text: canonical });
+  }
+}
+
+function applyReplacements(source, replacements) {
+  if (replacements.length === 0) return source;
+  let result = '';
+  let cursor = 0;
+  for (const r of [...replacements].sort((a, b) => a.start - b.start)) {
+    result += source.slice(cursor, r.start) + r.text;
+    cursor = r.end;
+  }
+  return result + source.slice(cursor);
+}
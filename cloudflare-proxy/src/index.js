@@ -5,73 +5,111 @@
  * allowing Copilot to authenticate with a short API key.
  * 
  * Features:
- * - Automatic JWT token refresh
- * - Query-parameter guardrails (e.g., safe $orderby)
+ * - Automatic JWT token refresh, optionally shared by all instances (encrypted Durable Object)
+ * - Named API clients with per-key entity and owner scopes
+ * - Configurable row-level security policy per API client or user, pushed into the upstream $filter
+ * - Field-level masking of personal data (email, IBAN, phone) with per-client overrides
+ * - @odata.nextLink rewritten to the proxy, and opt-in $all=true server-side paging
+ * - $format=csv / $format=xlsx file exports of entity queries, after policy and masking
+ * - Response cache with per-entity TTLs, scoped to the caller's policy, and a purge endpoint
+ * - Server-side KPI endpoints ($kpi/vacancy-rate, $kpi/arrears, ...)
+ * - Declarative cross-entity joins ($join) for the documented relationship paths
+ * - Cross-entity reports ($report/vacancy-impact, ...)
+ * - Lease-event calendar ($calendar) as JSON and a subscribable iCalendar feed
+ * - Daily arrears snapshots (Cron Trigger) and their time series ($snapshots/arrears)
+ * - Upstream timeouts per entity set, retries with backoff, a circuit breaker and JWT renewal on 401
+ * - Per-caller rate limits (tighter for large entity sets) and a cap on concurrent upstream requests
+ * - Audit trail of every request (caller, entity, queries, row counts) and its query endpoint ($audit)
+ * - Audited ServiceTickets writes (POST/PATCH) for keys with the servicetickets:write scope
+ * - Scheduled alerts (contract expiry, overdue maintenance, arrears, old tickets) to a Teams webhook
+ * - Query-parameter guardrails (e.g., safe $orderby, validated $filter/$select/$expand)
  * - Intelligent error handling with field suggestions
+ * - Entity and field catalogue derived from the Bloxs $metadata document
  */
 
-// Token cache (in-memory, per worker instance)
-let cachedToken = null;
-let tokenExpiry = 0;
-
-// Never return data referencing these owner names (case-insensitive exact match).
-// This is enforced at the proxy layer across all endpoints.
-const FORBIDDEN_OWNER_NAMES = new Set([
-  'wals huren',
-  'greenhorn properties bv'
-]);
+import { isAlertStoreEnabled, runAlerts } from './alerts.js';
+import {
+  AUDIT_PATH,
+  AUDIT_SCOPE,
+  buildRequestEntry,
+  countRows,
+  describeCaller,
+  isAuditStoreEnabled,
+  parseAuditQuery,
+  queryAuditLog,
+  writeAuditEntry
+} from './audit.js';
+import { authenticateRequest, hasScope, isEntityAllowed } from './auth.js';
+import {
+  authenticateFeedToken,
+  buildLeaseCalendar,
+  CALENDAR_ICS_PATH,
+  CALENDAR_PATH,
+  createFeedToken,
+  parseCalendarParameters,
+  renderICalendar
+} from './calendar.js';
+import {
+  buildCacheKey,
+  getCacheTtl,
+  getPolicyFingerprint,
+  purgeCache,
+  readCachedResponse,
+  writeCachedResponse
+} from './cache.js';
+import { EXPORT_FORMATS, extractExportFormat, renderExport } from './export.js';
+import { executeJoin, JOIN_RELATIONSHIPS, listJoinRelationships, planJoin } from './join.js';
+import { computeKpi, KPI_DEFINITIONS, listKpis, parseKpiParameters } from './kpi.js';
+import { getFieldMasks, getNestedMasks, maskResponseBody } from './masking.js';
+import { checkRateLimit } from './ratelimit.js';
+import { computeReport, listReports, parseReportParameters, REPORT_DEFINITIONS } from './reports.js';
+import { createBloxsFetch, getCircuitState } from './resilience.js';
+import { extractFollowAll, fetchAllPages, getPagingBudget, rewriteNextLink } from './paging.js';
+import {
+  describeEntitySchema,
+  findClosestField,
+  getEntityFieldNames,
+  getEntitySchema,
+  getSchemaCatalogue,
+  resolveEntitySetName
+} from './schema.js';
+import {
+  parseSeriesParameters,
+  readArrearsSeries,
+  SNAPSHOT_PATH,
+  takeArrearsSnapshot
+} from './snapshots.js';
+import { validateFilter } from './filter.js';
+import { projectResponseBody, validateExpand, validateSelect } from './projection.js';
+import { getBloxsToken, getTokenStatus } from './token.js';
+import { createEntityReader } from './upstream.js';
+import { matchWritePath, WRITE_SCOPE, writeServiceTicket } from './writes.js';
+import {
+  addOwnerFilter,
+  applyRowPolicy,
+  buildOwnerFilter,
+  getOwnerFields,
+  isOwnerRestricted,
+  loadPolicyDocument,
+  resolvePolicy,
+  widenSelectForPolicy
+} from './policy.js';
+
+// Durable Object classes for the RATE_LIMITER and BLOXS_TOKEN bindings (see wrangler.toml)
+export { RateLimiter } from './ratelimit.js';
+export { TokenBroker } from './token.js';
 
 const ALLOWED_METHODS = new Set(['GET', 'OPTIONS']);
+// Only for the paths writes.js accepts (ServiceTickets)
+const WRITE_METHODS = new Set(['POST', 'PATCH']);
+// Advertised by the preflight and by every response
+const CORS_ALLOW_METHODS = 'GET, POST, PATCH, OPTIONS';
 
-// Backward-compatible entity casing fixes (path segment -> canonical segment)
-// Bloxs entity set names can be case-sensitive.
-const ENTITY_PATH_ALIASES = {
-  Owners: 'owners',
-  OWNERS: 'owners',
-  owners: 'owners',
-  CommercialOverview: 'CommercialOverview',
-  commercialoverview: 'CommercialOverview',
-  commercialOverview: 'CommercialOverview',
-  COMMERCIALOVERVIEW: 'CommercialOverview',
-  commercialoverviewspecific: 'CommercialOverviewSpecific',
-  COMMERCIALOVERVIEWSPECIFIC: 'CommercialOverviewSpecific',
-  units: 'Units',
-  UNITS: 'Units',
-  buildings: 'Buildings',
-  BUILDINGS: 'Buildings',
-  complexes: 'Complexes',
-  COMPLEXES: 'Complexes',
-  sections: 'Sections',
-  SECTIONS: 'Sections',
-  servicetickets: 'ServiceTickets',
-  SERVICETICKETS: 'ServiceTickets',
-  financialmutations: 'FinancialMutations',
-  FINANCIALMUTATIONS: 'FinancialMutations',
-  controllist: 'ControlList',
-  CONTROLLIST: 'ControlList',
-  purchaseorders: 'PurchaseOrders',
-  PURCHASEORDERS: 'PurchaseOrders',
-  purchaseorderlines: 'PurchaseOrderLines',
-  PURCHASEORDERLINES: 'PurchaseOrderLines',
-  purchasecontracts: 'PurchaseContracts',
-  PURCHASECONTRACTS: 'PurchaseContracts',
-  purchasecontractlines: 'PurchaseContractLines',
-  PURCHASECONTRACTLINES: 'PurchaseContractLines',
-  commercialrentsalescontracts: 'CommercialRentSalesContracts',
-  COMMERCIALRENTSALESCONTRACTS: 'CommercialRentSalesContracts',
-  budgets: 'Budgets',
-  BUDGETS: 'Budgets',
-  budgetledgeraccounts: 'BudgetLedgerAccounts',
-  BUDGETLEDGERACCOUNTS: 'BudgetLedgerAccounts',
-  financingcontractinstalments: 'FinancingContractInstalments',
-  FINANCINGCONTRACTINSTALMENTS: 'FinancingContractInstalments',
-  paymentremindersrelation: 'PaymentRemindersRelation',
-  PAYMENTREMINDERSRELATION: 'PaymentRemindersRelation',
-  indexationmethods: 'IndexationMethods',
-  INDEXATIONMETHODS: 'IndexationMethods',
-  indexationseriesvalues: 'IndexationSeriesValues',
-  INDEXATIONSERIESVALUES: 'IndexationSeriesValues'
-};
+const CACHE_PURGE_PATH = '/odatafeed/$cache-purge';
+const HEALTH_PATH = '/odatafeed/$health';
+const KPI_PATH = '/odatafeed/$kpi';
+const JOIN_PATH = '/odatafeed/$join';
+const REPORT_PATH = '/odatafeed/$report';
 
 // Entity-specific query caps (lowercased entity name)
 const ENTITY_TOP_CAPS = {
@@ -86,191 +124,741 @@ const ENTITIES_REQUIRE_FILTER = new Set([
   'journalposttransactions'
 ]);
 
+// The same guardrails for the proxy's own reads (KPIs, reports, joins)
+const READ_GUARDRAILS = { requiresFilter, getTopCap };
+
 const LEARN_INDEX_KEY = 'learn:index:v1';
 
-// Known sortable fields per entity (fallback if metadata unavailable)
-const KNOWN_SORTABLE_FIELDS = {
-  'ServiceTickets': ['ServiceTicketId', 'Reference', 'ReportingDate', 'ClosingDate', 'Priority', 'RealEstateObjectName', 'TenantName', 'SupplierName', 'ServiceTicketStateName', 'OwnerId', 'OwnerName'],
-  'ServiceTicketStates': ['ServiceTicketStateId', 'Name', 'SystemState', 'IsArchived'],
-  'ServiceTicketProblemCategories': ['ServiceTicketProblemCategoryId', 'Name'],
-  'ServiceTicketCostCategories': ['ServiceTicketCostCategoryId', 'Name'],
-  'Units': ['UnitId', 'DisplayName', 'Reference', 'CategoryName', 'OccupationPercentage', 'Owner', 'OwnerId', 'RentableFloorArea', 'RawFloorArea', 'ComplexName', 'ComplexId', 'SectionId', 'EnergyLabel', 'ManagementState'],
-  'SalesContracts': ['SalesContractId', 'Reference', 'StartDate', 'EndDate', 'RelationName', 'OwnerName', 'OwnerId', 'IsEnded', 'IsStarted', 'PaymentMethod', 'InvoiceInterval', 'Type'],
-  'SalesContractRealestateObjects': ['SalesContractId', 'RealEstateObjectId', 'SortingIndex'],
-  'SalesContractLineItems': ['SalesContractLineItemId', 'Name', 'ContractType', 'LedgerAccountId', 'LedgerAccountCode', 'IsIndexable', 'IsBareRent', 'ItemType', 'SortingIndex'],
-  'SalesContractLine': ['SalesContractLineId', 'SalesContractId', 'SalesContractLineItemId', 'RealEstateObjectId', 'StartDate', 'EndDate', 'AmountExcl', 'AmountIncl', 'InvoiceInterval'],
-  'FinancingContracts': ['FinancingContractId', 'Reference', 'StartDate', 'EndDate', 'Amount', 'OwnerId', 'OwnerName', 'RelationName', 'Type', 'IsEnded', 'IsStarted'],
-  'FinancialMutations': ['JournalPostTransactionId', 'JournalPostId', 'TransactionDate', 'LedgerAccountCode', 'LedgerAccountName', 'Amount', 'Debit', 'Credit', 'RealEstateObjectName', 'RealEstateObjectId', 'RelationName', 'OwnerName', 'FinancialYear', 'FinancialPeriod', 'JournalCode', 'JournalType', 'InvoiceReference'],
-  'LedgerAccounts': ['LedgerAccountId', 'Code', 'Name', 'LedgerAccountType', 'OwnerId', 'CompactionId'],
-  'Relations': ['RelationId', 'DisplayName', 'Reference', 'State', 'Type', 'RelationType', 'Email'],
-  'Persons': ['PersonId', 'RelationId', 'DisplayName', 'FirstName', 'LastName', 'Email', 'State'],
-  'Owners': ['OwnerId', 'RelationId', 'DisplayName', 'Reference', 'State', 'Email'],
-  'Complexes': ['ComplexId', 'RealEstateObjectId', 'Reference', 'DisplayName', 'Owner', 'OwnerId', 'OccupationPercentage', 'CategoryName', 'ManagementState'],
-  'SalesInvoices': ['SalesInvoiceId', 'Reference', 'InvoiceDate', 'DueDate', 'WorkflowState', 'TotalValueIncluding', 'TotalValueExcluding', 'OwnerName', 'RelationName', 'FinancialYear'],
-  'SalesInvoiceLines': ['SalesInvoiceLineId', 'SalesInvoiceId', 'RealEstateObjectId', 'RealEstateObjectName', 'AmountExcl', 'AmountIncl', 'LedgerAccountCode'],
-  'OwnerSettlements': ['OwnerSettlementId', 'Reference', 'PeriodStart', 'PeriodEnd', 'OwnerName', 'OwnerId', 'TotalSettlementBalance', 'WorkflowState'],
-  'Tasks': ['TaskId', 'Status', 'Deadline', 'ShowFromDate', 'TaskCategory', 'AssignedTo'],
-  'Addresses': ['AddressId', 'Street', 'City', 'PostalCode', 'CountryId', 'DisplayName', 'StreetAndHouseNumber'],
-  'Meters': ['MeterId', 'RealEstateObjectId', 'CategoryName', 'EANCode', 'MeterNumber'],
-  'MeterReadings': ['MeterReadingId', 'MeterId', 'ReadingDate', 'ReadingValue'],
-  'IndexationMethods': ['IndexationMethodId', 'Name', 'Type', 'IndexationSeriesName'],
-  'IndexationSeries': ['IndexationSeriesId', 'Name'],
-  'IndexationSeriesValues': ['IndexationSeriesValueId', 'IndexationSeriesId', 'IndexationSeriesName', 'Value', 'CalendarYear', 'CalendarMonth'],
-  'CommercialOverview': ['RealEstateObjectId', 'GroupRealEstateObjectName', 'Address', 'OwnerName', 'TenantName', 'IsOccupied', 'BareRent_Yearly_TotalAmountExcl', 'ContractStartDate', 'ContractEndDate', 'CategoryName', 'RealEstateObjectType'],
-  'CommercialOverviewSpecific': ['RealEstateObjectId', 'GroupRealEstateObjectName', 'Address', 'OwnerName', 'TenantName', 'IsOccupied', 'BareRent_Yearly_TotalAmountExcl', 'EnergyLabel', 'TotalAmountTheoreticalRent'],
-  'PropertyValuationValues': ['PropertyValuationValueId', 'RealEstateObjectId', 'RealEstateObjectName', 'ValuationYear', 'Value', 'PropertyValuationTypeName', 'PropertyValuationType'],
-  'PropertyValuationTypes': ['PropertyValuationTypeId', 'Name', 'PropertyValuationType'],
-  'Notes': ['NoteId', 'CreatedOnTimeStamp', 'LastEditedOnTimeStamp', 'EntityLinkType', 'EntityId'],
-  'OpenPositionDebtors': ['SalesInvoiceId', 'InvoiceDate', 'DueDate', 'Age', 'OutstandingAmount', 'RelationName', 'OwnerName', 'OwnerId', 'PaymentReminderPhase'],
-  'OpenPositionCreditors': ['PurchaseInvoiceId', 'InvoiceDate', 'DueDate', 'Age', 'OutstandingAmount', 'RelationName', 'OwnerName'],
-  'TheoreticalRentItems': ['TheoreticalRentItemId', 'RealEstateObjectId', 'RealEstateObjectName', 'Amount', 'SalesContractLineItemId'],
-  'PurchaseOrders': ['PurchaseOrderId', 'Reference', 'Subject', 'TotalAmountExcl', 'WorkflowState', 'FinalizationState', 'OwnerId', 'RelationId', 'FirstRealEstateObjectName'],
-  'PurchaseOrderLines': ['PurchaseOrderLineId', 'PurchaseOrderId', 'RealEstateObjectId', 'AmountExcl', 'LedgerAccountId', 'Description'],
-  'Installations': ['InstallationId', 'Reference', 'Description', 'RealEstateObjectId', 'InstallationTypeId', 'SupplierId', 'BuildYear', 'NextMaintenanceOn', 'LastMaintainedOn', 'ExpectedCosts'],
-  'InstallationTypes': ['InstallationTypeId', 'Name'],
-  'Projects': ['ProjectId', 'Reference', 'DisplayName', 'OwnerId', 'OwnerName', 'ManagementState', 'ExpectedDeliveryDate'],
-  'Buildings': ['BuildingId', 'RealEstateObjectId', 'Reference', 'DisplayName', 'DisplayAddress', 'OwnerId', 'Owner', 'CategoryName', 'OccupationPercentage', 'RegionName', 'ConstructionYear', 'ManagementState'],
-  'Sections': ['SectionId', 'ComplexId', 'ComplexName', 'Reference', 'DisplayName', 'OwnerId', 'Owner', 'CategoryName'],
-  'PurchaseInvoices': ['PurchaseInvoiceId', 'Reference', 'InvoiceDate', 'DueDate', 'WorkflowState', 'TotalValueIncluding', 'TotalValueExcluding', 'RelationName', 'OwnerName', 'FinancialYear', 'ServiceTicketId'],
-  'PurchaseInvoiceLines': ['PurchaseInvoiceLineId', 'PurchaseInvoiceId', 'RealEstateObjectId', 'RealEstateObjectName', 'AmountExcl', 'AmountIncl', 'LedgerAccountCode'],
-  'PurchaseContracts': ['PurchaseContractId', 'Reference', 'Name', 'Type', 'RelationName', 'OwnerName', 'StartDate', 'EndDate', 'IsEnded', 'NoticePeriod'],
-  'PurchaseContractLines': ['PurchaseContractLineId', 'PurchaseContractId', 'RealEstateObjectId', 'AmountExcl', 'AmountIncl', 'StartDate', 'EndDate'],
-  'CommercialRentSalesContracts': ['CommercialRentSalesContractId', 'SalesContractId', 'BreakOption', 'Reference', 'RelationName', 'OwnerName', 'StartDate', 'EndDate', 'IsEnded', 'DepositAmount'],
-  'ControlList': ['Id', 'OwnerName', 'OwnerReference', 'RealEstateObjectName', 'UnitName', 'IsOccupied', 'TenantName', 'SalesContractReference', 'SalesContractStartDate', 'SalesContractEndDate'],
-  'Budgets': ['BudgetId', 'BudgetType', 'OwnerId', 'OwnerName', 'Name', 'FinancialYear'],
-  'BudgetLedgerAccounts': ['BudgetLedgerAccountId', 'BudgetId', 'LedgerAccountId', 'LedgerAccountCode', 'TotalAmount'],
-  'FinancingContractInstalments': ['FinancingContractInstalmentId', 'FinancingContractId', 'InstalmentIndex', 'StartDate', 'EndDate', 'InterestPercentage', 'Payment', 'Interest', 'Redemption', 'InstalmentStartAmount', 'InstalmentEndAmount'],
-  'PaymentRemindersRelation': ['PaymentReminderRelationId', 'OwnerId', 'OwnerName', 'RelationId', 'RelationName', 'TotalOutstandingAmount', 'LastActionOn', 'PaymentReminderPhase'],
-  'RealEstateObjects': ['RealEstateObjectId', 'Reference', 'DisplayName', 'DisplayAddress', 'CategoryName', 'OwnerId', 'Owner', 'OccupationPercentage', 'Type', 'ManagementState'],
-  'Journals': ['JournalId', 'Code', 'Name', 'Type', 'OwnerId', 'OwnerName', 'IsInactive'],
-  'JournalPostTransactions': ['JournalPostTransactionId', 'JournalPostId', 'TransactionDate', 'JournalId', 'Amount', 'FinancialYear', 'FinancialPeriod'],
-  'BankAccounts': ['BankAccountId', 'IBAN', 'BIC', 'AccountHolderName', 'Description', 'OwnerId', 'OwnerName', 'JournalId'],
-  'OwnerBankAccounts': ['OwnerId', 'BankAccountId', 'MoneyFlowType'],
-  'TaxRates': ['TaxRateId', 'Description', 'DisplayName', 'Percentage', 'IsActive', 'TaxRateRubricId'],
-  'TeamMembers': ['TeamMemberId', 'RealEstateObjectId', 'RealEstateObjectName', 'SupplierId', 'SupplierDisplayName', 'SupplierTypeName'],
-  'WorkRegistrations': ['WorkRegistrationId', 'UserId', 'UserName', 'StartDateTime', 'EndDateTime', 'WorkCodeName', 'TotalMinutes', 'Status', 'HourlyRate'],
-  'RelationContactPersons': ['RelationId', 'ContactPersonId'],
-  'RelationCommunicationForms': ['CommunicationFormId', 'Name', 'Title', 'Salutation'],
-  'SupplierTypes': ['SupplierTypeId', 'Name'],
-  'default': ['Id', 'Reference', 'DisplayName', 'Name']
+// Scheduled jobs read as their own principal: every entity set, and the policy's default
+// rules plus any rules for the "scheduler" principal.
+const SCHEDULER_CLIENT = {
+  name: 'scheduler',
+  kind: 'system',
+  identity: null,
+  keyHash: null,
+  entities: new Set(['*']),
+  scopes: new Set(),
+  ownerIds: null,
+  expiresAtMs: null,
+  disabled: false
 };
 
-const KNOWN_SORTABLE_FIELDS_LOWER = Object.fromEntries(
-  Object.entries(KNOWN_SORTABLE_FIELDS).map(([key, value]) => [key.toLowerCase(), value])
-);
-
 export default {
   async fetch(request, env, ctx) {
-    const url = new URL(request.url);
-    
-    // Handle CORS preflight
-    if (request.method === 'OPTIONS') {
-      return handleCORS();
-    }
+    const started = Date.now();
+    const trail = {};
+    const response = await handleRequest(request, env, ctx, trail);
 
-    if (!ALLOWED_METHODS.has(request.method)) {
-      return methodNotAllowed();
+    // Audit every authenticated request (writes record their own entry)
+    if (trail.caller && !trail.skip && isAuditStoreEnabled(env)) {
+      const entry = buildRequestEntry(trail, {
+        method: request.method,
+        path: new URL(request.url).pathname,
+        status: response.status,
+        latencyMs: Date.now() - started
+      });
+      const store = writeAuditEntry(env, entry).catch((error) => {
+        console.log(`Audit write failed (${error.message}): ${JSON.stringify(entry)}`);
+      });
+      if (ctx) ctx.waitUntil(store); else await store;
     }
+    return response;
+  },
+
+  // Cron Triggers (see wrangler.toml [triggers])
+  async scheduled(controller, env, ctx) {
+    const now = new Date(controller.scheduledTime || Date.now());
+    ctx.waitUntil(runScheduledSnapshots(env, now).then(() => runScheduledAlerts(env, now)));
+  }
+};
+
+/**
+ * Handle one request; `trail` collects what the audit entry records (caller, entity,
+ * queries, upstream status, row counts)
+ */
+async function handleRequest(request, env, ctx, trail) {
+  const url = new URL(request.url);
+  
+  // Handle CORS preflight
+  if (request.method === 'OPTIONS') {
+    return handleCORS();
+  }
+
+  const isCachePurge = url.pathname === CACHE_PURGE_PATH;
+  const writeTarget = WRITE_METHODS.has(request.method) ? matchWritePath(url.pathname) : null;
+  if (!ALLOWED_METHODS.has(request.method) && !(isCachePurge && request.method === 'POST') && !writeTarget) {
+    return methodNotAllowed();
+  }
+
+  // Validate the proxy API key against the client registry. Calendar feeds carry a
+  // signed token instead, since calendar clients cannot send an Authorization header.
+  const feedToken = url.pathname === CALENDAR_ICS_PATH && !request.headers.has('Authorization')
+    ? url.searchParams.get('feed')
+    : null;
+  const auth = feedToken ? await authenticateFeedToken(feedToken, env) : await authenticateRequest(request, env);
+  if (auth.error) {
+    return jsonError(auth.error, auth.status);
+  }
+  const client = auth.client;
+  trail.caller = describeCaller(client);
 
-    // Validate the proxy API key
-    const authHeader = request.headers.get('Authorization');
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return jsonError('Missing or invalid Authorization header', 401);
+  // Special endpoint: Get available entities and their fields (auth-gated)
+  if (url.pathname === '/odatafeed/$metadata-summary') {
+    return handleMetadataSummary(await loadSchemaCatalogue(env));
+  }
+
+  // Special endpoint: Inspect learned schema-only insights (auth-gated)
+  if (url.pathname === '/odatafeed/$learn-summary') {
+    return handleLearnSummary(url, env);
+  }
+
+  // Special endpoint: Clear the response cache (POST, requires the cache:purge scope)
+  if (isCachePurge) {
+    return request.method === 'POST' ? handleCachePurge(url, env, client) : methodNotAllowed();
+  }
+
+  // Special endpoint: Token age and circuit state, never the token itself (auth-gated)
+  if (url.pathname === HEALTH_PATH) {
+    return handleHealth(env);
+  }
+
+  // Special endpoint: Query the audit trail (requires the audit:read scope)
+  if (url.pathname === AUDIT_PATH) {
+    return handleAudit(url, env, client);
+  }
+
+  // Get or refresh the Bloxs JWT token
+  let token;
+  try {
+    token = await getBloxsToken(env, ctx);
+  } catch (error) {
+    return jsonError(`Failed to get Bloxs token: ${error.message}`, 500);
+  }
+
+  // Entity sets, property types and keys come from the Bloxs $metadata document
+  const catalogue = await getSchemaCatalogue(env, token);
+
+  const normalizedPathname = normalizeODataPathname(url.pathname, catalogue);
+
+  // Extract entity name from path for validation
+  const pathMatch = normalizedPathname.match(/\/odatafeed\/([^/?]+)/);
+  const entityName = pathMatch ? pathMatch[1] : null;
+  trail.entity = entityName;
+  trail.query = { original: url.search, rewritten: null };
+
+  // Token buckets per API client or user, per entity set where configured
+  const rateLimit = await checkRateLimit(env, client, entityName);
+  if (!rateLimit.allowed) {
+    const scope = rateLimit.limit.name === '*' ? 'requests' : `${entityName.split('(')[0]} requests`;
+    return jsonError(
+      `Rate limit exceeded: at most ${rateLimit.limit.perMinute} ${scope} per minute for '${client.name}'. Retry after ${rateLimit.retryAfter} s, and combine lookups into one $filter instead of querying in a loop.`,
+      429,
+      { 'Retry-After': String(rateLimit.retryAfter) }
+    );
+  }
+
+  // Row-level policy for this client (owner allow/deny lists on specific fields)
+  const policy = resolvePolicy(await loadPolicyDocument(env), client);
+  const ownerFields = getOwnerFields(policy, entityName, getEntitySchema(catalogue, entityName));
+
+  // Create or update a ServiceTicket (write scope, validated, audited)
+  if (writeTarget) {
+    trail.skip = true;
+    const fetcher = createBloxsFetch(env, writeTarget.entity);
+    try {
+      return await handleServiceTicketWrite(request, writeTarget, ctx, {
+        env, token, catalogue, policy, client,
+        readEntity: createEntityReader({ env, token, catalogue, policy, client, guardrails: READ_GUARDRAILS }),
+        fetcher
+      });
+    } finally {
+      await fetcher.release();
     }
+  }
+
+  // Computed KPIs over the underlying entities (same policy as pass-through queries)
+  if (url.pathname === KPI_PATH || url.pathname.startsWith(`${KPI_PATH}/`)) {
+    return handleKpi(url, createEntityReader({ env, token, catalogue, policy, client, guardrails: READ_GUARDRAILS }));
+  }
+
+  // Cross-entity reports (same policy as pass-through queries)
+  if (url.pathname === REPORT_PATH || url.pathname.startsWith(`${REPORT_PATH}/`)) {
+    return handleReport(url, env, createEntityReader({ env, token, catalogue, policy, client, guardrails: READ_GUARDRAILS }));
+  }
+
+  // Lease expiries, notice deadlines and break options (JSON or iCalendar)
+  if (url.pathname === CALENDAR_PATH || url.pathname === CALENDAR_ICS_PATH) {
+    return handleCalendar(url, env, client, auth.params, createEntityReader({ env, token, catalogue, policy, client, guardrails: READ_GUARDRAILS }));
+  }
+
+  // Stored daily snapshots as a time series (only the caller's owners)
+  if (url.pathname === SNAPSHOT_PATH || url.pathname.startsWith(`${SNAPSHOT_PATH}/`)) {
+    return handleSnapshots(url, env, client, policy);
+  }
+
+  // Joins along the documented relationship paths (same policy and masking as pass-through queries)
+  if (url.pathname === JOIN_PATH || url.pathname.startsWith(`${JOIN_PATH}/`)) {
+    return handleJoin(url, env, catalogue, policy, createEntityReader({ env, token, catalogue, policy, client, guardrails: READ_GUARDRAILS }));
+  }
+
+  // Per-key scope: only the entity sets this client was granted
+  const entityAllowed = isEntityAllowed(client, entityName, {
+    ownerRestricted: isOwnerRestricted(policy),
+    hasOwnerColumn: ownerFields.ownerId.length > 0 || ownerFields.ownerName.length > 0
+  });
+  if (entityName && !entityName.startsWith('$') && !entityAllowed) {
+    return jsonError(`API client '${client.name}' is not allowed to query ${entityName}`, 403);
+  }
+  // Rows of an entity set outside the catalogue cannot be checked against an owner restriction
+  if (entityName && !entityName.startsWith('$') && isOwnerRestricted(policy) && !getEntitySchema(catalogue, entityName)) {
+    return jsonError(`API client '${client.name}' is restricted to specific owners and cannot query ${entityName}, which is not in the catalogue`, 403);
+  }
 
-    const providedKey = authHeader.replace('Bearer ', '');
-    if (providedKey !== env.PROXY_API_KEY) {
-      return jsonError('Invalid API key', 401);
+  // Whole entities only: a property path (Persons(5)/Email, .../$value) would bypass the row check and masking
+  const subPath = entityName && !entityName.startsWith('$') ? normalizedPathname.slice(`/odatafeed/${entityName}`.length).replace(/\/$/, '') : '';
+  if (subPath && !(subPath === '/$count' && !entityName.includes('('))) {
+    return jsonError(`Paths below an entity are not supported (${entityName}${subPath}); use $select and $expand instead, or ${entityName.split('(')[0]}/$count for a count`, 400);
+  }
+
+  // Opt-in server-side paging ($all=true is a proxy parameter, never sent upstream)
+  const { search: pagedSearch, followAll: followAllRequested } = extractFollowAll(url.search);
+
+  // File export ($format=csv|xlsx, also proxy-only); an export always follows the pages
+  const { search: clientSearch, format: exportFormat } = extractExportFormat(pagedSearch);
+  const followAll = followAllRequested || exportFormat !== null;
+
+  // Validate and fix query parameters if needed
+  const {
+    search: fixedSearch,
+    error: queryError,
+    rewrites: queryRewrites
+  } = validateAndFixQuery(clientSearch, entityName, catalogue);
+  if (queryError) {
+    return queryValidationError(queryError, entityName);
+  }
+
+  // Guardrail: require $filter for very large entities to avoid expensive scans/timeouts
+  if (requiresFilter(entityName) && !new URLSearchParams(fixedSearch).has('$filter')) {
+    return jsonError(
+      `Missing required $filter for ${entityName}. Add a restrictive $filter (and keep $top <= ${getTopCap(entityName)}).`,
+      400
+    );
+  }
+  
+  // Enforce the row policy upstream so $top and $count only see permitted rows.
+  // Single-entity requests (Units(5)) and unknown entity sets rely on the response check.
+  const isCollectionRequest = Boolean(getEntitySchema(catalogue, entityName)) && !entityName.includes('(');
+  const ownerFilter = isCollectionRequest ? buildOwnerFilter(policy, ownerFields) : null;
+  // The response check needs the owner fields even when $select leaves them out; they are dropped again after it.
+  const { search: policySearch, keep: selectedFields } = widenSelectForPolicy(fixedSearch, policy, ownerFields);
+  const upstreamSearch = addOwnerFilter(policySearch, ownerFilter);
+  trail.query.rewritten = upstreamSearch;
+
+  // Serve repeated queries from the response cache, scoped to this caller's policy
+  const cacheTtl = exportFormat ? 0 : getCacheTtl(env, entityName);
+  let cacheKey = null;
+  if (cacheTtl > 0) {
+    cacheKey = await buildCacheKey(env, {
+      origin: url.origin,
+      pathname: normalizedPathname,
+      search: url.search,
+      entityName,
+      fingerprint: await getPolicyFingerprint(policy)
+    });
+    const bypassCache = /no-cache|no-store/i.test(request.headers.get('Cache-Control') || '');
+    const cached = bypassCache ? null : await readCachedResponse(env, cacheKey);
+    if (cached) {
+      const age = Math.floor((Date.now() - cached.storedAt) / 1000);
+      Object.assign(trail, {
+        cache: 'HIT',
+        rows: countRows(cached.body),
+        rowsWithheld: Number(cached.headers['X-Rows-Withheld'] || 0),
+        fieldsMasked: cached.headers['X-Fields-Masked']?.split(', ') ?? []
+      });
+      return new Response(cached.body, {
+        status: 200,
+        headers: withCacheHeaders(cached.headers, 'HIT', cacheTtl, age)
+      });
     }
+  }
 
-    // Special endpoint: Get available entities and their fields (auth-gated)
-    if (url.pathname === '/odatafeed/$metadata-summary') {
-      return handleMetadataSummary(env);
+  // Forward the request to Bloxs OData API
+  const bloxsUrl = `${env.BLOXS_BASE_URL}${normalizedPathname}${upstreamSearch}`;
+  
+  // One concurrency slot for all pages; each page: the entity's timeout, retries and the circuit breaker
+  const bloxsFetch = createBloxsFetch(env, entityName);
+  const fetchPage = (pageUrl) => bloxsFetch(pageUrl, {
+    method: request.method,
+    headers: {
+      'Authorization': `Bearer ${token}`,
+      'Content-Type': 'application/json',
+      'Accept': 'application/json'
     }
+  });
 
-    // Special endpoint: Inspect learned schema-only insights (auth-gated)
-    if (url.pathname === '/odatafeed/$learn-summary') {
-      return handleLearnSummary(url, env);
+  try {
+    let response;
+    let upstreamBody;
+    let paging = null;
+    try {
+      if (followAll && isCollectionRequest) {
+        ({ response, body: upstreamBody, paging } = await fetchAllPages(bloxsUrl, fetchPage, getFollowAllBudget(env, entityName)));
+      } else {
+        response = await fetchPage(bloxsUrl);
+        upstreamBody = await response.text();
+      }
+    } finally {
+      await bloxsFetch.release();
+    }
+    trail.upstreamStatus = response.status;
+    
+    // If error, try to provide helpful information
+    if (response.status === 429) {
+      return jsonError('Bloxs is busy; try again shortly', 429, { 'Retry-After': response.headers.get('Retry-After') || '1' });
+    }
+    // Bloxs down (circuit open) or too slow: the proxy's own message, not field suggestions
+    if (response.status === 503 || response.status === 504) {
+      const retryAfter = response.headers.get('Retry-After');
+      return jsonError(readUpstreamMessage(upstreamBody) || 'Bloxs is unavailable; try again later', response.status, retryAfter ? { 'Retry-After': retryAfter } : {});
+    }
+    if (!response.ok) {
+      return handleODataError(response.status, upstreamBody, entityName, catalogue);
     }
 
-    const normalizedPathname = normalizeODataPathname(url.pathname);
+    // Links to further pages must come back through the proxy (Bloxs links need the JWT).
+    const responseBody = rewriteNextLink(upstreamBody, {
+      upstreamUrl: bloxsUrl,
+      upstreamBase: env.BLOXS_BASE_URL,
+      proxyOrigin: url.origin,
+      clientSearch: fixedSearch,
+      followAll
+    });
 
-    // Get or refresh the Bloxs JWT token
-    let token;
-    try {
-      token = await getBloxsToken(env);
-    } catch (error) {
-      return jsonError(`Failed to get Bloxs token: ${error.message}`, 500);
+    // Withhold rows the client's policy does not allow (deny-listed or outside its owners).
+    // Without the upstream owner filter, a row without an owner value is withheld from an owner-restricted client.
+    const { body: rowCheckedBody, withheld, notFound, rows } = applyRowPolicy(responseBody, policy, ownerFields, { requireOwner: !ownerFilter });
+    Object.assign(trail, { rows, rowsWithheld: withheld });
+    if (notFound) {
+      return jsonError('Not found', 404, { 'X-Rows-Withheld': '1' });
     }
+    const rowScopedBody = selectedFields ? projectResponseBody(rowCheckedBody, selectedFields) : rowCheckedBody;
 
-    // Extract entity name from path for validation
-    const pathMatch = normalizedPathname.match(/\/odatafeed\/([^/?]+)/);
-    const entityName = pathMatch ? pathMatch[1] : null;
+    // Mask personal data fields (drop, hash or partial) unless the client's policy reveals them.
+    const fieldMasks = getFieldMasks(policy.masking, getEntitySchema(catalogue, entityName));
+    const nestedMasks = new URLSearchParams(fixedSearch).has('$expand') ? getNestedMasks(policy.masking) : null;
+    const { body: redactedBody, maskedFields } = await maskResponseBody(rowScopedBody, fieldMasks, env, nestedMasks);
+    trail.fieldsMasked = maskedFields;
 
-    // Validate and fix query parameters if needed
-    const fixedSearch = validateAndFixQuery(url.search, entityName);
+    // Opportunistically learn schema (field names only). Never store record values.
+    if (ctx) {
+      ctx.waitUntil(maybeLearnFromOData(entityName, redactedBody, env));
+    }
 
-    // Guardrail: require $filter for very large entities to avoid expensive scans/timeouts
-    if (requiresFilter(entityName) && !new URLSearchParams(fixedSearch).has('$filter')) {
-      return jsonError(
-        `Missing required $filter for ${entityName}. Add a restrictive $filter (and keep $top <= ${getTopCap(entityName)}).`,
-        400
-      );
+    const headers = {
+      'Content-Type': 'application/json',
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': CORS_ALLOW_METHODS,
+      'Access-Control-Allow-Headers': 'Authorization, Content-Type',
+      'Access-Control-Expose-Headers': 'X-Query-Rewrites, X-Rows-Withheld, X-Fields-Masked, X-Cache, Age, X-Export-Rows, X-Export-Complete, Content-Disposition',
+      'X-Rows-Withheld': String(withheld)
+    };
+    if (maskedFields.length > 0) {
+      headers['X-Fields-Masked'] = maskedFields.join(', ');
     }
-    
-    // Forward the request to Bloxs OData API
-    const bloxsUrl = `${env.BLOXS_BASE_URL}${normalizedPathname}${fixedSearch}`;
-    
-    try {
-      const response = await fetch(bloxsUrl, {
-        method: request.method,
+    if (queryRewrites.length > 0) {
+      headers['X-Query-Rewrites'] = formatQueryRewritesHeader(queryRewrites);
+    }
+
+    // CSV/XLSX file of the redacted rows; truncation by the paging budget is reported in a header
+    if (exportFormat) {
+      const schema = getEntitySchema(catalogue, entityName);
+      const { body: file, rows } = renderExport(exportFormat, redactedBody, {
+        select: new URLSearchParams(fixedSearch).get('$select'),
+        schema,
+        sheetName: schema?.name || 'Export'
+      });
+      return new Response(file, {
+        status: 200,
         headers: {
-          'Authorization': `Bearer ${token}`,
-          'Content-Type': 'application/json',
-          'Accept': 'application/json'
+          ...headers,
+          'Content-Type': EXPORT_FORMATS[exportFormat].contentType,
+          'Content-Disposition': `attachment; filename="${schema?.name || 'export'}.${EXPORT_FORMATS[exportFormat].extension}"`,
+          'X-Export-Rows': String(rows),
+          'X-Export-Complete': String(paging ? paging.complete : true)
         }
       });
+    }
 
-      const responseBody = await response.text();
-      
-      // If error, try to provide helpful information
-      if (!response.ok) {
-        return handleODataError(response.status, responseBody, entityName);
-      }
+    const body = annotateResponse(redactedBody, queryRewrites, withheld, paging);
+    if (cacheKey && response.status === 200) {
+      const store = writeCachedResponse(env, cacheKey, { body, headers }, cacheTtl);
+      if (ctx) ctx.waitUntil(store); else await store;
+    }
 
-      // Redact any rows that reference forbidden owner names.
-      // Applies to all entity sets to ensure the proxy never returns data tied to those owners.
-      const { body: redactedBody } = redactForbiddenOwnersFromODataJson(responseBody);
+    return new Response(body, {
+      status: response.status,
+      headers: cacheKey ? withCacheHeaders(headers, 'MISS', cacheTtl, 0) : headers
+    });
+  } catch (error) {
+    return jsonError(`Failed to fetch from Bloxs: ${error.message}`, 502);
+  }
+}
 
-      // Opportunistically learn schema (field names only). Never store record values.
-      if (ctx) {
-        ctx.waitUntil(maybeLearnFromOData(entityName, redactedBody, env));
-      }
+/**
+ * Entity reader for scheduled jobs, as the scheduler principal
+ */
+async function createSchedulerReader(env) {
+  const token = await getBloxsToken(env);
+  const catalogue = await getSchemaCatalogue(env, token);
+  const policy = resolvePolicy(await loadPolicyDocument(env), SCHEDULER_CLIENT);
+  return createEntityReader({ env, token, catalogue, policy, client: SCHEDULER_CLIENT, guardrails: READ_GUARDRAILS });
+}
 
-      return new Response(redactedBody, {
-        status: response.status,
-        headers: {
-          'Content-Type': 'application/json',
-          'Access-Control-Allow-Origin': '*',
-          'Access-Control-Allow-Methods': 'GET, OPTIONS',
-          'Access-Control-Allow-Headers': 'Authorization, Content-Type'
-        }
-      });
-    } catch (error) {
-      return jsonError(`Failed to fetch from Bloxs: ${error.message}`, 502);
+/**
+ * Store today's arrears snapshot (scheduled); failures are logged, never thrown
+ */
+async function runScheduledSnapshots(env, now) {
+  try {
+    const { snapshot, key, error } = await takeArrearsSnapshot(env, await createSchedulerReader(env), now);
+    if (error) {
+      console.log(`Arrears snapshot skipped: ${error}`);
+      return;
     }
+    console.log(`Stored ${key}: ${snapshot.owners.length} owner(s), complete=${snapshot.complete}`);
+  } catch (error) {
+    console.log(`Arrears snapshot failed: ${error.message}`);
   }
-};
+}
+
+/**
+ * Check the alert rules and post new matches to Teams (scheduled); failures are logged
+ */
+async function runScheduledAlerts(env, now) {
+  if (!isAlertStoreEnabled(env)) return;
+  try {
+    const { rules, invalid, error } = await runAlerts(env, await createSchedulerReader(env), { now });
+    if (error) {
+      console.log(`Alerts skipped: ${error}`);
+      return;
+    }
+    for (const rule of invalid) console.log(`Alert rule ${rule.id ?? '(no id)'} ignored: ${rule.error}`);
+    for (const rule of rules) {
+      const counts = `${rule.matched} matched, ${rule.sent} sent, ${rule.alreadySent} already sent, ${rule.deferred} deferred`;
+      console.log(`Alert rule ${rule.id}: ${counts}${rule.error ? ` (${rule.error})` : ''}`);
+    }
+  } catch (error) {
+    console.log(`Alerts failed: ${error.message}`);
+  }
+}
+
+/**
+ * Response headers for a cacheable response (X-Cache HIT/MISS, remaining max-age, Age)
+ */
+function withCacheHeaders(headers, status, ttl, age) {
+  return {
+    ...headers,
+    'Cache-Control': `private, max-age=${Math.max(0, ttl - age)}`,
+    'Age': String(age),
+    'X-Cache': status
+  };
+}
+
+/**
+ * Clear cached responses for one entity set (?entity=Units) or all of them
+ */
+async function handleCachePurge(url, env, client) {
+  if (!hasScope(client, 'cache:purge')) {
+    return jsonError(`API client '${client.name}' is not allowed to purge the cache`, 403);
+  }
+
+  const requested = url.searchParams.get('entity');
+  let entity = null;
+  if (requested) {
+    entity = resolveEntitySetName(await loadSchemaCatalogue(env), requested);
+    if (!entity) {
+      return jsonError(`Unknown entity set '${requested}'`, 400);
+    }
+  }
+
+  const generations = await purgeCache(env, entity);
+  return jsonResponse({ purged: entity || '*', generations });
+}
+
+/**
+ * Health: the Bloxs token's age and expiry and the circuit breaker; 503 when degraded
+ */
+async function handleHealth(env) {
+  const now = Date.now();
+  const token = await getTokenStatus(env, now);
+  const circuit = getCircuitState(now);
+  const refreshFailed = Boolean(token.lastError) && !token.present;
+  const healthy = circuit.state !== 'open' && !refreshFailed;
+  return jsonResponse({
+    status: healthy ? 'ok' : 'degraded',
+    checkedAt: new Date(now).toISOString(),
+    token,
+    circuit
+  }, healthy ? 200 : 503);
+}
+
+/**
+ * Audit trail: /odatafeed/$audit?from=&to=&caller=&entity=&action=&limit=&cursor=
+ */
+async function handleAudit(url, env, client) {
+  if (!hasScope(client, AUDIT_SCOPE)) {
+    return jsonError(`API client '${client.name}' is not allowed to read the audit trail`, 403);
+  }
+
+  const { params, error } = parseAuditQuery(url.searchParams);
+  if (error) {
+    return jsonError(error, 400);
+  }
+
+  const { result, error: queryError, status } = await queryAuditLog(env, params);
+  if (queryError) {
+    return jsonError(queryError, status);
+  }
+  return jsonResponse(result);
+}
+
+/**
+ * POST /odatafeed/ServiceTickets or PATCH /odatafeed/ServiceTickets(<id>)
+ */
+async function handleServiceTicketWrite(request, target, ctx, context) {
+  const mode = request.method === 'POST' ? 'create' : 'update';
+  if ((mode === 'create') !== (target.key == null)) {
+    return methodNotAllowed();
+  }
+  if (!isAuditStoreEnabled(context.env)) {
+    return jsonError('AUDIT_KV is not bound; writes are disabled because they cannot be audited', 501);
+  }
+
+  let payload;
+  try {
+    payload = await request.json();
+  } catch {
+    return jsonError('The request body must be valid JSON', 400);
+  }
+
+  const { status, result, error, auditId } = await writeServiceTicket({ mode, key: target.key, payload }, context);
+  const headers = auditId ? { 'X-Audit-Id': auditId } : {};
+  if (error) {
+    return jsonError(error, status, headers);
+  }
+
+  // Cached ticket lists would not show the change until their TTL ran out.
+  const purge = purgeCache(context.env, target.entity);
+  if (ctx) ctx.waitUntil(purge); else await purge;
+
+  const response = jsonResponse({ ...result, auditId }, status);
+  for (const [name, value] of Object.entries(headers)) response.headers.set(name, value);
+  return response;
+}
+
+/**
+ * List the KPIs, or compute one: /odatafeed/$kpi/<id>?ownerId=&asOf=&days=
+ */
+async function handleKpi(url, readEntity) {
+  const id = url.pathname.slice(KPI_PATH.length).replace(/^\/+|\/+$/g, '');
+  if (!id) {
+    return jsonResponse({ kpis: listKpis() });
+  }
+  if (!Object.prototype.hasOwnProperty.call(KPI_DEFINITIONS, id)) {
+    return jsonError(`Unknown KPI '${id}'. Available: ${Object.keys(KPI_DEFINITIONS).join(', ')}`, 404);
+  }
+
+  const { params, error } = parseKpiParameters(id, url.searchParams);
+  if (error) {
+    return jsonError(error, 400);
+  }
+
+  const { result, error: kpiError, status } = await computeKpi(id, params, readEntity);
+  if (kpiError) {
+    return jsonError(kpiError, status);
+  }
+  return jsonResponse(result);
+}
+
+/**
+ * List the reports, or compute one: /odatafeed/$report/<id>?ownerId=&asOf=...
+ */
+async function handleReport(url, env, readEntity) {
+  const id = url.pathname.slice(REPORT_PATH.length).replace(/^\/+|\/+$/g, '');
+  if (!id) {
+    return jsonResponse({ reports: listReports() });
+  }
+  if (!Object.prototype.hasOwnProperty.call(REPORT_DEFINITIONS, id)) {
+    return jsonError(`Unknown report '${id}'. Available: ${Object.keys(REPORT_DEFINITIONS).join(', ')}`, 404);
+  }
+
+  const { params, error } = parseReportParameters(id, url.searchParams, new Date(), env);
+  if (error) {
+    return jsonError(error, 400);
+  }
+
+  const { result, error: reportError, status } = await computeReport(id, params, readEntity);
+  if (reportError) {
+    return jsonError(reportError, status);
+  }
+  return jsonResponse(result);
+}
+
+/**
+ * Stored snapshot series: /odatafeed/$snapshots/arrears?from=&to=&ownerId=
+ */
+async function handleSnapshots(url, env, client, policy) {
+  const id = url.pathname.slice(SNAPSHOT_PATH.length).replace(/^\/+|\/+$/g, '');
+  if (!id) {
+    return jsonResponse({ series: [{ id: 'arrears', title: 'Daily arrears by age bucket', path: `${SNAPSHOT_PATH}/arrears` }] });
+  }
+  if (id !== 'arrears') {
+    return jsonError(`Unknown snapshot series '${id}'. Available: arrears`, 404);
+  }
+
+  const { params, error } = parseSeriesParameters(url.searchParams);
+  if (error) {
+    return jsonError(error, 400);
+  }
+
+  const { result, error: seriesError, status } = await readArrearsSeries(env, params, { client, policy });
+  if (seriesError) {
+    return jsonError(seriesError, status);
+  }
+  return jsonResponse(result);
+}
+
+/**
+ * Lease-event calendar: /odatafeed/$calendar?ownerId=&asOf=&months= (JSON) or $calendar.ics
+ *
+ * Feed requests use the parameters fixed in their token (feedParams).
+ */
+async function handleCalendar(url, env, client, feedParams, readEntity) {
+  let params = feedParams;
+  if (!params) {
+    const parsed = parseCalendarParameters(url.searchParams);
+    if (parsed.error) {
+      return jsonError(parsed.error, 400);
+    }
+    params = parsed.params;
+  }
+
+  const { result, error, status } = await buildLeaseCalendar(params, readEntity);
+  if (error) {
+    return jsonError(error, status);
+  }
+
+  if (url.pathname === CALENDAR_ICS_PATH) {
+    const name = params.ownerId != null ? `Lease calendar (owner ${params.ownerId})` : 'Lease calendar';
+    return new Response(renderICalendar(result.events, { name, host: url.hostname }), {
+      headers: {
+        'Content-Type': 'text/calendar; charset=utf-8',
+        'Content-Disposition': 'inline; filename="lease-calendar.ics"',
+        'Cache-Control': 'private, no-store',
+        'Access-Control-Allow-Origin': '*'
+      }
+    });
+  }
+
+  const feed = await createFeedToken(env, client, params);
+  return jsonResponse({
+    ...result,
+    subscribeUrl: feed ? `${url.origin}${CALENDAR_ICS_PATH}?feed=${feed}` : null
+  });
+}
+
+/**
+ * List the named relationships, or run a join:
+ * /odatafeed/$join/<relationship>?filter=&select=&top= or /odatafeed/$join?spec=<JSON>
+ */
+async function handleJoin(url, env, catalogue, policy, readEntity) {
+  const relationship = url.pathname.slice(JOIN_PATH.length).replace(/^\/+|\/+$/g, '');
+  const spec = url.searchParams.get('spec');
+  if (!relationship && !spec) {
+    return jsonResponse({ relationships: listJoinRelationships() });
+  }
+
+  if (relationship && !Object.prototype.hasOwnProperty.call(JOIN_RELATIONSHIPS, relationship)) {
+    return jsonError(`Unknown relationship '${relationship}'. Available: ${Object.keys(JOIN_RELATIONSHIPS).join(', ')}`, 404);
+  }
+
+  const { plan, error, ...hints } = planJoin({
+    relationship,
+    spec,
+    searchParams: url.searchParams,
+    catalogue,
+    requiresFilter
+  });
+  if (error) {
+    return jsonResponse({ error, status: 400, ...hints }, 400);
+  }
+
+  const { result, error: joinError, status } = await executeJoin(plan, {
+    readEntity,
+    getMasks: (schema) => getFieldMasks(policy.masking, schema),
+    env
+  });
+  if (joinError) {
+    return jsonError(joinError, status);
+  }
+  return jsonResponse(result);
+}
 
 /**
  * Validate and fix OData query parameters
+ *
+ * Returns { search, error, rewrites }; error is set when the query must be rejected,
+ * rewrites lists every change made so callers can report it.
  */
-function validateAndFixQuery(search, entityName) {
-  if (!search || !entityName) return search;
+function validateAndFixQuery(search, entityName, catalogue) {
+  const rewrites = [];
+  if (!search || !entityName) return { search, error: null, rewrites };
   
   const params = new URLSearchParams(search);
   const orderBy = params.get('$orderby');
 
+  // Parse $filter, reject malformed expressions and case-correct field names
+  const filter = params.get('$filter');
+  if (filter != null) {
+    const result = validateFilter(filter, catalogue, entityName);
+    if (!result.ok) {
+      return { search, error: { parameter: '$filter', value: filter, ...result.error }, rewrites };
+    }
+    if (result.filter !== filter) {
+      params.set('$filter', result.filter);
+      rewrites.push(...result.rewrites.map(r => ({ parameter: '$filter', ...r })));
+      // Field names only: the filter text itself can carry personal data.
+      console.log(`Normalized $filter fields: ${result.rewrites.map(r => `${r.from} -> ${r.to}`).join(', ')}`);
+    }
+  }
+
+  // Case-correct $select and drop fields the entity does not have
+  const select = params.get('$select');
+  if (select != null) {
+    const result = validateSelect(select, catalogue, entityName);
+    if (result.error) {
+      return { search, error: { parameter: '$select', value: select, ...result.error }, rewrites };
+    }
+    if (result.select == null) {
+      params.delete('$select');
+    } else if (result.select !== select) {
+      params.set('$select', result.select);
+    }
+    rewrites.push(...result.rewrites);
+  }
+
+  // $expand paths must be navigation properties of the entity
+  const expand = params.get('$expand');
+  if (expand != null) {
+    const result = validateExpand(expand, catalogue, entityName);
+    if (result.error) {
+      return { search, error: { parameter: '$expand', value: expand, ...result.error }, rewrites };
+    }
+    if (result.expand !== expand) {
+      params.set('$expand', result.expand);
+    }
+    rewrites.push(...result.rewrites);
+  }
+
   // Enforce $top caps (especially for large tables like FinancialMutations)
   const top = params.get('$top');
   if (top != null) {
@@ -281,13 +869,14 @@ function validateAndFixQuery(search, entityName) {
       const cap = getTopCap(entityName);
       if (parsedTop > cap) {
         params.set('$top', String(cap));
+        rewrites.push({ parameter: '$top', from: top, to: String(cap), reason: 'capped' });
       }
     }
   }
   
-  // If there's an $orderby, validate the field exists
-  if (orderBy) {
-    const knownFields = getKnownSortableFields(entityName);
+  // If there's an $orderby, validate the field exists (unknown entities are left to Bloxs)
+  const knownFields = getSortableFields(catalogue, entityName);
+  if (orderBy && knownFields.length > 0) {
     const fieldMap = buildCanonicalFieldMap(knownFields);
 
     // Support multi-field orderby: "Field1 desc, Field2 asc"
@@ -309,26 +898,63 @@ function validateAndFixQuery(search, entityName) {
     }
 
     if (normalizedSegments.length === 0) {
-      const safeField = findSafeOrderByField(entityName);
+      const safeField = findSafeOrderByField(catalogue, entityName);
       if (safeField) {
         const direction = orderBy.toLowerCase().includes('desc') ? ' desc' : '';
         params.set('$orderby', safeField + direction);
+        rewrites.push({ parameter: '$orderby', from: orderBy, to: safeField + direction, reason: 'unknown field' });
         console.log(`Fixed $orderby: ${orderBy} -> ${safeField}${direction}`);
       } else {
         params.delete('$orderby');
+        rewrites.push({ parameter: '$orderby', from: orderBy, to: null, reason: 'unknown field' });
         console.log(`Removed invalid $orderby: ${orderBy}`);
       }
     } else {
       const normalized = normalizedSegments.join(', ');
       if (normalized !== orderBy) {
         params.set('$orderby', normalized);
+        rewrites.push({ parameter: '$orderby', from: orderBy, to: normalized });
         console.log(`Normalized $orderby: ${orderBy} -> ${normalized}`);
       }
     }
   }
   
   const newSearch = params.toString();
-  return newSearch ? '?' + newSearch : '';
+  return { search: newSearch ? '?' + newSearch : '', error: null, rewrites };
+}
+
+/**
+ * Compact header form of query rewrites, e.g. "$select Address -> (removed); $top 1000 -> 500"
+ */
+function formatQueryRewritesHeader(rewrites) {
+  return rewrites
+    .map(r => `${r.parameter} ${r.from} -> ${r.to ?? '(removed)'}`)
+    .join('; ')
+    .replace(/[^\x20-\x7e]/g, '?');
+}
+
+/**
+ * Add proxy annotations to an OData JSON body so the agent can see what was changed:
+ * @proxy.queryRewrites (query changes), @proxy.rowsWithheld (rows removed by policy)
+ * and @proxy.paging ($all=true page merge)
+ */
+function annotateResponse(responseBody, rewrites, withheld, paging) {
+  const annotations = {};
+  if (paging) annotations['@proxy.paging'] = paging;
+  if (rewrites && rewrites.length > 0) annotations['@proxy.queryRewrites'] = rewrites;
+  if (withheld > 0) {
+    annotations['@proxy.rowsWithheld'] = withheld;
+    annotations['@proxy.note'] = `${withheld} row(s) withheld by access policy; totals are partial.`;
+  }
+  if (Object.keys(annotations).length === 0) return responseBody;
+
+  try {
+    const parsed = JSON.parse(responseBody);
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) return responseBody;
+    return JSON.stringify({ ...annotations, ...parsed });
+  } catch {
+    return responseBody;
+  }
 }
 
 function buildCanonicalFieldMap(fields) {
@@ -344,19 +970,27 @@ function buildCanonicalFieldMap(fields) {
 /**
  * Find a safe default field for ordering
  */
-function findSafeOrderByField(entityName) {
-  const knownFields = getKnownSortableFields(entityName);
-  if (knownFields && knownFields.length > 0) {
-    // Prefer Id or Reference fields for stable sorting
-    const preferred = knownFields.find(f => f.endsWith('Id') || f === 'Reference');
+function findSafeOrderByField(catalogue, entityName) {
+  const knownFields = getSortableFields(catalogue, entityName);
+  if (knownFields.length > 0) {
+    // Prefer the entity key, then Id or Reference fields for stable sorting
+    const schema = getEntitySchema(catalogue, entityName);
+    const key = schema?.keys.find(k => knownFields.includes(k));
+    const preferred = key || knownFields.find(f => f.endsWith('Id') || f === 'Reference');
     return preferred || knownFields[0];
   }
   return null;
 }
 
-function getKnownSortableFields(entityName) {
-  const key = (entityName || '').toLowerCase();
-  return KNOWN_SORTABLE_FIELDS_LOWER[key] || KNOWN_SORTABLE_FIELDS['default'];
+/**
+ * Fields that can appear in $orderby (primitive and enum properties, no collections)
+ */
+function getSortableFields(catalogue, entityName) {
+  const schema = getEntitySchema(catalogue, entityName);
+  if (!schema) return [];
+  return schema.properties
+    .filter(p => !p.type.startsWith('Collection('))
+    .map(p => p.name);
 }
 
 function getTopCap(entityName) {
@@ -369,7 +1003,16 @@ function requiresFilter(entityName) {
   return ENTITIES_REQUIRE_FILTER.has(key);
 }
 
-function normalizeODataPathname(pathname) {
+/**
+ * Paging budget for $all and exports; entity sets that require a $filter stay within their $top cap
+ */
+function getFollowAllBudget(env, entityName) {
+  const budget = getPagingBudget(env);
+  if (!requiresFilter(entityName)) return budget;
+  return { ...budget, maxRows: Math.min(budget.maxRows, getTopCap(entityName)) };
+}
+
+function normalizeODataPathname(pathname, catalogue) {
   if (!pathname || !pathname.startsWith('/odatafeed/')) return pathname;
   const rest = pathname.slice('/odatafeed/'.length);
   const slashIndex = rest.indexOf('/');
@@ -378,9 +1021,12 @@ function normalizeODataPathname(pathname) {
   // Don't rewrite special endpoints
   if (firstSegment.startsWith('$')) return pathname;
 
-  const replacement = ENTITY_PATH_ALIASES[firstSegment];
+  // Bloxs entity set names can be case-sensitive; match them case-insensitively.
+  const replacement = resolveEntitySetName(catalogue, firstSegment);
   if (!replacement) return pathname;
-  return `/odatafeed/${replacement}${slashIndex === -1 ? '' : rest.slice(slashIndex)}`;
+  const keyPredicateIndex = firstSegment.indexOf('(');
+  const keyPredicate = keyPredicateIndex === -1 ? '' : firstSegment.slice(keyPredicateIndex);
+  return `/odatafeed/${replacement}${keyPredicate}${slashIndex === -1 ? '' : rest.slice(slashIndex)}`;
 }
 
 function isLearningEnabled(env) {
@@ -500,10 +1146,33 @@ async function handleLearnSummary(url, env) {
   );
 }
 
+/**
+ * Reject a query that failed validation, pointing at the offending token
+ */
+function queryValidationError(queryError, entityName) {
+  const { parameter, value, message, ...details } = queryError;
+  const body = {
+    error: `Invalid ${parameter}: ${message}`,
+    status: 400,
+    entity: entityName,
+    parameter,
+    value,
+    ...details
+  };
+
+  return new Response(JSON.stringify(body, null, 2), {
+    status: 400,
+    headers: {
+      'Content-Type': 'application/json',
+      'Access-Control-Allow-Origin': '*'
+    }
+  });
+}
+
 /**
  * Handle OData errors with helpful messages
  */
-function handleODataError(status, responseBody, entityName) {
+function handleODataError(status, responseBody, entityName, catalogue) {
   let errorInfo = { error: 'Unknown error', details: responseBody };
   
   try {
@@ -529,9 +1198,18 @@ function handleODataError(status, responseBody, entityName) {
   };
   
   if (invalidField) {
+    const schema = getEntitySchema(catalogue, entityName);
+    const closest = findClosestField(getEntityFieldNames(catalogue, entityName), invalidField);
     helpfulError.invalidField = invalidField;
-    helpfulError.suggestion = `The field '${invalidField}' does not exist on ${entityName}.`;
-    helpfulError.availableFields = getKnownSortableFields(entityName);
+    helpfulError.suggestion = closest
+      ? `The field '${invalidField}' does not exist on ${entityName}. Did you mean '${closest}'?`
+      : `The field '${invalidField}' does not exist on ${entityName}.`;
+    helpfulError.availableFields = getEntityFieldNames(catalogue, entityName);
+    if (schema) {
+      helpfulError.keyFields = schema.keys;
+      helpfulError.fieldTypes = describeEntitySchema(catalogue, entityName).fields;
+      helpfulError.navigationProperties = schema.navigationProperties.map(n => n.name);
+    }
   }
   
   return new Response(JSON.stringify(helpfulError, null, 2), {
@@ -543,16 +1221,41 @@ function handleODataError(status, responseBody, entityName) {
   });
 }
 
+/**
+ * The message of an error in Bloxs' shape ({ error: { message } }), if the body has one
+ */
+function readUpstreamMessage(body) {
+  try {
+    return JSON.parse(body)?.error?.message || null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Load the schema catalogue for endpoints that run before the main proxy flow
+ */
+async function loadSchemaCatalogue(env) {
+  let token = null;
+  try {
+    token = await getBloxsToken(env);
+  } catch {
+    // Without a token the bundled metadata.xml is used.
+  }
+  return getSchemaCatalogue(env, token);
+}
+
 /**
  * Provide a summary of available entities and their known fields
  */
-async function handleMetadataSummary(env) {
+async function handleMetadataSummary(catalogue) {
   const summary = {
     description: 'Available OData entities and their commonly used fields',
     note: 'Important: many label fields (Status/State/WorkflowState/CategoryName/etc.) are tenant- and language-specific. Do not hardcode string equals filters; first discover valid values via lookup endpoints or by sampling recent records, then filter using the exact returned values.',
     agentRules: {
-      batching: 'Never query per unit/property in a loop. Fetch each entity once ($top=200–500) and group/join in-memory.',
+      batching: 'Never query per unit/property in a loop. Fetch each entity once ($top=200–500) and group/join in-memory, or use /odatafeed/$join for the commonJoins paths.',
       financialMutations: 'FinancialMutations can be very large: always use a restrictive $filter and keep $top <= 100.',
+      rateLimits: 'Requests are rate-limited per API key, FinancialMutations and JournalPostTransactions more tightly. On HTTP 429 wait the Retry-After seconds before retrying, and batch instead of repeating queries.',
       yearReference: 'Current year is 2026. Use FinancialYear eq 2026 or year(TransactionDate) eq 2026 for current-year queries.'
     },
     businessInsights: {
@@ -573,7 +1276,8 @@ async function handleMetadataSummary(env) {
           description: "Total potential rent lost due to vacancy",
           sources: ["Units (OccupationPercentage lt 1)", "TheoreticalRentItems (Amount per vacant UnitId)"],
           calculation: "Sum TheoreticalRentItems.Amount for all Units where OccupationPercentage < 1. Group by Owner/Complex for actionable breakdown.",
-          businessValue: "Quantifies the €-cost of vacancy, enabling ROI analysis for marketing/renovation investments."
+          businessValue: "Quantifies the €-cost of vacancy, enabling ROI analysis for marketing/renovation investments.",
+          endpoint: "/odatafeed/$report/vacancy-impact?ownerId=&complexId=&asOf="
         },
         "Problem Property Identification": {
           description: "Properties with disproportionate maintenance cost or ticket volume",
@@ -585,13 +1289,15 @@ async function handleMetadataSummary(env) {
           description: "Composite risk assessment per tenant based on payment behavior and lease terms",
           sources: ["OpenPositionDebtors (Age, OutstandingAmount per RelationId)", "SalesContracts (EndDate, RelationId)"],
           calculation: "Score = (Avg Payment Age / 30) + (OutstandingAmount / MonthlyRent) + (Months to Expiry < 6 ? 1 : 0). Higher = riskier.",
-          businessValue: "Prioritize collection efforts and identify tenants needing retention or exit strategies."
+          businessValue: "Prioritize collection efforts and identify tenants needing retention or exit strategies.",
+          endpoint: "/odatafeed/$report/tenant-risk?ownerId=&asOf=&top="
         },
         "Net Operating Income (NOI) by Property": {
           description: "Property-level profitability analysis",
           sources: ["SalesContractLineItems or SalesInvoiceLines (income)", "FinancialMutations or PurchaseInvoiceLines (expenses by RealEstateObjectId)"],
           calculation: "NOI = Annual Rent Income - Operating Expenses (exclude financing). Group by property.",
-          businessValue: "Identifies underperforming assets and validates investment decisions. GUI only shows totals."
+          businessValue: "Identifies underperforming assets and validates investment decisions. GUI only shows totals.",
+          endpoint: "/odatafeed/$report/noi?year=&ownerId=&source=ledger|invoices"
         },
         "Owner Portfolio Comparison": {
           description: "Benchmark owners against each other on key metrics",
@@ -621,13 +1327,15 @@ async function handleMetadataSummary(env) {
           description: "Are we getting better or worse at collecting rent?",
           sources: ["OpenPositionDebtors (snapshot)", "SalesInvoices (historical, by month)"],
           calculation: "Monthly: (Collected / Invoiced) %. Plot 12-month trend.",
-          businessValue: "Early warning for deteriorating tenant quality or economic conditions."
+          businessValue: "Early warning for deteriorating tenant quality or economic conditions.",
+          endpoint: "/odatafeed/$snapshots/arrears?from=&to=&ownerId= (daily outstanding by age bucket)"
         },
         "Indexation Impact Forecast": {
           description: "Projected rent increase from upcoming indexations",
           sources: ["SalesContracts (with IndexationMethodId)", "IndexationSeries + IndexationSeriesValues (latest %)", "SalesContractLineItems (current rent)"],
           calculation: "For contracts with upcoming indexation: CurrentRent × LatestIndexPercentage = Increase.",
-          businessValue: "Forecast revenue growth from CPI/indexation. Budget planning essential."
+          businessValue: "Forecast revenue growth from CPI/indexation. Budget planning essential.",
+          endpoint: "/odatafeed/$report/indexation-forecast?ownerId=&asOf=&months=&cpi="
         },
         "CAPEX vs OPEX Trend": {
           description: "Capital expenditure vs operating expense balance",
@@ -646,132 +1354,109 @@ async function handleMetadataSummary(env) {
     entities: {
       Units: {
         description: 'Rental units (apartments, offices, retail spaces). Core entity for occupancy analysis.',
-        sortableFields: KNOWN_SORTABLE_FIELDS['Units'],
         filterExamples: ["OccupationPercentage lt 1 (Vacant)", "OwnerId eq 515", "contains(CategoryName,'Winkel')"],
         note: 'Use OwnerId to filter by owner. RealEstateObjects base table does NOT have OwnerId - use Units instead. Use OccupationPercentage < 1 to find vacant units.'
       },
       SalesContracts: {
         description: 'Rent contracts with tenants.',
-        sortableFields: KNOWN_SORTABLE_FIELDS['SalesContracts'],
         filterExamples: ["IsEnded eq false", "EndDate lt 2026-06-01 (Upcoming Expiration)"],
         joinInfo: 'Use SalesContractRealestateObjects to link to Units. Use RelationId to link to Persons/Tenants.'
       },
       SalesContractRealestateObjects: {
         description: 'JOIN TABLE linking SalesContracts to RealEstateObjects/Units',
-        sortableFields: KNOWN_SORTABLE_FIELDS['SalesContractRealestateObjects'],
         joinInstructions: 'SalesContracts.SalesContractId → this.SalesContractId, this.RealEstateObjectId → Units.UnitId'
       },
       Persons: {
         description: 'Contact details for people (tenants, contacts)',
-        sortableFields: KNOWN_SORTABLE_FIELDS['Persons'],
         filterExamples: ["contains(DisplayName, 'naam')", "RelationId eq 123"],
         joinInfo: 'RelationId links to SalesContracts.RelationId'
       },
       Complexes: {
         description: 'Buildings/complexes containing multiple units',
-        sortableFields: KNOWN_SORTABLE_FIELDS['Complexes'],
         filterExamples: ["OccupationPercentage lt 1"]
       },
       FinancingContracts: {
         description: 'Mortgages and loans on properties (hypotheken/leningen) - VAAK LEEG!',
-        sortableFields: KNOWN_SORTABLE_FIELDS['FinancingContracts'],
         filterExamples: ["IsEnded eq false"],
         joinInfo: 'RealEstateObjectId links to Units.UnitId',
         note: 'WAARSCHUWING: Deze tabel is meestal leeg! Hypotheekdata staat bijna altijd in FinancialMutations. Workflow: 1) Query LedgerAccounts met contains(Name,\"hypothe\") om codes te vinden, 2) Query FinancialMutations met die LedgerAccountCode.'
       },
       FinancialMutations: {
         description: 'General ledger transactions - THE SOURCE for mortgage/loan payments!',
-        sortableFields: KNOWN_SORTABLE_FIELDS['FinancialMutations'],
         filterExamples: ["FinancialYear eq 2026", "contains(RealEstateObjectName,'straat')"],
         note: 'Always use a restrictive $filter and small $top. For mortgage questions: first discover the relevant ledger account code(s) via LedgerAccounts, then filter here. Contains RealEstateObjectName, RelationName (bank), Amount.'
       },
       LedgerAccounts: {
         description: 'Chart of accounts (grootboekrekeningen)',
-        sortableFields: KNOWN_SORTABLE_FIELDS['LedgerAccounts'],
         filterExamples: ["contains(Name,'hypothe')", "contains(Name,'lening')"],
         note: "Do not hardcode ledger codes. First discover the right Code(s) by querying this entity (e.g. contains(Name,'hypothe') / contains(Name,'rente')), then use those Code(s) in FinancialMutations filters."
       },
       Meters: {
         description: 'Utility meters (electricity, gas, water)',
-        sortableFields: KNOWN_SORTABLE_FIELDS['Meters'],
         joinInfo: 'RealEstateObjectId links to Units.UnitId'
       },
       PropertyValuationValues: {
         description: 'WOZ values and other property valuations',
-        sortableFields: KNOWN_SORTABLE_FIELDS['PropertyValuationValues'],
         filterExamples: ["ValuationYear eq 2026", "contains(RealEstateObjectName,'straat')", "RealEstateObjectId eq 123"],
         joinInfo: 'RealEstateObjectId links to Units.UnitId',
         note: 'For WOZ by owner: first query Units with OwnerId eq X to get UnitIds, then filter PropertyValuationValues by those RealEstateObjectIds. Use ValuationYear eq 2026 for current values.'
       },
       ServiceTicketStates: {
         description: 'Valid maintenance ticket states (use this to discover the exact names/ids for filtering ServiceTickets)',
-        sortableFields: KNOWN_SORTABLE_FIELDS['ServiceTicketStates'],
         filterExamples: ["contains(Name,'act')", "contains(Name,'open')", "contains(Name,'afger')"],
         note: 'State names are tenant- and language-specific. Query here first, then filter ServiceTickets by ServiceTicketStateName or state id fields if available.'
       },
       ServiceTickets: {
         description: 'Maintenance service tickets (NO JOIN NEEDED - contains all names)',
-        sortableFields: KNOWN_SORTABLE_FIELDS['ServiceTickets'],
         filterExamples: ["ClosingDate eq null", "ReportingDate ge 2026-01-01", "contains(ServiceTicketStateName,'Act')"],
         note: "Already includes RealEstateObjectName, TenantName, SupplierName. For 'open/active' tickets: first query ServiceTicketStates to find valid state names, then filter by ServiceTicketStateName."
       },
       Notes: {
         description: 'Notes attached to entities',
-        sortableFields: KNOWN_SORTABLE_FIELDS['Notes'],
         filterExamples: ["EntityLinkType eq 'Person'", "EntityId eq 123"],
         joinInfo: 'EntityId + EntityLinkType links to Person/Organisation'
       },
       OpenPositionDebtors: {
         description: 'Outstanding receivables (debtor aging)',
-        sortableFields: KNOWN_SORTABLE_FIELDS['OpenPositionDebtors'],
         filterExamples: ["Age gt 90", "OutstandingAmount gt 1000"]
       },
       OpenPositionCreditors: {
         description: 'Outstanding payables (creditor aging)',
-        sortableFields: KNOWN_SORTABLE_FIELDS['OpenPositionCreditors'],
         filterExamples: ["Age gt 30"]
       },
       Owners: {
         description: 'Property owners with contact info and company details',
-        sortableFields: KNOWN_SORTABLE_FIELDS['Owners'],
         filterExamples: ["contains(State,'Act')", "contains(DisplayName, 'BV')"]
       },
       SalesInvoices: {
         description: 'Sales invoices to tenants',
-        sortableFields: KNOWN_SORTABLE_FIELDS['SalesInvoices'],
         filterExamples: ["InvoiceDate ge 2026-01-01", "FinancialYear eq 2026"],
         note: "WorkflowState values are tenant- and language-specific. To filter by state, first sample recent invoices ($top=10, $select=SalesInvoiceId,WorkflowState,InvoiceDate) to discover valid values, then filter using the exact returned value(s)."
       },
       OwnerSettlements: {
         description: 'Owner settlements/statements (afrekeningen)',
-        sortableFields: KNOWN_SORTABLE_FIELDS['OwnerSettlements'],
         filterExamples: ["PeriodStart ge 2026-01-01", "PeriodEnd le 2026-12-31"]
       },
       Tasks: {
         description: 'System tasks and reminders',
-        sortableFields: KNOWN_SORTABLE_FIELDS['Tasks'],
         filterExamples: ["Deadline le 2026-06-01", "ShowFromDate le 2026-01-31"],
         note: "Status values can vary by tenant/language. If you need status-based filtering, first sample recent tasks ($top=10, $select=TaskId,Status,Deadline) to discover valid values."
       },
       Addresses: {
         description: 'Address records with coordinates',
-        sortableFields: KNOWN_SORTABLE_FIELDS['Addresses'],
         filterExamples: ["City eq 'Amsterdam'"]
       },
       MeterReadings: {
         description: 'Meter reading values over time',
-        sortableFields: KNOWN_SORTABLE_FIELDS['MeterReadings'],
         filterExamples: ["ReadingDate gt 2026-01-01"],
         joinInfo: 'MeterId links to Meters.MeterId'
       },
       IndexationMethods: {
         description: 'Rent indexation methods (CPI, fixed, etc)',
-        sortableFields: KNOWN_SORTABLE_FIELDS['IndexationMethods'],
         filterExamples: ["contains(Name,'CPI')"]
       },
       CommercialOverview: {
         description: 'Commercial summary per property - NO JOIN NEEDED! Contains tenant, owner, rent, contract dates',
-        sortableFields: KNOWN_SORTABLE_FIELDS['CommercialOverview'],
         keyFields: ['RealEstateObjectId', 'Address', 'OwnerName', 'TenantName', 'IsOccupied', 'BareRent_Yearly_TotalAmountExcl', 'ContractStartDate', 'ContractEndDate', 'CategoryName'],
         filterExamples: ["IsOccupied eq true", "IsOccupied eq false"],
         note: 'Excellent for quick portfolio overview. IMPORTANT: rent field is BareRent_Yearly_TotalAmountExcl (not BareRent). Also has ServiceCosts_Yearly_TotalAmountExcl, ContractReference, RentableFloorArea.'
@@ -782,7 +1467,6 @@ async function handleMetadataSummary(env) {
       },
       PurchaseInvoices: {
         description: 'Purchase invoices from suppliers - KEY for cost analysis',
-        sortableFields: KNOWN_SORTABLE_FIELDS['PurchaseInvoices'],
         keyFields: ['PurchaseInvoiceId', 'Reference', 'InvoiceDate', 'TotalValueIncluding', 'RelationName', 'RealEstateObjectName', 'FinancialYear'],
         filterExamples: ["InvoiceDate ge 2026-01-01", "FinancialYear eq 2026", "contains(RealEstateObjectName,'straat')"],
         joinInfo: 'RelationId → Relations (supplier), ServiceTicketId → ServiceTickets',
@@ -790,7 +1474,6 @@ async function handleMetadataSummary(env) {
       },
       PurchaseInvoiceLines: {
         description: 'Individual purchase invoice lines with property breakdown',
-        sortableFields: KNOWN_SORTABLE_FIELDS['PurchaseInvoiceLines'],
         keyFields: ['PurchaseInvoiceLineId', 'PurchaseInvoiceId', 'RealEstateObjectId', 'RealEstateObjectName', 'Amount'],
         filterExamples: ["RealEstateObjectId eq 123", "Amount gt 1000"],
         joinInfo: 'PurchaseInvoiceId → PurchaseInvoices, RealEstateObjectId → Units',
@@ -798,21 +1481,18 @@ async function handleMetadataSummary(env) {
       },
       TheoreticalRentItems: {
         description: 'Potential/market rent per property - key for vacancy impact analysis',
-        sortableFields: KNOWN_SORTABLE_FIELDS['TheoreticalRentItems'],
         filterExamples: ["RealEstateObjectId eq 123", "Amount gt 0"],
         joinInfo: 'RealEstateObjectId → Units.UnitId',
         note: 'Use this to calculate financial impact of vacancy: sum Amount for vacant units.'
       },
       Installations: {
         description: 'Equipment and installations (CV, lift, etc) with maintenance schedules',
-        sortableFields: KNOWN_SORTABLE_FIELDS['Installations'],
         filterExamples: ["NextMaintenanceOn lt 2026-06-01"],
         joinInfo: 'RealEstateObjectId → Units, SupplierId → Relations (maintenance company)',
         note: 'Useful for preventive maintenance planning. Filter by NextMaintenanceOn for upcoming maintenance.'
       },
       Projects: {
         description: 'Renovation/development projects with budgets and timelines',
-        sortableFields: KNOWN_SORTABLE_FIELDS['Projects'],
         filterExamples: ["Status eq 'Active'", "EndDate gt 2026-01-01"],
         note: 'Status values may be tenant-specific. Sample first to discover valid values.'
       },
@@ -830,7 +1510,6 @@ async function handleMetadataSummary(env) {
       },
       Relations: {
         description: 'Base table for all relation types (persons, organisations, suppliers, owners)',
-        sortableFields: KNOWN_SORTABLE_FIELDS['Relations'],
         note: 'Use specific tables like Persons, Owners for more details'
       },
       SalesContractLines: {
@@ -839,14 +1518,12 @@ async function handleMetadataSummary(env) {
       },
       SalesContractLineItems: {
         description: 'Detailed rent line items with amounts - KEY for rent analysis per property/owner',
-        sortableFields: KNOWN_SORTABLE_FIELDS['SalesContractLineItems'],
         keyFields: ['SalesContractLineItemId', 'SalesContractId', 'RealEstateObjectId', 'RealEstateObjectName', 'Amount', 'StartDate', 'EndDate'],
         filterExamples: ["Amount gt 0", "contains(RealEstateObjectName,'straat')", "EndDate ge 2026-01-01"],
         note: 'Contains RealEstateObjectName directly - no join needed for property info. Use for rent totals per property/owner.'
       },
       Buildings: {
         description: 'Building-level real estate objects (standalone properties)',
-        sortableFields: KNOWN_SORTABLE_FIELDS['Buildings'],
         filterExamples: ["OwnerId eq 515", "contains(DisplayName,'straat')", "contains(Owner,'Roks')"],
         keyFields: ['BuildingId', 'RealEstateObjectId', 'Reference', 'DisplayName', 'DisplayAddress', 'OwnerId', 'Owner'],
         note: 'Buildings have OwnerId directly. Use DisplayAddress for address info, NOT Address.'
@@ -857,7 +1534,6 @@ async function handleMetadataSummary(env) {
       },
       RealEstateObjects: {
         description: 'Base table for all property types (Buildings, Complexes, Units, Sections)',
-        sortableFields: KNOWN_SORTABLE_FIELDS['RealEstateObjects'],
         keyFields: ['RealEstateObjectId', 'Reference', 'DisplayName', 'DisplayAddress', 'CategoryName'],
         note: 'Base table - use specific tables (Units, Buildings, Complexes) for OwnerId filtering. Address info is in DisplayAddress field.'
       }
@@ -1044,9 +1720,39 @@ async function handleMetadataSummary(env) {
       '$orderby': 'Sort results (e.g., StartDate desc)',
       '$top': 'Limit results (e.g., 10)',
       '$skip': 'Skip results for pagination',
-      '$count': 'Include total count (true/false)'
+      '$count': 'Include total count (true/false)',
+      '$format': 'csv or xlsx returns a file of all pages (Dutch dates and decimals) instead of JSON'
     }
   };
+
+  // Attach key, typed fields and navigation properties from the $metadata catalogue.
+  const describedEntitySets = new Set();
+  for (const [name, info] of Object.entries(summary.entities)) {
+    const schema = describeEntitySchema(catalogue, name);
+    if (schema) {
+      info.schema = schema;
+      describedEntitySets.add(schema.entitySet);
+    }
+  }
+  summary.otherEntitySets = Object.keys(catalogue.entitySets)
+    .filter(name => !describedEntitySets.has(name))
+    .sort();
+  summary.schemaSource = { source: catalogue.source, loadedAt: catalogue.loadedAt };
+  summary.kpiEndpoints = listKpis().map(({ id, title, path }) => ({ id, title, path }));
+  summary.reportEndpoints = listReports().map(({ id, title, path }) => ({ id, title, path }));
+  summary.joinEndpoints = listJoinRelationships().map(({ id, title, path }) => ({ id, title, path }));
+  summary.snapshotEndpoints = [{ id: 'arrears', path: `${SNAPSHOT_PATH}/arrears?from=&to=&ownerId=` }];
+  summary.calendarEndpoints = {
+    json: `${CALENDAR_PATH}?ownerId=&asOf=&months=`,
+    ics: `${CALENDAR_ICS_PATH}?ownerId=&months=`
+  };
+  summary.writeEndpoints = [
+    { method: 'POST', path: '/odatafeed/ServiceTickets', scope: WRITE_SCOPE },
+    { method: 'PATCH', path: '/odatafeed/ServiceTickets(<id>)', scope: WRITE_SCOPE }
+  ];
+  summary.auditEndpoints = [
+    { method: 'GET', path: `${AUDIT_PATH}?from=&to=&caller=&entity=&action=&limit=&cursor=`, scope: AUDIT_SCOPE }
+  ];
   
   return new Response(JSON.stringify(summary, null, 2), {
     status: 200,
@@ -1057,104 +1763,6 @@ async function handleMetadataSummary(env) {
   });
 }
 
-/**
- * Get a valid Bloxs JWT token, refreshing if needed
- */
-async function getBloxsToken(env) {
-  const now = Date.now();
-  
-  // Return cached token if still valid (with 5 minute buffer)
-  if (cachedToken && tokenExpiry > now + 300000) {
-    return cachedToken;
-  }
-
-  // Request new token from Bloxs
-  const response = await fetch(`${env.BLOXS_BASE_URL}/Authorization`, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json'
-    },
-    body: JSON.stringify({
-      apiKey: env.BLOXS_API_KEY,
-      apiSecret: env.BLOXS_API_SECRET
-    })
-  });
-
-  if (!response.ok) {
-    throw new Error(`Bloxs auth failed: ${response.status}`);
-  }
-
-  const data = await response.json();
-  cachedToken = data.token;
-
-  // Prefer JWT exp (if token is a JWT); fallback to Bloxs expiration string.
-  const jwtExpiryMs = getJwtExpiryMs(cachedToken);
-  if (jwtExpiryMs) {
-    tokenExpiry = jwtExpiryMs;
-  } else {
-    const parsedExpiry = parseBloxsExpirationMs(data.expiration);
-    tokenExpiry = parsedExpiry || (now + 55 * 60 * 1000);
-  }
-
-  return cachedToken;
-}
-
-function getJwtExpiryMs(token) {
-  if (!token || typeof token !== 'string') return null;
-  const parts = token.split('.');
-  if (parts.length !== 3) return null;
-  try {
-    const payloadJson = base64UrlDecodeToString(parts[1]);
-    const payload = JSON.parse(payloadJson);
-    if (typeof payload.exp === 'number' && Number.isFinite(payload.exp)) {
-      return payload.exp * 1000;
-    }
-  } catch {
-    // ignore
-  }
-  return null;
-}
-
-function base64UrlDecodeToString(value) {
-  const padded = value.replace(/-/g, '+').replace(/_/g, '/') + '==='.slice((value.length + 3) % 4);
-  const binary = atob(padded);
-  const bytes = new Uint8Array(binary.length);
-  for (let i = 0; i < binary.length; i++) {
-    bytes[i] = binary.charCodeAt(i);
-  }
-  return new TextDecoder('utf-8').decode(bytes);
-}
-
-function parseBloxsExpirationMs(expiration) {
-  if (!expiration || typeof expiration !== 'string') return null;
-  // Common observed format: "01/10/2026 16:42:26" (NL often DD/MM/YYYY)
-  // Try DD/MM/YYYY first; if that fails, try MM/DD/YYYY.
-  const match = expiration.trim().match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})(?:\s+(\d{1,2}):(\d{2})(?::(\d{2}))?)?$/);
-  if (!match) return null;
-
-  const a = Number.parseInt(match[1], 10);
-  const b = Number.parseInt(match[2], 10);
-  const year = Number.parseInt(match[3], 10);
-  const hour = Number.parseInt(match[4] ?? '0', 10);
-  const minute = Number.parseInt(match[5] ?? '0', 10);
-  const second = Number.parseInt(match[6] ?? '0', 10);
-
-  const ddFirst = toUtcMs(year, b, a, hour, minute, second);
-  if (ddFirst) return ddFirst;
-
-  const mmFirst = toUtcMs(year, a, b, hour, minute, second);
-  if (mmFirst) return mmFirst;
-
-  return null;
-}
-
-function toUtcMs(year, month, day, hour, minute, second) {
-  if (!Number.isFinite(year) || !Number.isFinite(month) || !Number.isFinite(day)) return null;
-  if (month < 1 || month > 12 || day < 1 || day > 31) return null;
-  const ms = Date.UTC(year, month - 1, day, hour || 0, minute || 0, second || 0);
-  return Number.isFinite(ms) ? ms : null;
-}
-
 /**
  * Handle CORS preflight requests
  */
@@ -1163,7 +1771,7 @@ function handleCORS() {
     status: 204,
     headers: {
       'Access-Control-Allow-Origin': '*',
-      'Access-Control-Allow-Methods': 'GET, OPTIONS',
+      'Access-Control-Allow-Methods': CORS_ALLOW_METHODS,
       'Access-Control-Allow-Headers': 'Authorization, Content-Type',
       'Access-Control-Max-Age': '86400'
     }
@@ -1176,17 +1784,17 @@ function methodNotAllowed() {
     headers: {
       'Content-Type': 'application/json',
       'Access-Control-Allow-Origin': '*',
-      'Access-Control-Allow-Methods': 'GET, OPTIONS',
+      'Access-Control-Allow-Methods': CORS_ALLOW_METHODS,
       'Access-Control-Allow-Headers': 'Authorization, Content-Type'
     }
   });
 }
 
 /**
- * Return a JSON error response
+ * Return a JSON response
  */
-function jsonError(message, status) {
-  return new Response(JSON.stringify({ error: message }), {
+function jsonResponse(data, status = 200) {
+  return new Response(JSON.stringify(data, null, 2), {
     status,
     headers: {
       'Content-Type': 'application/json',
@@ -1195,80 +1803,18 @@ function jsonError(message, status) {
   });
 }
 
-function redactForbiddenOwnersFromODataJson(responseBody) {
-  if (!responseBody || typeof responseBody !== 'string') {
-    return { body: responseBody };
-  }
-
-  let parsed;
-  try {
-    parsed = JSON.parse(responseBody);
-  } catch {
-    return { body: responseBody };
-  }
-
-  const values = Array.isArray(parsed?.value) ? parsed.value : null;
-  if (!values) {
-    return { body: responseBody };
-  }
-
-  const filtered = values.filter((row) => !objectContainsForbiddenOwnerName(row));
-  if (filtered.length === values.length) {
-    return { body: responseBody };
-  }
-
-  const updated = { ...parsed, value: filtered };
-  return { body: JSON.stringify(updated) };
-}
-
-// Fields most likely to contain owner names — checked first for a fast-path match.
-const OWNER_NAME_FIELDS = new Set([
-  'Owner', 'OwnerName', 'owner', 'ownerName',
-  'TenantName', 'RelationName', 'DisplayName',
-  'Name', 'name'
-]);
-
-function objectContainsForbiddenOwnerName(value) {
-  if (value == null || typeof value !== 'object') return false;
-
-  // Fast path: check common owner/name fields directly
-  for (const field of OWNER_NAME_FIELDS) {
-    const v = value[field];
-    if (typeof v === 'string' && FORBIDDEN_OWNER_NAMES.has(v.trim().toLowerCase())) {
-      return true;
-    }
-  }
-
-  // Slow path: walk all string values to catch unexpected field names
-  const seen = new Set();
-  const stack = [value];
-
-  while (stack.length > 0) {
-    const current = stack.pop();
-
-    if (current == null) continue;
-
-    if (typeof current === 'string') {
-      const normalized = current.trim().toLowerCase();
-      if (FORBIDDEN_OWNER_NAMES.has(normalized)) return true;
-      continue;
-    }
-
-    if (typeof current !== 'object') continue;
-    if (seen.has(current)) continue;
-    seen.add(current);
-
-    if (Array.isArray(current)) {
-      for (const item of current) stack.push(item);
-      continue;
-    }
-
-    for (const key of Object.keys(current)) {
-      // Skip OData metadata fields.
-      if (key && key.startsWith('@odata.')) continue;
-      stack.push(current[key]);
+/**
+ * Return a JSON error response
+ */
+function jsonError(message, status, extraHeaders) {
+  return new Response(JSON.stringify({ error: message }), {
+    status,
+    headers: {
+      'Content-Type': 'application/json',
+      'Access-Control-Allow-Origin': '*',
+      // 429s from internal reads (upstream slots) carry no wait of their own
+      ...(status === 429 ? { 'Retry-After': '1' } : {}),
+      ...extraHeaders
     }
-  }
-
-  return false;
+  });
 }
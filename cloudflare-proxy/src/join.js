@@ -0,0 +1,578 @@
+/**
+ * Cross-entity joins for the relationship paths in $metadata-summary (commonJoins).
+ *
+ * GET /odatafeed/$join                                    - list of named relationships
+ * GET /odatafeed/$join/tenant-to-property?filter=OwnerId eq 515
+ * GET /odatafeed/$join?spec={"root":{...},"steps":[...]}  - ad-hoc join
+ *
+ * A join starts from a root entity set and follows steps; each step reads one entity
+ * set whose `on` field matches a field of an earlier step:
+ * {
+ *   "root":  { "entity": "SalesContracts", "filter": "OwnerId eq 515", "select": ["Reference"] },
+ *   "steps": [
+ *     { "entity": "SalesContractRealestateObjects", "from": "SalesContracts",
+ *       "on": { "SalesContractId": "SalesContractId" } },
+ *     { "entity": "Units", "from": "SalesContractRealestateObjects",
+ *       "on": { "RealEstateObjectId": "UnitId" }, "select": ["DisplayName"], "join": "inner" }
+ *   ]
+ * }
+ * `on` maps a field of `from` to a field of the step's entity set; `as` names a step
+ * when an entity set appears twice. Steps are left joins unless "join": "inner".
+ *
+ * Every read goes through the request's entity reader, so the caller's scope and
+ * policy apply. Key values are sent in batches of `(Field eq a or Field eq b ...)`
+ * filters; batches and independent steps run in parallel. The result is one flat
+ * table with `Alias.Field` columns, masked like pass-through responses.
+ *
+ * Query parameters: filter (ANDed into the root filter), select (Alias.Field list),
+ * top (max result rows, default 500).
+ */
+
+import { findClosestField, getEntityFieldNames, getEntitySchema } from './schema.js';
+import { validateFilter } from './filter.js';
+import { maskRows } from './masking.js';
+
+const KEYS_PER_BATCH = 40;
+const MAX_BATCHES = 25;
+const MAX_STEPS = 6;
+const DEFAULT_TOP = 500;
+const MAX_TOP = 5000;
+
+// Upper bound on intermediate rows while expanding one-to-many steps.
+const MAX_INTERMEDIATE_ROWS = 50000;
+
+const NUMERIC_TYPES = new Set([
+  'Edm.Byte', 'Edm.SByte', 'Edm.Int16', 'Edm.Int32', 'Edm.Int64', 'Edm.Decimal', 'Edm.Double', 'Edm.Single'
+]);
+
+export const JOIN_RELATIONSHIPS = {
+  // === TENANT / HUURDER RELATIES ===
+  'tenant-to-property': {
+    title: 'Tenant to Property',
+    root: { entity: 'SalesContracts' },
+    steps: [
+      { entity: 'SalesContractRealestateObjects', from: 'SalesContracts', on: { SalesContractId: 'SalesContractId' } },
+      { entity: 'Units', from: 'SalesContractRealestateObjects', on: { RealEstateObjectId: 'UnitId' } }
+    ]
+  },
+  'tenant-contact-info': {
+    title: 'Tenant Contact Info',
+    root: { entity: 'SalesContracts' },
+    steps: [{ entity: 'Persons', from: 'SalesContracts', on: { RelationId: 'RelationId' } }]
+  },
+  'tenant-invoices': {
+    title: 'Tenant Invoices',
+    root: { entity: 'SalesContracts' },
+    steps: [{ entity: 'SalesInvoices', from: 'SalesContracts', on: { RelationId: 'RelationId' } }]
+  },
+  'tenant-outstanding': {
+    title: 'Tenant Outstanding',
+    root: { entity: 'SalesContracts' },
+    steps: [{ entity: 'OpenPositionDebtors', from: 'SalesContracts', on: { RelationId: 'RelationId' } }]
+  },
+
+  // === PROPERTY / PAND RELATIES ===
+  'property-woz-value': {
+    title: 'Property WOZ Value',
+    root: { entity: 'Units' },
+    steps: [{ entity: 'PropertyValuationValues', from: 'Units', on: { UnitId: 'RealEstateObjectId' } }]
+  },
+  'property-meters': {
+    title: 'Property Meters',
+    root: { entity: 'Units' },
+    steps: [
+      { entity: 'Meters', from: 'Units', on: { UnitId: 'RealEstateObjectId' } },
+      { entity: 'MeterReadings', from: 'Meters', on: { MeterId: 'MeterId' } }
+    ]
+  },
+  'property-installations': {
+    title: 'Property Installations',
+    root: { entity: 'Units' },
+    steps: [{ entity: 'Installations', from: 'Units', on: { UnitId: 'RealEstateObjectId' } }]
+  },
+  'property-service-tickets': {
+    title: 'Property ServiceTickets',
+    root: { entity: 'Units' },
+    steps: [{ entity: 'ServiceTickets', from: 'Units', on: { UnitId: 'RealEstateObjectId' } }]
+  },
+  'property-in-complex': {
+    title: 'Property in Complex',
+    root: { entity: 'Units' },
+    steps: [{ entity: 'Complexes', from: 'Units', on: { ComplexId: 'ComplexId' } }]
+  },
+  'property-owner': {
+    title: 'Property Owner',
+    root: { entity: 'Units' },
+    steps: [{ entity: 'owners', from: 'Units', on: { OwnerId: 'OwnerId' } }]
+  },
+
+  // === OWNER / EIGENAAR RELATIES ===
+  'owner-settlements': {
+    title: 'Owner Settlements',
+    root: { entity: 'owners' },
+    steps: [{ entity: 'OwnerSettlements', from: 'owners', on: { OwnerId: 'OwnerId' } }]
+  },
+  'owner-bank-accounts': {
+    title: 'Owner Bank Accounts',
+    root: { entity: 'owners' },
+    steps: [{ entity: 'OwnerBankAccounts', from: 'owners', on: { OwnerId: 'OwnerId' } }]
+  },
+
+  // === INVOICE / FACTUUR RELATIES ===
+  'salesinvoice-lines': {
+    title: 'SalesInvoice Lines',
+    root: { entity: 'SalesInvoices' },
+    steps: [{ entity: 'SalesInvoiceLines', from: 'SalesInvoices', on: { SalesInvoiceId: 'SalesInvoiceId' } }]
+  },
+  'salesinvoice-to-contract': {
+    title: 'SalesInvoice to Contract',
+    root: { entity: 'SalesInvoices' },
+    steps: [{ entity: 'SalesContracts', from: 'SalesInvoices', on: { SalesContractId: 'SalesContractId' } }]
+  },
+  'purchaseinvoice-lines': {
+    title: 'PurchaseInvoice Lines',
+    root: { entity: 'PurchaseInvoices' },
+    steps: [{ entity: 'PurchaseInvoiceLines', from: 'PurchaseInvoices', on: { PurchaseInvoiceId: 'PurchaseInvoiceId' } }]
+  },
+  'purchaseinvoice-to-supplier': {
+    title: 'PurchaseInvoice to Supplier',
+    root: { entity: 'PurchaseInvoices' },
+    steps: [{ entity: 'Relations', from: 'PurchaseInvoices', on: { RelationId: 'RelationId' } }]
+  },
+  'purchaseinvoice-to-ticket': {
+    title: 'PurchaseInvoice to Ticket',
+    root: { entity: 'PurchaseInvoices' },
+    steps: [{ entity: 'ServiceTickets', from: 'PurchaseInvoices', on: { ServiceTicketId: 'ServiceTicketId' } }]
+  },
+
+  // === FINANCIALS ===
+  'mutation-to-ledgeraccount': {
+    title: 'Mutation to LedgerAccount',
+    root: { entity: 'FinancialMutations' },
+    steps: [{ entity: 'LedgerAccounts', from: 'FinancialMutations', on: { LedgerAccountId: 'LedgerAccountId' } }]
+  }
+};
+
+/**
+ * Short description of every named relationship, for GET /odatafeed/$join
+ */
+export function listJoinRelationships() {
+  return Object.entries(JOIN_RELATIONSHIPS).map(([id, relationship]) => ({
+    id,
+    title: relationship.title,
+    via: [
+      relationship.root.entity,
+      ...relationship.steps.map((step) => {
+        const [left, right] = Object.entries(step.on)[0];
+        return `${step.from}.${left} → ${step.entity}.${right}`;
+      })
+    ].join(', '),
+    path: `/odatafeed/$join/${id}`
+  }));
+}
+
+/**
+ * Turn a named relationship or an ad-hoc spec plus query parameters into a checked plan
+ *
+ * Entity sets and fields are resolved against the catalogue (case-corrected), filters
+ * validated. requiresFilter(entitySet) marks entity sets that must not be read unfiltered.
+ * Returns { plan } or { error } (with suggestion/availableFields when known).
+ */
+export function planJoin({ relationship, spec, searchParams, catalogue, requiresFilter = () => false }) {
+  let source;
+  if (relationship) {
+    source = JOIN_RELATIONSHIPS[relationship];
+    if (!source) {
+      return { error: `Unknown relationship '${relationship}'. Available: ${Object.keys(JOIN_RELATIONSHIPS).join(', ')}` };
+    }
+  } else {
+    try {
+      source = JSON.parse(spec);
+    } catch {
+      return { error: 'spec must be a JSON object: {"root": {"entity": ...}, "steps": [...]}' };
+    }
+    if (!source || typeof source !== 'object' || !source.root || !Array.isArray(source.steps)) {
+      return { error: 'spec must have a root ({"entity": ...}) and a steps array' };
+    }
+  }
+
+  if (source.steps.length === 0 || source.steps.length > MAX_STEPS) {
+    return { error: `A join needs between 1 and ${MAX_STEPS} steps` };
+  }
+
+  const nodes = [];
+  const byAlias = new Map();
+
+  const addNode = (definition, isRoot) => {
+    const schema = getEntitySchema(catalogue, definition?.entity);
+    if (!schema) {
+      const closest = findClosestField(Object.keys(catalogue.entitySets), definition?.entity);
+      return {
+        error: `Unknown entity set '${definition?.entity}'`,
+        ...(closest ? { suggestion: `Did you mean '${closest}'?` } : {})
+      };
+    }
+
+    const alias = definition.as ? String(definition.as) : schema.name;
+    if (!/^[A-Za-z_]\w*$/.test(alias)) {
+      return { error: `Invalid alias '${alias}': use letters, digits and underscores` };
+    }
+    if (byAlias.has(alias.toLowerCase())) {
+      return { error: `'${alias}' appears twice in the join; give one of them an "as" alias` };
+    }
+
+    const node = { alias, entity: schema.name, schema, filter: null, select: null, keyFields: new Set() };
+
+    if (definition.select != null) {
+      if (!Array.isArray(definition.select)) return { error: `select of ${alias} must be an array of field names` };
+      node.select = [];
+      for (const field of definition.select) {
+        const resolved = resolveField(catalogue, schema, field);
+        if (resolved.error) return resolved;
+        node.select.push(resolved.field);
+      }
+    }
+
+    const filters = [definition.filter, isRoot ? searchParams.get('filter') : null].filter(Boolean);
+    for (const filter of filters) {
+      const result = validateFilter(filter, catalogue, schema.name);
+      if (!result.ok) {
+        return { error: `Invalid filter on ${alias}: ${result.error.message}`, ...pickHints(result.error) };
+      }
+      node.filter = node.filter ? `(${node.filter}) and (${result.filter})` : result.filter;
+    }
+
+    if (!isRoot) {
+      const parent = byAlias.get(String(definition.from || '').toLowerCase());
+      if (!parent) {
+        return { error: `Step ${alias} joins from '${definition.from}', which is not an earlier entity or alias in the join` };
+      }
+      const pairs = definition.on && typeof definition.on === 'object' ? Object.entries(definition.on) : [];
+      if (pairs.length !== 1) {
+        return { error: `Step ${alias} needs exactly one key pair in "on": {"<${parent.alias} field>": "<${alias} field>"}` };
+      }
+      const left = resolveField(catalogue, parent.schema, pairs[0][0]);
+      if (left.error) return left;
+      const right = resolveField(catalogue, schema, pairs[0][1]);
+      if (right.error) return right;
+
+      node.parent = parent;
+      node.leftField = left.field;
+      node.rightField = right.field;
+      node.rightType = schema.properties.find((p) => p.name === right.field).type;
+      node.inner = String(definition.join || 'left').toLowerCase() === 'inner';
+      parent.keyFields.add(left.field);
+      node.keyFields.add(right.field);
+    }
+
+    nodes.push(node);
+    byAlias.set(alias.toLowerCase(), node);
+    return null;
+  };
+
+  const rootError = addNode(source.root, true);
+  if (rootError) return { error: rootError.error, ...pickHints(rootError) };
+  for (const step of source.steps) {
+    const stepError = addNode(step, false);
+    if (stepError) return { error: stepError.error, ...pickHints(stepError) };
+  }
+
+  const root = nodes[0];
+  if (!root.filter && requiresFilter(root.entity)) {
+    return { error: `${root.entity} is a large entity set; add a filter parameter to restrict the root rows` };
+  }
+
+  // Client select (Alias.Field list) replaces the columns of the named relationship / spec.
+  let columns = null;
+  const select = searchParams.get('select');
+  if (select) {
+    columns = [];
+    for (const item of select.split(',').map((s) => s.trim()).filter(Boolean)) {
+      const dot = item.indexOf('.');
+      const node = dot > 0 ? byAlias.get(item.slice(0, dot).toLowerCase()) : null;
+      if (!node) {
+        return { error: `select items must be Alias.Field with an alias from the join (${nodes.map((n) => n.alias).join(', ')}), got '${item}'` };
+      }
+      const resolved = resolveField(catalogue, node.schema, item.slice(dot + 1));
+      if (resolved.error) return { error: resolved.error, ...pickHints(resolved) };
+      columns.push({ node, field: resolved.field });
+    }
+    for (const node of nodes) {
+      node.select = columns.filter((c) => c.node === node).map((c) => c.field);
+    }
+  } else {
+    columns = nodes.flatMap((node) =>
+      (node.select || getEntityFieldNames(catalogue, node.entity)).map((field) => ({ node, field })));
+  }
+
+  const top = searchParams.has('top') ? searchParams.get('top') : String(DEFAULT_TOP);
+  if (!/^\d+$/.test(top) || Number(top) < 1 || Number(top) > MAX_TOP) {
+    return { error: `top must be a whole number between 1 and ${MAX_TOP}, got '${top}'` };
+  }
+
+  return {
+    plan: {
+      relationship: relationship || null,
+      nodes,
+      columns,
+      top: Number(top)
+    }
+  };
+}
+
+function resolveField(catalogue, schema, field) {
+  const lower = String(field || '').toLowerCase();
+  const property = schema.properties.find((p) => p.name.toLowerCase() === lower);
+  if (property) return { field: property.name };
+
+  const fields = getEntityFieldNames(catalogue, schema.name);
+  const closest = findClosestField(fields, field);
+  return {
+    error: `Unknown field '${field}' on ${schema.name}`,
+    ...(closest ? { suggestion: `Did you mean '${closest}'?` } : {}),
+    availableFields: fields
+  };
+}
+
+function pickHints(error) {
+  const hints = {};
+  if (error.suggestion) hints.suggestion = error.suggestion;
+  if (error.availableFields) hints.availableFields = error.availableFields;
+  return hints;
+}
+
+/**
+ * Run a plan: read every entity set, join the rows and flatten them
+ *
+ * readEntity is the request's entity reader (upstream.js); getMasks(schema) returns
+ * the field masks for an entity set. Returns { result } or { error, status }.
+ */
+export async function executeJoin(plan, { readEntity, getMasks, env }) {
+  const [root, ...steps] = plan.nodes;
+  const rowsByAlias = new Map();
+  const sources = new Map();
+  let batches = 0;
+
+  const rootResult = await readEntity(root.entity, { filter: root.filter, select: upstreamSelect(root) });
+  if (rootResult.error) return { error: rootResult.error, status: rootResult.status };
+  rowsByAlias.set(root.alias, rootResult.rows);
+  sources.set(root.alias, describeSource(root, { ...rootResult, requests: 1 }));
+
+  // Steps whose parent has been read run together; each wave waits for the previous one.
+  let pending = steps;
+  while (pending.length > 0) {
+    const ready = pending.filter((step) => rowsByAlias.has(step.parent.alias));
+    pending = pending.filter((step) => !rowsByAlias.has(step.parent.alias));
+
+    const planned = ready.map((step) => ({ step, keys: distinctKeys(rowsByAlias.get(step.parent.alias), step.leftField) }));
+    batches += planned.reduce((total, { keys }) => total + Math.ceil(keys.length / KEYS_PER_BATCH), 0);
+    if (batches > MAX_BATCHES) {
+      return {
+        error: `The join needs more than ${MAX_BATCHES * KEYS_PER_BATCH} key lookups per step chain; narrow the root filter`,
+        status: 400
+      };
+    }
+
+    const results = await Promise.all(planned.map(async ({ step, keys }) => ({
+      step,
+      read: await readByKeys(readEntity, step.entity, {
+        field: step.rightField,
+        type: step.rightType,
+        keys,
+        filter: step.filter,
+        select: upstreamSelect(step)
+      })
+    })));
+
+    for (const { step, read } of results) {
+      if (read.error) return { error: read.error, status: read.status };
+      rowsByAlias.set(step.alias, read.rows);
+      sources.set(step.alias, describeSource(step, read));
+    }
+  }
+
+  const { combos, truncated } = flatten(plan, rowsByAlias);
+
+  // Mask after matching so masked values never affect the join keys.
+  const columns = new Set(plan.columns.map(({ node, field }) => `${node.alias}.${field}`));
+  const maskedFields = new Set();
+  for (const node of plan.nodes) {
+    const masks = getMasks(node.schema);
+    for (const field of await maskRows(rowsByAlias.get(node.alias), masks, env)) {
+      if (columns.has(`${node.alias}.${field}`)) maskedFields.add(`${node.alias}.${field}`);
+    }
+  }
+
+  const value = combos.map((combo) => {
+    const row = {};
+    for (const { node, field } of plan.columns) {
+      const source = combo[node.alias];
+      row[`${node.alias}.${field}`] = source && field in source ? source[field] : null;
+    }
+    return row;
+  });
+
+  const result = {
+    relationship: plan.relationship,
+    columns: Array.from(columns),
+    rowCount: value.length,
+    truncated,
+    value,
+    sources: plan.nodes.map((node) => sources.get(node.alias))
+  };
+  if (maskedFields.size > 0) {
+    result.maskedFields = Array.from(maskedFields);
+  }
+  if (result.sources.some((source) => !source.complete)) {
+    result.warning = 'Not all source rows could be fetched within the paging budget; the result is based on partial data.';
+  }
+  return { result };
+}
+
+// Fields to request upstream: the selected ones plus every key used by the join.
+function upstreamSelect(node) {
+  if (!node.select) return undefined;
+  return Array.from(new Set([...node.select, ...node.keyFields]));
+}
+
+function describeSource(node, read) {
+  return {
+    alias: node.alias,
+    entity: node.entity,
+    ...(node.parent ? { joinedOn: `${node.parent.alias}.${node.leftField} = ${node.alias}.${node.rightField}` } : {}),
+    requests: read.requests,
+    rows: read.rows.length,
+    rowsWithheld: read.withheld,
+    complete: read.complete
+  };
+}
+
+/**
+ * Read the rows of an entity set whose `field` matches one of `keys`
+ *
+ * Keys are sent in batches of (field eq a or field eq b ...) that run in parallel;
+ * type is the field's Edm type (strings are quoted). At most MAX_BATCHES batches. Returns
+ * { entity, rows, complete, withheld, requests } or { error, status }.
+ */
+export async function readByKeys(readEntity, entityName, { field, type = 'Edm.Int32', keys, filter, select }) {
+  const batches = chunk(keys, KEYS_PER_BATCH);
+  if (batches.length > MAX_BATCHES) {
+    return {
+      error: `Too many ${entityName} lookups (${keys.length} keys, at most ${MAX_BATCHES * KEYS_PER_BATCH}); narrow the filter`,
+      status: 400
+    };
+  }
+
+  const reads = await Promise.all(batches.map((batch) => readEntity(entityName, {
+    filter: [filter ? `(${filter})` : null, keyFilter(field, type, batch)].filter(Boolean).join(' and '),
+    select
+  })));
+
+  const failed = reads.find((read) => read.error);
+  if (failed) return { error: failed.error, status: failed.status };
+  return {
+    entity: reads[0]?.entity || entityName,
+    rows: reads.flatMap((read) => read.rows),
+    complete: reads.every((read) => read.complete),
+    withheld: reads.reduce((total, read) => total + (read.withheld || 0), 0),
+    requests: reads.length
+  };
+}
+
+/**
+ * readByKeys for any number of keys
+ *
+ * Beyond MAX_BATCHES batches, numeric keys are read as one paged range read
+ * (field ge min and field le max) and the rows whose field is not a key are dropped.
+ * That read is bounded by the paging budget and reports complete: false when it ran out.
+ */
+export async function readByKeysOrRange(readEntity, entityName, { field, type = 'Edm.Int32', keys, filter, select }) {
+  if (keys.length <= MAX_BATCHES * KEYS_PER_BATCH || !NUMERIC_TYPES.has(type)) {
+    return readByKeys(readEntity, entityName, { field, type, keys, filter, select });
+  }
+
+  const numbers = keys.map(Number);
+  const min = numbers.reduce((a, b) => Math.min(a, b));
+  const max = numbers.reduce((a, b) => Math.max(a, b));
+  const range = `${field} ge ${min} and ${field} le ${max}`;
+  const read = await readEntity(entityName, {
+    filter: [filter ? `(${filter})` : null, range].filter(Boolean).join(' and '),
+    select: select && !select.includes(field) ? [...select, field] : select
+  });
+  if (read.error) return read;
+
+  const wanted = new Set(numbers);
+  return {
+    entity: read.entity,
+    rows: read.rows.filter((row) => wanted.has(Number(row[field]))),
+    complete: read.complete,
+    withheld: read.withheld,
+    requests: 1
+  };
+}
+
+function distinctKeys(rows, field) {
+  const keys = new Map();
+  for (const row of rows) {
+    const value = row?.[field];
+    if (value != null && value !== '') keys.set(String(value), value);
+  }
+  return Array.from(keys.values());
+}
+
+function chunk(values, size) {
+  const chunks = [];
+  for (let i = 0; i < values.length; i += size) chunks.push(values.slice(i, i + size));
+  return chunks;
+}
+
+function keyFilter(field, type, keys) {
+  const literal = (value) => (NUMERIC_TYPES.has(type) || type === 'Edm.Guid'
+    ? String(value)
+    : `'${String(value).replace(/'/g, "''")}'`);
+  const clauses = keys.map((key) => `${field} eq ${literal(key)}`);
+  return clauses.length === 1 ? clauses[0] : `(${clauses.join(' or ')})`;
+}
+
+/**
+ * Expand the root rows through every step into combinations of { alias: row }
+ */
+function flatten(plan, rowsByAlias) {
+  const [root, ...steps] = plan.nodes;
+  let combos = rowsByAlias.get(root.alias).map((row) => ({ [root.alias]: row }));
+  let truncated = false;
+
+  for (const step of steps) {
+    const index = new Map();
+    for (const row of rowsByAlias.get(step.alias)) {
+      const key = row?.[step.rightField];
+      if (key == null) continue;
+      const list = index.get(String(key));
+      if (list) list.push(row);
+      else index.set(String(key), [row]);
+    }
+
+    const next = [];
+    for (const combo of combos) {
+      const parent = combo[step.parent.alias];
+      const key = parent?.[step.leftField];
+      const matches = key != null ? index.get(String(key)) : null;
+      if (matches) {
+        for (const match of matches) next.push({ ...combo, [step.alias]: match });
+      } else if (!step.inner) {
+        next.push({ ...combo, [step.alias]: null });
+      }
+      if (next.length >= MAX_INTERMEDIATE_ROWS) {
+        truncated = true;
+        break;
+      }
+    }
+    combos = next;
+  }
+
+  if (combos.length > plan.top) {
+    combos = combos.slice(0, plan.top);
+    truncated = true;
+  }
+  return { combos, truncated };
+}
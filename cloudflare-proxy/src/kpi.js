@@ -0,0 +1,309 @@
+/**
+ * Server-side KPIs for the businessInsights formulas in $metadata-summary.
+ *
+ * GET /odatafeed/$kpi                   - list of KPIs and their parameters
+ * GET /odatafeed/$kpi/<id>?ownerId=515  - value, inputs and formula for one KPI
+ *
+ * Each KPI fetches its source entities through the request's entity reader (so the
+ * caller's policy applies) and computes the value with a pure function, so the same
+ * rows always give the same answer. Common parameters:
+ * - ownerId - restrict to one owner
+ * - asOf    - reference date (YYYY-MM-DD, default today in UTC)
+ * - days    - window length for KPIs that use one
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const KPI_DEFINITIONS = {
+  'vacancy-rate': {
+    title: 'Vacancy Rate',
+    formula: 'count(Units where OccupationPercentage < 1) / count(Units with an OccupationPercentage)',
+    unit: 'ratio',
+    threshold: { attentionAbove: 0.05 },
+    sources: ['Units'],
+    async load(read, params) {
+      return {
+        units: await read('Units', {
+          filter: ownerClause(params),
+          select: ['UnitId', 'OwnerId', 'OccupationPercentage']
+        })
+      };
+    },
+    compute: ({ units }) => computeVacancyRate(units)
+  },
+  arrears: {
+    title: 'Arrears (Achterstanden)',
+    formula: 'sum(OpenPositionDebtors.OutstandingAmount where Age > minAgeDays)',
+    unit: 'EUR',
+    parameters: { minAgeDays: 30 },
+    sources: ['OpenPositionDebtors'],
+    load: loadOpenDebtorPositions,
+    compute: ({ debtors }, params) => computeArrears(debtors, params.minAgeDays)
+  },
+  'maintenance-velocity': {
+    title: 'Maintenance Velocity',
+    formula: 'count(ServiceTickets closed in the last `days`) / count(ServiceTickets reported in the last `days`)',
+    unit: 'ratio',
+    parameters: { days: 30 },
+    sources: ['ServiceTickets'],
+    async load(read, params) {
+      const { from, to } = windowBefore(params.asOf, params.days);
+      const inWindow = (field) => `(${field} ge ${from.toISOString()} and ${field} lt ${to.toISOString()})`;
+      return {
+        tickets: await read('ServiceTickets', {
+          filter: joinClauses([ownerClause(params), `(${inWindow('ReportingDate')} or ${inWindow('ClosingDate')})`]),
+          select: ['ServiceTicketId', 'OwnerId', 'ReportingDate', 'ClosingDate']
+        })
+      };
+    },
+    compute: ({ tickets }, params) => computeMaintenanceVelocity(tickets, params.asOf, params.days)
+  },
+  'debtor-days-outstanding': {
+    title: 'Debtor Days Outstanding',
+    formula: 'average(OpenPositionDebtors.Age where OutstandingAmount > 0)',
+    unit: 'days',
+    threshold: { attentionAbove: 45 },
+    sources: ['OpenPositionDebtors'],
+    load: loadOpenDebtorPositions,
+    compute: ({ debtors }) => computeDebtorDaysOutstanding(debtors)
+  },
+  'contract-renewal-risk': {
+    title: 'Contract Renewal Risk',
+    formula: 'count(SalesContracts where IsEnded = false and asOf <= EndDate < asOf + `days`)',
+    unit: 'contracts',
+    parameters: { days: 90 },
+    sources: ['SalesContracts'],
+    async load(read, params) {
+      const { from, to } = windowAfter(params.asOf, params.days);
+      return {
+        contracts: await read('SalesContracts', {
+          filter: joinClauses([
+            ownerClause(params),
+            'IsEnded eq false',
+            `EndDate ge ${from.toISOString()}`,
+            `EndDate lt ${to.toISOString()}`
+          ]),
+          select: ['SalesContractId', 'Reference', 'OwnerId', 'RelationId', 'RelationName', 'EndDate', 'IsEnded'],
+          orderby: 'EndDate'
+        })
+      };
+    },
+    compute: ({ contracts }, params) => computeContractRenewalRisk(contracts, params.asOf, params.days)
+  }
+};
+
+/**
+ * Short description of every KPI, for GET /odatafeed/$kpi
+ */
+export function listKpis() {
+  return Object.entries(KPI_DEFINITIONS).map(([id, kpi]) => ({
+    id,
+    title: kpi.title,
+    formula: kpi.formula,
+    unit: kpi.unit,
+    sources: kpi.sources,
+    parameters: { ownerId: null, asOf: 'today', ...kpi.parameters },
+    path: `/odatafeed/$kpi/${id}`
+  }));
+}
+
+/**
+ * Parse ownerId/asOf/days/minAgeDays for a KPI
+ *
+ * Returns { params } or { error }.
+ */
+export function parseKpiParameters(id, searchParams, now = new Date()) {
+  const kpi = KPI_DEFINITIONS[id];
+  const params = { ownerId: null, asOf: startOfUtcDay(now), ...kpi.parameters };
+
+  const ownerId = searchParams.get('ownerId');
+  if (ownerId != null && ownerId !== '') {
+    if (!/^\d+$/.test(ownerId)) return { error: `ownerId must be a whole number, got '${ownerId}'` };
+    params.ownerId = Number(ownerId);
+  }
+
+  const asOf = searchParams.get('asOf');
+  if (asOf) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(asOf) || Number.isNaN(Date.parse(`${asOf}T00:00:00Z`))) {
+      return { error: `asOf must be a date (YYYY-MM-DD), got '${asOf}'` };
+    }
+    params.asOf = new Date(`${asOf}T00:00:00Z`);
+  }
+
+  for (const name of ['days', 'minAgeDays']) {
+    if (!(name in params) || !searchParams.has(name)) continue;
+    const value = searchParams.get(name);
+    if (!/^\d+$/.test(value) || Number(value) < 1 || Number(value) > 3650) {
+      return { error: `${name} must be a whole number between 1 and 3650, got '${value}'` };
+    }
+    params[name] = Number(value);
+  }
+
+  return { params };
+}
+
+/**
+ * Load the source entities and compute one KPI
+ *
+ * Returns { result } or { error, status }.
+ */
+export async function computeKpi(id, params, readEntity) {
+  const kpi = KPI_DEFINITIONS[id];
+  const sources = await kpi.load(readEntity, params);
+
+  for (const source of Object.values(sources)) {
+    if (source.error) return { error: source.error, status: source.status };
+  }
+
+  const { value, inputs } = kpi.compute(
+    Object.fromEntries(Object.entries(sources).map(([name, source]) => [name, source.rows])),
+    params
+  );
+
+  const result = {
+    kpi: id,
+    title: kpi.title,
+    value,
+    unit: kpi.unit,
+    formula: kpi.formula,
+    inputs,
+    parameters: { ...params, asOf: params.asOf.toISOString().slice(0, 10) },
+    sources: Object.values(sources).map((source) => ({
+      entity: source.entity,
+      filter: source.filter,
+      rows: source.rows.length,
+      rowsWithheld: source.withheld,
+      complete: source.complete
+    }))
+  };
+  if (kpi.threshold) {
+    result.threshold = kpi.threshold;
+    result.status = value != null && value > kpi.threshold.attentionAbove ? 'attention' : 'ok';
+  }
+  if (result.sources.some((source) => !source.complete)) {
+    result.warning = 'Not all source rows could be fetched within the paging budget; the value is based on partial data.';
+  }
+  return { result };
+}
+
+async function loadOpenDebtorPositions(read, params) {
+  return {
+    debtors: await read('OpenPositionDebtors', {
+      filter: joinClauses([ownerClause(params), 'OutstandingAmount gt 0']),
+      select: ['SalesInvoiceId', 'OwnerId', 'OutstandingAmount', 'Age']
+    })
+  };
+}
+
+export function computeVacancyRate(units) {
+  const measured = units.filter((u) => typeof u.OccupationPercentage === 'number');
+  const vacant = measured.filter((u) => u.OccupationPercentage < 1);
+  return {
+    value: measured.length > 0 ? round(vacant.length / measured.length, 4) : null,
+    inputs: {
+      totalUnits: measured.length,
+      vacantUnits: vacant.length,
+      unitsWithoutOccupation: units.length - measured.length
+    }
+  };
+}
+
+export function computeArrears(debtors, minAgeDays) {
+  const open = debtors.filter((d) => Number(d.OutstandingAmount) > 0);
+  const overdue = open.filter((d) => Number(d.Age) > minAgeDays);
+  const totalOutstanding = sum(open.map((d) => Number(d.OutstandingAmount)));
+  const arrears = sum(overdue.map((d) => Number(d.OutstandingAmount)));
+  return {
+    value: round(arrears, 2),
+    inputs: {
+      openInvoices: open.length,
+      overdueInvoices: overdue.length,
+      totalOutstanding: round(totalOutstanding, 2),
+      arrearsShare: totalOutstanding > 0 ? round(arrears / totalOutstanding, 4) : null
+    }
+  };
+}
+
+export function computeMaintenanceVelocity(tickets, asOf, days) {
+  const { from, to } = windowBefore(asOf, days);
+  const within = (value) => {
+    const time = value ? Date.parse(value) : Number.NaN;
+    return time >= from.getTime() && time < to.getTime();
+  };
+  const reported = tickets.filter((t) => within(t.ReportingDate)).length;
+  const closed = tickets.filter((t) => within(t.ClosingDate)).length;
+  return {
+    value: reported > 0 ? round(closed / reported, 4) : null,
+    inputs: {
+      windowStart: from.toISOString().slice(0, 10),
+      windowEnd: to.toISOString().slice(0, 10),
+      reportedTickets: reported,
+      closedTickets: closed
+    }
+  };
+}
+
+export function computeDebtorDaysOutstanding(debtors) {
+  const open = debtors.filter((d) => Number(d.OutstandingAmount) > 0 && Number.isFinite(Number(d.Age)));
+  const ages = open.map((d) => Number(d.Age));
+  return {
+    value: ages.length > 0 ? round(sum(ages) / ages.length, 1) : null,
+    inputs: {
+      openInvoices: open.length,
+      oldestAge: ages.length > 0 ? Math.max(...ages) : null
+    }
+  };
+}
+
+export function computeContractRenewalRisk(contracts, asOf, days) {
+  const { from, to } = windowAfter(asOf, days);
+  const expiring = contracts
+    .filter((c) => c.IsEnded !== true && c.EndDate)
+    .filter((c) => Date.parse(c.EndDate) >= from.getTime() && Date.parse(c.EndDate) < to.getTime())
+    .sort((a, b) => Date.parse(a.EndDate) - Date.parse(b.EndDate) || a.SalesContractId - b.SalesContractId);
+  return {
+    value: expiring.length,
+    inputs: {
+      windowStart: from.toISOString().slice(0, 10),
+      windowEnd: to.toISOString().slice(0, 10),
+      contracts: expiring.map((c) => ({
+        SalesContractId: c.SalesContractId,
+        Reference: c.Reference,
+        RelationName: c.RelationName,
+        EndDate: c.EndDate
+      }))
+    }
+  };
+}
+
+function ownerClause(params) {
+  return params.ownerId != null ? `OwnerId eq ${params.ownerId}` : null;
+}
+
+function joinClauses(clauses) {
+  return clauses.filter(Boolean).join(' and ') || null;
+}
+
+// [asOf - days, asOf + 1 day): the window includes the asOf day itself
+function windowBefore(asOf, days) {
+  const to = new Date(asOf.getTime() + DAY_MS);
+  return { from: new Date(to.getTime() - days * DAY_MS), to };
+}
+
+// [asOf, asOf + days)
+function windowAfter(asOf, days) {
+  return { from: asOf, to: new Date(asOf.getTime() + days * DAY_MS) };
+}
+
+function startOfUtcDay(date) {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+}
+
+function sum(values) {
+  return values.reduce((total, value) => total + value, 0);
+}
+
+function round(value, decimals) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
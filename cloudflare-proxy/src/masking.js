@@ -0,0 +1,230 @@
+/**
+ * Field-level masking of personal data in proxy responses.
+ *
+ * Rules map entity set -> field -> action; "*" as entity set applies everywhere and a
+ * field name may end or start with "*" (e.g. "*EmailAddresses"). Actions:
+ * - "drop"    - remove the field from the row
+ * - "hash"    - replace the value with a stable hash (HMAC with MASKING_HASH_KEY when set),
+ *               so equal values can still be matched without revealing them
+ * - "partial" - keep a hint of the value: NL** **** **** 1234, j***@example.com, ******5678
+ * - "none"    - no masking (used by per-client overrides, e.g. finance users and IBAN)
+ *
+ * Rules live in the policy document under "masking"; principals can override them
+ * with their own "masking" section (see policy.js).
+ *
+ * Entities nested in a row by $expand are masked by field name: their entity set is not
+ * known there, so the strictest rule of any entity set applies.
+ */
+
+export const DEFAULT_MASKING_RULES = {
+  '*': {
+    Email: 'partial',
+    EmailAddress: 'partial',
+    '*EmailAddresses': 'partial',
+    PhoneNumber: 'partial',
+    MobileNumber: 'partial',
+    IBAN: 'partial',
+    '*IBAN': 'partial',
+    'OwnerPrimaryIBAN*': 'partial',
+    BankAccountNumber: 'partial',
+    SalesContractBankAccountNumber: 'partial',
+    DateOfBirth: 'drop'
+  }
+};
+
+const MASK_ACTIONS = new Set(['drop', 'hash', 'partial', 'none']);
+const ACTION_STRENGTH = { none: 0, partial: 1, hash: 2, drop: 3 };
+
+/**
+ * Merge masking rule sets; later sets override earlier ones per entity and field
+ */
+export function mergeMaskingRules(...ruleSets) {
+  const merged = {};
+  for (const rules of ruleSets) {
+    if (!rules || typeof rules !== 'object') continue;
+    for (const [entity, fields] of Object.entries(rules)) {
+      if (!fields || typeof fields !== 'object') continue;
+      const key = entity === '*' ? '*' : entity.toLowerCase();
+      merged[key] = { ...merged[key] };
+      for (const [field, action] of Object.entries(fields)) {
+        const normalized = String(action).toLowerCase();
+        if (MASK_ACTIONS.has(normalized)) merged[key][field] = normalized;
+      }
+    }
+  }
+  return merged;
+}
+
+/**
+ * Masking actions for the fields of an entity set: Map of field name -> action
+ *
+ * Entity-specific rules win over "*" rules, and exact field names over patterns.
+ */
+export function getFieldMasks(rules, schema) {
+  const masks = new Map();
+  if (!rules || !schema) return masks;
+
+  const layers = [rules['*'], rules[schema.name.toLowerCase()]].filter(Boolean);
+  for (const property of schema.properties) {
+    let action = null;
+    for (const layer of layers) {
+      action = findFieldAction(layer, property.name) ?? action;
+    }
+    // Only text can be hashed or partially masked; other types can only be dropped.
+    if (action === 'drop' || ((action === 'hash' || action === 'partial') && property.type === 'Edm.String')) {
+      masks.set(property.name, action);
+    }
+  }
+  return masks;
+}
+
+/**
+ * Masking action by field name for nested (expanded) entities: fieldName -> action or null
+ *
+ * Every entity set's rules are checked and the strictest action wins.
+ */
+export function getNestedMasks(rules) {
+  const layers = Object.values(rules || {});
+  return (fieldName) => {
+    let strictest = null;
+    for (const layer of layers) {
+      const action = findFieldAction(layer, fieldName);
+      if (action && (!strictest || ACTION_STRENGTH[action] > ACTION_STRENGTH[strictest])) strictest = action;
+    }
+    return strictest === 'none' ? null : strictest;
+  };
+}
+
+function findFieldAction(layer, fieldName) {
+  if (Object.prototype.hasOwnProperty.call(layer, fieldName)) return layer[fieldName];
+  for (const [pattern, action] of Object.entries(layer)) {
+    if (pattern.startsWith('*') && fieldName.endsWith(pattern.slice(1))) return action;
+    if (pattern.endsWith('*') && fieldName.startsWith(pattern.slice(0, -1))) return action;
+  }
+  return null;
+}
+
+/**
+ * Apply field masks to an OData JSON response body
+ *
+ * Returns { body, maskedFields } with the names of fields that were masked.
+ * nestedMasks (getNestedMasks) also masks expanded entities.
+ */
+export async function maskResponseBody(responseBody, masks, env, nestedMasks = null) {
+  if (!responseBody || typeof responseBody !== 'string' || (masks.size === 0 && !nestedMasks)) {
+    return { body: responseBody, maskedFields: [] };
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(responseBody);
+  } catch {
+    return { body: responseBody, maskedFields: [] };
+  }
+  if (!parsed || typeof parsed !== 'object') {
+    return { body: responseBody, maskedFields: [] };
+  }
+
+  const rows = Array.isArray(parsed.value) ? parsed.value : [parsed];
+  const maskedFields = await maskRows(rows, masks, env, nestedMasks);
+  if (maskedFields.length === 0) {
+    return { body: responseBody, maskedFields: [] };
+  }
+  return { body: JSON.stringify(parsed), maskedFields };
+}
+
+/**
+ * Apply field masks to row objects in place
+ *
+ * Returns the names of fields that were masked; nested fields as Navigation/Field.
+ */
+export async function maskRows(rows, masks, env, nestedMasks = null) {
+  const maskedFields = new Set();
+  if (masks.size === 0 && !nestedMasks) return [];
+
+  for (const row of rows) {
+    if (!row || typeof row !== 'object' || Array.isArray(row)) continue;
+    for (const [field, action] of masks) {
+      if (!(field in row)) continue;
+      maskedFields.add(field);
+      if (action === 'drop') {
+        delete row[field];
+      } else if (row[field] != null && row[field] !== '') {
+        row[field] = action === 'hash'
+          ? await hashValue(row[field], env)
+          : maskPartial(row[field]);
+      }
+    }
+    if (!nestedMasks) continue;
+    for (const [field, value] of Object.entries(row)) {
+      if (value && typeof value === 'object') await maskNested(value, field, nestedMasks, env, maskedFields);
+    }
+  }
+  return Array.from(maskedFields);
+}
+
+async function maskNested(value, path, nestedMasks, env, maskedFields) {
+  if (Array.isArray(value)) {
+    for (const item of value) {
+      if (item && typeof item === 'object') await maskNested(item, path, nestedMasks, env, maskedFields);
+    }
+    return;
+  }
+  for (const [field, fieldValue] of Object.entries(value)) {
+    if (field.startsWith('@')) continue;
+    const action = nestedMasks(field);
+    if (action === 'drop') {
+      delete value[field];
+      maskedFields.add(`${path}/${field}`);
+    } else if (action && typeof fieldValue === 'string') {
+      if (fieldValue !== '') value[field] = action === 'hash' ? await hashValue(fieldValue, env) : maskPartial(fieldValue);
+      maskedFields.add(`${path}/${field}`);
+    } else if (fieldValue && typeof fieldValue === 'object') {
+      await maskNested(fieldValue, `${path}/${field}`, nestedMasks, env, maskedFields);
+    }
+  }
+}
+
+/**
+ * Partially mask a value; lists of addresses ("a@x.nl; b@y.nl") are masked per item
+ */
+export function maskPartial(value) {
+  const text = String(value);
+  if (/[;,]/.test(text) && text.includes('@')) {
+    return text.split(/([;,]\s*)/).map((part, i) => (i % 2 === 1 ? part : maskPartial(part))).join('');
+  }
+
+  const trimmed = text.trim();
+  if (trimmed.includes('@')) {
+    const [local, domain] = trimmed.split('@', 2);
+    return `${local.slice(0, 1)}***@${domain}`;
+  }
+
+  const compact = trimmed.replace(/\s+/g, '');
+  if (/^[A-Z]{2}\d{2}[A-Z0-9]{8,30}$/i.test(compact)) {
+    // IBAN: keep the country code and the last four characters; fixed shape hides the length
+    return `${compact.slice(0, 2).toUpperCase()}** **** **** ${compact.slice(-4)}`;
+  }
+
+  if (compact.length <= 4) return '*'.repeat(compact.length);
+  return `${'*'.repeat(compact.length - 4)}${compact.slice(-4)}`;
+}
+
+async function hashValue(value, env) {
+  const data = new TextEncoder().encode(String(value).trim().toLowerCase());
+  let digest;
+  if (env?.MASKING_HASH_KEY) {
+    const key = await crypto.subtle.importKey(
+      'raw',
+      new TextEncoder().encode(env.MASKING_HASH_KEY),
+      { name: 'HMAC', hash: 'SHA-256' },
+      false,
+      ['sign']
+    );
+    digest = await crypto.subtle.sign('HMAC', key, data);
+  } else {
+    digest = await crypto.subtle.digest('SHA-256', data);
+  }
+  const hex = Array.from(new Uint8Array(digest), (b) => b.toString(16).padStart(2, '0')).join('');
+  return `sha256:${hex.slice(0, 16)}`;
+}
@@ -0,0 +1,248 @@
+/**
+ * Server-driven paging: @odata.nextLink rewriting and the opt-in $all=true mode.
+ *
+ * Bloxs returns nextLinks that point at its own host and carry the proxy's
+ * upstream-only additions (such as the owner $filter). They are rewritten to
+ * point back at the proxy with the client's own $filter/$apply, so following
+ * them goes through auth, validation and policy again.
+ *
+ * With $all=true the proxy follows the pages itself and returns one merged
+ * `value` array, within a row and time budget:
+ * - PAGING_MAX_ROWS (default 5000)
+ * - PAGING_MAX_MS   (default 20000)
+ * When the budget runs out the response keeps a (rewritten) nextLink to continue from.
+ */
+
+const DEFAULT_MAX_ROWS = 5000;
+const DEFAULT_MAX_MS = 20000;
+
+// Stay well below the Workers subrequest limit (token and $metadata fetches, and the
+// rate limiter's Durable Object calls for a run's concurrency slot, count too).
+const MAX_PAGES = 40;
+
+/**
+ * Read and remove the $all parameter from a query string
+ *
+ * Returns { search, followAll }.
+ */
+export function extractFollowAll(search) {
+  const params = new URLSearchParams(search);
+  if (!params.has('$all')) return { search, followAll: false };
+
+  const value = String(params.get('$all')).toLowerCase();
+  params.delete('$all');
+  const rest = params.toString();
+  return { search: rest ? '?' + rest : '', followAll: value === '' || value === 'true' || value === '1' };
+}
+
+/**
+ * Pages shared by all reads behind one request (KPIs, reports, joins), so that together
+ * they stay within MAX_PAGES like a single paging run
+ *
+ * Pass it as budget.pool; every page after the first takes one. The first page of a read,
+ * and any other subrequests it makes, are taken by the caller.
+ */
+export function createPagePool(size = MAX_PAGES) {
+  let left = size;
+  return {
+    size,
+    take(count = 1) {
+      if (left < count) return false;
+      left -= count;
+      return true;
+    }
+  };
+}
+
+export function getPagingBudget(env) {
+  return {
+    maxRows: parsePositiveInt(env?.PAGING_MAX_ROWS, DEFAULT_MAX_ROWS),
+    maxMs: parsePositiveInt(env?.PAGING_MAX_MS, DEFAULT_MAX_MS)
+  };
+}
+
+function parsePositiveInt(value, fallback) {
+  const parsed = Number.parseInt(value ?? '', 10);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+}
+
+/**
+ * Follow @odata.nextLink from the first page until the budget runs out
+ *
+ * fetchPage(url) must return a fetch Response. Returns { response, body, paging }:
+ * response is the first failing (or the first) upstream response, body the merged
+ * JSON text, and paging { pages, rows, complete, stoppedBy }.
+ */
+export async function fetchAllPages(firstUrl, fetchPage, budget) {
+  const startedAt = Date.now();
+  const firstResponse = await fetchPage(firstUrl);
+  const firstBody = await firstResponse.text();
+  if (!firstResponse.ok) {
+    return { response: firstResponse, body: firstBody, paging: null };
+  }
+
+  let merged;
+  try {
+    merged = JSON.parse(firstBody);
+  } catch {
+    return { response: firstResponse, body: firstBody, paging: null };
+  }
+  if (!merged || !Array.isArray(merged.value)) {
+    return { response: firstResponse, body: firstBody, paging: null };
+  }
+
+  const paging = { pages: 1, rows: merged.value.length, complete: true, stoppedBy: null };
+  let nextLink = merged['@odata.nextLink'] || null;
+  let currentUrl = firstUrl;
+
+  while (nextLink) {
+    const stoppedBy = paging.rows >= budget.maxRows
+      ? 'rows'
+      : Date.now() - startedAt >= budget.maxMs
+        ? 'time'
+        : paging.pages >= MAX_PAGES || (budget.pool && !budget.pool.take())
+          ? 'pages'
+          : null;
+    if (stoppedBy) {
+      paging.complete = false;
+      paging.stoppedBy = stoppedBy;
+      break;
+    }
+
+    const pageUrl = new URL(nextLink, currentUrl).toString();
+    let page;
+    try {
+      const response = await fetchPage(pageUrl);
+      if (!response.ok) throw new Error(`upstream status ${response.status}`);
+      page = JSON.parse(await response.text());
+    } catch (error) {
+      console.log(`Paging stopped at page ${paging.pages + 1}: ${error.message}`);
+      paging.complete = false;
+      paging.stoppedBy = 'error';
+      break;
+    }
+
+    const values = Array.isArray(page?.value) ? page.value : [];
+    merged.value.push(...values);
+    paging.pages++;
+    paging.rows += values.length;
+    currentUrl = pageUrl;
+    nextLink = page?.['@odata.nextLink'] || null;
+  }
+
+  if (nextLink) {
+    merged['@odata.nextLink'] = new URL(nextLink, currentUrl).toString();
+  } else {
+    delete merged['@odata.nextLink'];
+  }
+
+  return { response: firstResponse, body: JSON.stringify(merged), paging };
+}
+
+/**
+ * Read a large entity set in fixed $top/$skip pages until a short page or the budget runs out
+ *
+ * For entity sets with a $top cap, where the proxy must not rely on Bloxs' own page
+ * size. pageUrl(skip) builds the URL of each page; returns the same shape as fetchAllPages.
+ */
+export async function fetchPagesBySkip(pageUrl, fetchPage, budget, pageSize) {
+  const startedAt = Date.now();
+  const firstResponse = await fetchPage(pageUrl(0));
+  const firstBody = await firstResponse.text();
+  if (!firstResponse.ok) {
+    return { response: firstResponse, body: firstBody, paging: null };
+  }
+
+  let merged;
+  try {
+    merged = JSON.parse(firstBody);
+  } catch {
+    return { response: firstResponse, body: firstBody, paging: null };
+  }
+  if (!merged || !Array.isArray(merged.value)) {
+    return { response: firstResponse, body: firstBody, paging: null };
+  }
+  delete merged['@odata.nextLink'];
+
+  const paging = { pages: 1, rows: merged.value.length, complete: true, stoppedBy: null };
+  let lastPageSize = merged.value.length;
+
+  while (lastPageSize >= pageSize) {
+    const stoppedBy = paging.rows >= budget.maxRows
+      ? 'rows'
+      : Date.now() - startedAt >= budget.maxMs
+        ? 'time'
+        : paging.pages >= MAX_PAGES || (budget.pool && !budget.pool.take())
+          ? 'pages'
+          : null;
+    if (stoppedBy) {
+      paging.complete = false;
+      paging.stoppedBy = stoppedBy;
+      break;
+    }
+
+    let page;
+    try {
+      const response = await fetchPage(pageUrl(paging.rows));
+      if (!response.ok) throw new Error(`upstream status ${response.status}`);
+      page = JSON.parse(await response.text());
+    } catch (error) {
+      console.log(`Paging stopped at page ${paging.pages + 1}: ${error.message}`);
+      paging.complete = false;
+      paging.stoppedBy = 'error';
+      break;
+    }
+
+    const values = Array.isArray(page?.value) ? page.value : [];
+    merged.value.push(...values);
+    paging.pages++;
+    paging.rows += values.length;
+    lastPageSize = values.length;
+  }
+
+  return { response: firstResponse, body: JSON.stringify(merged), paging };
+}
+
+/**
+ * Point @odata.nextLink in an OData JSON body back at the proxy
+ *
+ * upstreamUrl is the URL the body was fetched from; clientSearch the client's
+ * validated query, whose $filter/$apply replace the upstream ones in the link.
+ */
+export function rewriteNextLink(responseBody, { upstreamUrl, upstreamBase, proxyOrigin, clientSearch, followAll }) {
+  if (!responseBody || typeof responseBody !== 'string' || !responseBody.includes('@odata.nextLink')) {
+    return responseBody;
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(responseBody);
+  } catch {
+    return responseBody;
+  }
+  const nextLink = parsed?.['@odata.nextLink'];
+  if (typeof nextLink !== 'string') return responseBody;
+
+  const next = new URL(nextLink, upstreamUrl);
+  const base = new URL(upstreamBase);
+  if (next.origin !== base.origin) {
+    // Not a Bloxs link; never hand out links the client could not call anyway.
+    delete parsed['@odata.nextLink'];
+    return JSON.stringify(parsed);
+  }
+
+  const params = new URLSearchParams(next.search);
+  const client = new URLSearchParams(clientSearch);
+  for (const name of ['$filter', '$apply']) {
+    if (client.has(name)) {
+      params.set(name, client.get(name));
+    } else {
+      params.delete(name);
+    }
+  }
+  if (followAll) params.set('$all', 'true');
+
+  const query = params.toString().replace(/%24/g, '$');
+  parsed['@odata.nextLink'] = `${proxyOrigin}${next.pathname}${query ? '?' + query : ''}`;
+  return JSON.stringify(parsed);
+}
@@ -0,0 +1,382 @@
+/**
+ * Row-level security policy.
+ *
+ * Replaces the hard-coded forbidden-owner list with allow-lists and deny-lists of
+ * OwnerId/OwnerName per API client or Entra user. Rules are checked against
+ * specific owner fields per entity set. Rows without an owner name (the entity set
+ * has no such field, or it is empty) fall back to the old check: a row is withheld
+ * when any of its string values is a deny-listed owner name (e.g. ParentOwnerName
+ * or RelationName).
+ *
+ * Policy sources (first found wins):
+ * - AUTH_KV binding, key `policy:v1` (JSON)
+ * - ACCESS_POLICY env var / secret (JSON)
+ * - DEFAULT_POLICY below
+ *
+ * Policy document:
+ * {
+ *   "default":    { "deny": { "ownerNames": ["Wals Huren"] } },
+ *   "principals": {
+ *     "powerbi":          { "allow": { "ownerIds": [515] } },
+ *     "jan@example.com":  { "deny":  { "ownerIds": [12] } },
+ *     "finance":          { "masking": { "*": { "IBAN": "none" } } }
+ *   },
+ *   "fields":       { "ownerId": ["OwnerId"], "ownerName": ["OwnerName", "Owner"] },
+ *   "entityFields": { "owners": { "ownerId": ["OwnerId"], "ownerName": ["DisplayName"] } },
+ *   "masking":      { "*": { "Email": "partial" }, "Persons": { "DateOfBirth": "drop" } }
+ * }
+ *
+ * Field masking rules (see masking.js) default to DEFAULT_MASKING_RULES when the
+ * document has no "masking" section; principals' "masking" sections override them.
+ *
+ * Principals are matched by API client name, Entra upn and Entra oid. Deny lists
+ * from the default and every matching principal are combined; allow lists
+ * narrow access further (a row must match every allow list that applies).
+ *
+ * The policy is pushed into the upstream $filter where the entity set has the
+ * owner fields (buildOwnerFilter); the response check (applyRowPolicy) stays as
+ * a fallback for everything the filter cannot express.
+ */
+
+import { DEFAULT_MASKING_RULES, mergeMaskingRules } from './masking.js';
+import { splitTopLevel } from './projection.js';
+
+const POLICY_KV_KEY = 'policy:v1';
+const POLICY_CACHE_MS = 60 * 1000;
+
+// Never return data referencing these owners unless a policy document says otherwise.
+const DEFAULT_POLICY = {
+  default: {
+    deny: {
+      ownerNames: ['Wals Huren', 'Greenhorn Properties BV']
+    }
+  },
+  principals: {},
+  fields: {
+    ownerId: ['OwnerId'],
+    ownerName: ['OwnerName', 'Owner']
+  },
+  entityFields: {
+    // The owner and its relation record carry the owner's name in DisplayName.
+    owners: { ownerId: ['OwnerId'], ownerName: ['DisplayName'] },
+    Relations: { ownerId: [], ownerName: ['DisplayName'] }
+  }
+};
+
+// Policy cache (in-memory, per worker instance)
+let cachedPolicy = null;
+let policyExpiry = 0;
+
+/**
+ * Load the policy document (KV, then env, then the built-in default)
+ */
+export async function loadPolicyDocument(env) {
+  const now = Date.now();
+  if (cachedPolicy && policyExpiry > now) {
+    return cachedPolicy;
+  }
+
+  let document = null;
+  if (env?.AUTH_KV && typeof env.AUTH_KV.get === 'function') {
+    try {
+      document = await env.AUTH_KV.get(POLICY_KV_KEY, { type: 'json' });
+    } catch {
+      document = null;
+    }
+  }
+  if (!document && env?.ACCESS_POLICY) {
+    try {
+      document = JSON.parse(env.ACCESS_POLICY);
+    } catch {
+      console.log('Ignoring ACCESS_POLICY: not valid JSON');
+    }
+  }
+
+  cachedPolicy = document && typeof document === 'object' ? document : DEFAULT_POLICY;
+  policyExpiry = now + POLICY_CACHE_MS;
+  return cachedPolicy;
+}
+
+/**
+ * Resolve the effective row policy for a client (API key or Entra user)
+ */
+export function resolvePolicy(document, client) {
+  const policy = {
+    denyOwnerIds: new Set(),
+    denyOwnerNames: new Set(),
+    allowLists: [],
+    fields: document.fields || DEFAULT_POLICY.fields,
+    entityFields: document.entityFields || {},
+    masking: null
+  };
+
+  const rules = [document.default];
+  const principals = document.principals || {};
+  for (const id of getPrincipalIds(client)) {
+    if (principals[id]) rules.push(principals[id]);
+  }
+
+  for (const rule of rules) {
+    if (!rule) continue;
+    for (const id of rule.deny?.ownerIds || []) policy.denyOwnerIds.add(Number(id));
+    for (const name of rule.deny?.ownerNames || []) policy.denyOwnerNames.add(normalizeName(name));
+    if (rule.allow) addAllowList(policy, rule.allow.ownerIds, rule.allow.ownerNames);
+  }
+
+  policy.masking = mergeMaskingRules(
+    document.masking || DEFAULT_MASKING_RULES,
+    ...rules.map((rule) => rule?.masking)
+  );
+
+  // Owner restriction configured on the API client itself (API_CLIENTS / AUTH_KV registry)
+  if (client?.ownerIds) {
+    addAllowList(policy, Array.from(client.ownerIds), []);
+  }
+
+  return policy;
+}
+
+function addAllowList(policy, ownerIds, ownerNames) {
+  const ids = new Set((ownerIds || []).map(Number).filter(Number.isFinite));
+  const names = new Set((ownerNames || []).map(normalizeName));
+  if (ids.size > 0 || names.size > 0) {
+    policy.allowLists.push({ ownerIds: ids, ownerNames: names });
+  }
+}
+
+function getPrincipalIds(client) {
+  if (!client) return [];
+  const ids = [client.name];
+  if (client.identity?.upn) ids.push(client.identity.upn, client.identity.upn.toLowerCase());
+  if (client.identity?.oid) ids.push(client.identity.oid);
+  return Array.from(new Set(ids.filter(Boolean)));
+}
+
+function normalizeName(value) {
+  return String(value ?? '').trim().toLowerCase();
+}
+
+/**
+ * Whether the policy restricts the client to specific owners (allow-lists)
+ */
+export function isOwnerRestricted(policy) {
+  return policy.allowLists.length > 0;
+}
+
+/**
+ * Owner id/name fields the policy checks for an entity set, limited to fields the schema has
+ *
+ * An entity set that is not in the catalogue has no known owner fields.
+ */
+export function getOwnerFields(policy, entityName, schema) {
+  if (!schema) return { ownerId: [], ownerName: [] };
+  const override = Object.entries(policy.entityFields)
+    .find(([name]) => name.toLowerCase() === schema.name.toLowerCase())?.[1];
+  const config = { ...policy.fields, ...(override || {}) };
+  const known = new Set(schema.properties.map((p) => p.name));
+  const keep = (fields) => (fields || []).filter((f) => known.has(f));
+  return { ownerId: keep(config.ownerId), ownerName: keep(config.ownerName) };
+}
+
+/**
+ * OData $filter clause that enforces the policy upstream, or null when nothing applies
+ *
+ * Mirrors isRowWithheld for the owner fields the entity set has, so Bloxs only
+ * returns permitted rows and $top/$count stay correct. Names compare case-insensitively.
+ */
+export function buildOwnerFilter(policy, ownerFields) {
+  const clauses = [];
+
+  for (const field of ownerFields.ownerId) {
+    for (const id of policy.denyOwnerIds) clauses.push(`${field} ne ${id}`);
+  }
+  for (const field of ownerFields.ownerName) {
+    for (const name of policy.denyOwnerNames) clauses.push(`tolower(${field}) ne ${quoteString(name)}`);
+  }
+
+  for (const allow of policy.allowLists) {
+    const options = [];
+    for (const field of ownerFields.ownerId) {
+      for (const id of allow.ownerIds) options.push(`${field} eq ${id}`);
+    }
+    for (const field of ownerFields.ownerName) {
+      for (const name of allow.ownerNames) options.push(`tolower(${field}) eq ${quoteString(name)}`);
+    }
+    // An allow list that cannot be expressed on this entity set is left to the response check.
+    if (options.length > 0) {
+      clauses.push(options.length === 1 ? options[0] : `(${options.join(' or ')})`);
+    }
+  }
+
+  return clauses.length > 0 ? clauses.join(' and ') : null;
+}
+
+/**
+ * AND the policy's owner clause into $filter, or ahead of $apply (evaluated before $filter)
+ */
+export function addOwnerFilter(search, ownerFilter) {
+  if (!ownerFilter) return search;
+  const params = new URLSearchParams(search);
+
+  const apply = params.get('$apply');
+  if (apply) {
+    params.set('$apply', `filter(${ownerFilter})/${apply}`);
+  } else {
+    const filter = params.get('$filter');
+    params.set('$filter', filter ? `(${filter}) and (${ownerFilter})` : ownerFilter);
+  }
+
+  return '?' + params.toString();
+}
+
+function quoteString(value) {
+  return `'${String(value).replace(/'/g, "''")}'`;
+}
+
+/**
+ * Widen a client's $select so the row check sees the fields it needs
+ *
+ * Adds the owner fields, or drops $select when every value is walked for deny-listed
+ * names. Returns { search, keep } where keep is the set of top-level fields (selected
+ * and expanded) to project the checked rows back to, or null when nothing was widened.
+ */
+export function widenSelectForPolicy(search, policy, ownerFields) {
+  const params = new URLSearchParams(search);
+  const select = params.get('$select');
+  const hasRules = policy.denyOwnerIds.size > 0 || policy.denyOwnerNames.size > 0 || isOwnerRestricted(policy);
+  if (!select || !hasRules) return { search, keep: null };
+
+  const fields = splitOption(select);
+  if (fields.includes('*')) return { search, keep: null };
+
+  if (needsValueWalk(policy, ownerFields)) {
+    params.delete('$select');
+  } else {
+    const missing = [...ownerFields.ownerId, ...ownerFields.ownerName].filter((f) => !fields.includes(f));
+    if (missing.length === 0) return { search, keep: null };
+    params.set('$select', [...fields, ...missing].join(','));
+  }
+
+  const expanded = splitOption(params.get('$expand')).map((e) => e.split(/[(/]/)[0].trim());
+  return { search: '?' + params.toString(), keep: new Set([...fields, ...expanded]) };
+}
+
+function splitOption(value) {
+  return splitTopLevel(value ?? '').map((s) => s.trim()).filter(Boolean);
+}
+
+/**
+ * Whether deny-listed owner names are checked against every value of every row
+ *
+ * That is the fallback for entity sets without an owner name field.
+ */
+export function needsValueWalk(policy, ownerFields) {
+  return policy.denyOwnerNames.size > 0 && ownerFields.ownerName.length === 0;
+}
+
+/**
+ * Whether one row must be withheld under the policy
+ *
+ * With requireOwner, a row without any owner value is withheld from an owner-restricted
+ * client (the owner filter did not run upstream, e.g. for Units(5)).
+ */
+export function isRowWithheld(row, policy, ownerFields, { requireOwner = false } = {}) {
+  if (!row || typeof row !== 'object' || Array.isArray(row)) return false;
+
+  const ids = ownerFields.ownerId
+    .filter((f) => row[f] != null)
+    .map((f) => Number(row[f]));
+  const names = ownerFields.ownerName
+    .filter((f) => typeof row[f] === 'string')
+    .map((f) => normalizeName(row[f]));
+
+  if (ids.some((id) => policy.denyOwnerIds.has(id))) return true;
+  if (names.some((name) => policy.denyOwnerNames.has(name))) return true;
+  if (names.length === 0 && policy.denyOwnerNames.size > 0 && containsDeniedName(row, policy.denyOwnerNames)) return true;
+
+  // Otherwise rows without any owner value are left to the entity-level scope check.
+  if (ids.length === 0 && names.length === 0) {
+    const hasOwnerFields = ownerFields.ownerId.length > 0 || ownerFields.ownerName.length > 0;
+    return requireOwner && hasOwnerFields && isOwnerRestricted(policy);
+  }
+  for (const allow of policy.allowLists) {
+    const idAllowed = allow.ownerIds.size > 0 && ids.some((id) => allow.ownerIds.has(id));
+    const nameAllowed = allow.ownerNames.size > 0 && names.some((name) => allow.ownerNames.has(name));
+    if (!idAllowed && !nameAllowed) return true;
+  }
+  return false;
+}
+
+// Walk all string values of a row, including expanded entities
+function containsDeniedName(value, names) {
+  const seen = new Set();
+  const stack = [value];
+
+  while (stack.length > 0) {
+    const current = stack.pop();
+    if (current == null) continue;
+
+    if (typeof current === 'string') {
+      if (names.has(normalizeName(current))) return true;
+      continue;
+    }
+
+    if (typeof current !== 'object' || seen.has(current)) continue;
+    seen.add(current);
+
+    if (Array.isArray(current)) {
+      stack.push(...current);
+      continue;
+    }
+    for (const key of Object.keys(current)) {
+      // Skip OData metadata fields.
+      if (!key.startsWith('@odata.')) stack.push(current[key]);
+    }
+  }
+  return false;
+}
+
+/**
+ * Apply the row policy to an OData JSON response body
+ *
+ * Returns { body, withheld, notFound, rows } where notFound is set for a single-entity
+ * response whose row was withheld, and rows is the number of rows left (null when the
+ * body is not an OData JSON response). options are passed to isRowWithheld.
+ */
+export function applyRowPolicy(responseBody, policy, ownerFields, options = {}) {
+  if (!responseBody || typeof responseBody !== 'string') {
+    return { body: responseBody, withheld: 0, notFound: false, rows: null };
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(responseBody);
+  } catch {
+    return { body: responseBody, withheld: 0, notFound: false, rows: null };
+  }
+
+  if (!parsed || typeof parsed !== 'object') {
+    return { body: responseBody, withheld: 0, notFound: false, rows: null };
+  }
+
+  const values = Array.isArray(parsed.value) ? parsed.value : null;
+  if (!values) {
+    // Single entity, e.g. /odatafeed/Units(5)
+    if (isRowWithheld(parsed, policy, ownerFields, options)) {
+      return { body: null, withheld: 1, notFound: true, rows: 0 };
+    }
+    return { body: responseBody, withheld: 0, notFound: false, rows: 1 };
+  }
+
+  const filtered = values.filter((row) => !isRowWithheld(row, policy, ownerFields, options));
+  if (filtered.length === values.length) {
+    return { body: responseBody, withheld: 0, notFound: false, rows: values.length };
+  }
+
+  return {
+    body: JSON.stringify({ ...parsed, value: filtered }),
+    withheld: values.length - filtered.length,
+    notFound: false,
+    rows: filtered.length
+  };
+}
@@ -0,0 +1,206 @@
+/**
+ * $select and $expand validation against the entity schema.
+ *
+ * $select field names are case-corrected and unknown fields are dropped (and
+ * reported), so one misspelled field no longer fails the whole request. When no
+ * field is known the query is rejected, rather than widened to every column.
+ * $expand navigation paths must exist; an unknown path rejects the query.
+ */
+
+import { findClosestField, getEntityFieldNames, getEntitySchema } from './schema.js';
+
+/**
+ * Case-correct $select and drop unknown fields
+ *
+ * Returns { select, rewrites }, or { error } when none of the fields is known.
+ */
+export function validateSelect(select, catalogue, entityName) {
+  const schema = getEntitySchema(catalogue, entityName);
+  const items = splitTopLevel(select).map((s) => s.trim()).filter(Boolean);
+  if (!schema) return { select, rewrites: [] };
+
+  const kept = [];
+  const rewrites = [];
+  const unknown = [];
+  for (const item of items) {
+    if (item === '*') {
+      kept.push(item);
+      continue;
+    }
+
+    const resolved = resolveSelectPath(catalogue, schema, item);
+    if (!resolved) {
+      const closest = findClosestField(getEntityFieldNames(catalogue, entityName), item.split('/')[0]);
+      unknown.push({ token: item, closest });
+      rewrites.push({ parameter: '$select', from: item, to: null, reason: closest ? `unknown field, did you mean '${closest}'?` : 'unknown field' });
+      continue;
+    }
+    if (kept.includes(resolved)) continue;
+    if (resolved !== item) {
+      rewrites.push({ parameter: '$select', from: item, to: resolved });
+    }
+    kept.push(resolved);
+  }
+
+  if (kept.length === 0 && unknown.length > 0) {
+    const error = {
+      message: `None of the $select fields exist on ${schema.name}`,
+      position: select.indexOf(unknown[0].token),
+      token: unknown[0].token,
+      availableFields: getEntityFieldNames(catalogue, entityName)
+    };
+    const suggestions = unknown.filter((u) => u.closest).map((u) => `'${u.token}' -> '${u.closest}'`);
+    if (suggestions.length > 0) error.suggestion = `Did you mean ${suggestions.join(', ')}?`;
+    return { error };
+  }
+
+  return { select: kept.length > 0 ? kept.join(',') : null, rewrites };
+}
+
+function resolveSelectPath(catalogue, schema, path) {
+  const [first, ...rest] = path.split('/');
+  const lower = first.toLowerCase();
+
+  const property = schema.properties.find((p) => p.name.toLowerCase() === lower);
+  if (property) {
+    return rest.length === 0 ? property.name : null;
+  }
+
+  const navigation = schema.navigationProperties.find((n) => n.name.toLowerCase() === lower);
+  if (!navigation) return null;
+  if (rest.length === 0) return navigation.name;
+
+  const target = findEntitySetByType(catalogue, navigation.type);
+  if (!target) return [navigation.name, ...rest].join('/');
+  const nested = resolveSelectPath(catalogue, target, rest.join('/'));
+  return nested ? `${navigation.name}/${nested}` : null;
+}
+
+/**
+ * Validate $expand navigation paths and case-correct them
+ *
+ * Returns { expand, rewrites } or { error } with the offending path.
+ */
+export function validateExpand(expand, catalogue, entityName) {
+  const schema = getEntitySchema(catalogue, entityName);
+  if (!schema) return { expand, rewrites: [] };
+
+  const items = splitTopLevel(expand);
+  const normalized = [];
+  const rewrites = [];
+  let offset = 0;
+
+  for (const rawItem of items) {
+    const position = offset + (rawItem.length - rawItem.trimStart().length);
+    offset += rawItem.length + 1;
+
+    const item = rawItem.trim();
+    if (!item) continue;
+    if (item === '*') {
+      normalized.push(item);
+      continue;
+    }
+
+    // Nested query options, e.g. Nav($select=A,B), are passed through unchanged.
+    const optionsIndex = item.indexOf('(');
+    const path = optionsIndex === -1 ? item : item.slice(0, optionsIndex).trim();
+    const options = optionsIndex === -1 ? '' : item.slice(optionsIndex);
+
+    const resolved = resolveNavigationPath(catalogue, schema, path);
+    if (!resolved) {
+      const available = schema.navigationProperties.map((n) => n.name);
+      return {
+        error: {
+          message: available.length > 0
+            ? `Unknown navigation property '${path}' on ${schema.name}`
+            : `${schema.name} has no navigation properties to expand; query the related entity set separately`,
+          position,
+          token: path,
+          availableNavigationProperties: available
+        }
+      };
+    }
+
+    if (resolved !== path) {
+      rewrites.push({ parameter: '$expand', from: path, to: resolved });
+    }
+    normalized.push(resolved + options);
+  }
+
+  return { expand: normalized.join(','), rewrites };
+}
+
+function resolveNavigationPath(catalogue, schema, path) {
+  const segments = path.split('/');
+  const resolved = [];
+  let current = schema;
+
+  for (const segment of segments) {
+    if (!current) {
+      // Target type is not exposed as an entity set; trust the remaining segments.
+      resolved.push(segment);
+      continue;
+    }
+    const navigation = current.navigationProperties.find((n) => n.name.toLowerCase() === segment.toLowerCase());
+    if (!navigation) return null;
+    resolved.push(navigation.name);
+    current = findEntitySetByType(catalogue, navigation.type);
+  }
+
+  return resolved.join('/');
+}
+
+function findEntitySetByType(catalogue, qualifiedType) {
+  return Object.values(catalogue.entitySets).find((s) => s.entityType === qualifiedType) || null;
+}
+
+/**
+ * Project the rows of an OData JSON response body to the given top-level fields
+ *
+ * OData annotations (@odata.count, Field@odata.type, ...) of kept fields stay. Returns
+ * the body unchanged when it is not OData JSON.
+ */
+export function projectResponseBody(responseBody, keep) {
+  let parsed;
+  try {
+    parsed = JSON.parse(responseBody);
+  } catch {
+    return responseBody;
+  }
+  if (!parsed || typeof parsed !== 'object') return responseBody;
+
+  const project = (row) => Object.fromEntries(Object.entries(row).filter(([key]) => {
+    const field = key.split('@')[0];
+    return field === '' || keep.has(field);
+  }));
+  if (Array.isArray(parsed.value)) {
+    return JSON.stringify({ ...parsed, value: parsed.value.map((row) => (row && typeof row === 'object' ? project(row) : row)) });
+  }
+  return JSON.stringify(project(parsed));
+}
+
+/**
+ * Split a comma-separated OData option value, ignoring commas inside parentheses and quotes
+ */
+export function splitTopLevel(value) {
+  const parts = [];
+  let depth = 0;
+  let inString = false;
+  let current = '';
+
+  for (const ch of String(value ?? '')) {
+    if (ch === "'") inString = !inString;
+    if (!inString) {
+      if (ch === '(') depth++;
+      if (ch === ')') depth = Math.max(0, depth - 1);
+      if (ch === ',' && depth === 0) {
+        parts.push(current);
+        current = '';
+        continue;
+      }
+    }
+    current += ch;
+  }
+  parts.push(current);
+  return parts;
+}
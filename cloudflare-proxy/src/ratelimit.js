@@ -0,0 +1,332 @@
+/**
+ * Rate limits per caller and a cap on concurrent upstream requests.
+ *
+ * Every API client or Entra user has a token bucket per limit that applies to a request:
+ * the default ("*") and, where one is configured, the entity set's own. A bucket holds a
+ * minute's worth of requests and refills continuously; a request needs a token from each,
+ * otherwise it gets 429 with Retry-After. Limits are requests per minute, overridable with
+ * the RATE_LIMITS var: {"*": 120, "FinancialMutations": 20} (0 = no limit). Internal reads
+ * for computed endpoints ($kpi, $report, $join, ...) draw from the entity set's bucket
+ * too, one token per entity set and request.
+ *
+ * Upstream requests (a pass-through request with its pages, an internal read with its
+ * pages, a write) each hold one of UPSTREAM_MAX_CONCURRENCY slots until they are done.
+ * A request waits up to UPSTREAM_QUEUE_MS for a free slot and is then answered 429 as
+ * if Bloxs had said so.
+ *
+ * State lives in the RATE_LIMITER Durable Object when bound (one object per caller, one
+ * for the upstream slots), so the limits hold across isolates and locations; otherwise
+ * per worker instance.
+ */
+
+const DEFAULT_PER_MINUTE = 120;
+
+// Lowercased entity set -> requests per minute
+const ENTITY_PER_MINUTE = {
+  financialmutations: 20,
+  journalposttransactions: 20
+};
+
+const DEFAULT_MAX_CONCURRENCY = 6;
+const DEFAULT_QUEUE_MS = 5000;
+// A slot whose holder never released it (isolate gone) is reclaimed after this
+const SLOT_LEASE_MS = 60 * 1000;
+const MAX_TRACKED_BUCKETS = 10000;
+
+const LIMITER_ORIGIN = 'https://rate-limiter.bloxs-proxy.internal';
+const UPSTREAM_OBJECT = 'upstream';
+
+// Per-instance state when RATE_LIMITER is not bound
+const localBuckets = new Map();
+const localSlots = createSlotPool();
+
+/**
+ * The buckets a request draws from: [{ name, perMinute }]
+ */
+function getRateLimits(env, entityName) {
+  const key = entityName ? String(entityName).split('(')[0].toLowerCase() : null;
+  const overrides = parseLimitOverrides(env?.RATE_LIMITS);
+  const limits = [];
+
+  const perMinute = '*' in overrides ? overrides['*'] : DEFAULT_PER_MINUTE;
+  if (perMinute > 0) limits.push({ name: '*', perMinute });
+
+  if (key && key !== '*') {
+    const entityLimit = key in overrides ? overrides[key] : ENTITY_PER_MINUTE[key];
+    if (entityLimit > 0) limits.push({ name: key, perMinute: entityLimit });
+  }
+  return limits;
+}
+
+function parseLimitOverrides(value) {
+  if (!value) return {};
+  try {
+    const parsed = typeof value === 'string' ? JSON.parse(value) : value;
+    const overrides = {};
+    for (const [name, limit] of Object.entries(parsed || {})) {
+      const perMinute = Number.parseInt(limit, 10);
+      if (Number.isFinite(perMinute) && perMinute >= 0) overrides[name === '*' ? '*' : name.toLowerCase()] = perMinute;
+    }
+    return overrides;
+  } catch {
+    console.log('Ignoring RATE_LIMITS: not valid JSON');
+    return {};
+  }
+}
+
+/**
+ * Take one token from each of the caller's buckets for this request
+ *
+ * Returns { allowed: true } or { allowed: false, retryAfter (seconds), limit }. When the
+ * Durable Object cannot be reached the request is allowed (and the failure logged).
+ */
+export async function checkRateLimit(env, client, entityName, now = Date.now()) {
+  return takeFromBuckets(env, client, getRateLimits(env, entityName), now);
+}
+
+/**
+ * Take one token from the entity set's own bucket only, for an internal read
+ *
+ * The request that made the read was already charged to the default bucket.
+ */
+export async function checkEntityRateLimit(env, client, entityName, now = Date.now()) {
+  const limits = getRateLimits(env, entityName).filter((limit) => limit.name !== '*');
+  return takeFromBuckets(env, client, limits, now);
+}
+
+async function takeFromBuckets(env, client, limits, now) {
+  if (limits.length === 0) return { allowed: true };
+
+  const caller = `${client.kind}:${client.name}`;
+  if (!isLimiterBound(env)) {
+    return takeTokens(localBuckets, caller, limits, now);
+  }
+  try {
+    return await callLimiter(env, `caller:${caller}`, '/take', { caller, limits });
+  } catch (error) {
+    console.log(`Rate limiter unavailable, request allowed: ${error.message}`);
+    return { allowed: true };
+  }
+}
+
+/**
+ * Token buckets in `store` (caller and limit name -> { tokens, updatedAt, fullAt })
+ *
+ * All buckets must have a token before any is taken, so a refused request costs nothing.
+ */
+function takeTokens(store, caller, limits, now) {
+  const buckets = limits.map((limit) => {
+    const key = `${caller}\n${limit.name}`;
+    const ratePerMs = limit.perMinute / 60000;
+    const state = store.get(key);
+    const tokens = state
+      ? Math.min(limit.perMinute, state.tokens + (now - state.updatedAt) * ratePerMs)
+      : limit.perMinute;
+    return { key, limit, ratePerMs, tokens };
+  });
+
+  const empty = buckets.filter((bucket) => bucket.tokens < 1);
+  if (empty.length > 0) {
+    const waits = empty.map((bucket) => (1 - bucket.tokens) / bucket.ratePerMs);
+    const slowest = empty[waits.indexOf(Math.max(...waits))];
+    return {
+      allowed: false,
+      retryAfter: Math.max(1, Math.ceil(Math.max(...waits) / 1000)),
+      limit: { name: slowest.limit.name, perMinute: slowest.limit.perMinute }
+    };
+  }
+
+  if (store.size > MAX_TRACKED_BUCKETS) pruneBuckets(store, now);
+  for (const bucket of buckets) {
+    store.set(bucket.key, { tokens: bucket.tokens - 1, updatedAt: now, fullAt: now + (bucket.limit.perMinute - bucket.tokens + 1) / bucket.ratePerMs });
+  }
+  return { allowed: true };
+}
+
+// Buckets that have refilled completely are the same as no bucket
+function pruneBuckets(store, now) {
+  for (const [key, state] of store) {
+    if (state.fullAt <= now) store.delete(key);
+  }
+}
+
+/**
+ * fetch for upstream Bloxs requests that holds one concurrency slot for all its requests
+ *
+ * The slot is taken by the first request and kept until release(), so the pages of a
+ * paging run (and its retries) cost one acquire and one release, not two Durable Object
+ * calls per page. The response body is buffered. Without a free slot in time it answers
+ * 429 with Retry-After, like an overloaded upstream would.
+ */
+export function createUpstreamFetch(env, fetcher = fetch) {
+  const max = parsePositiveInt(env?.UPSTREAM_MAX_CONCURRENCY, DEFAULT_MAX_CONCURRENCY);
+  const waitMs = parsePositiveInt(env?.UPSTREAM_QUEUE_MS, DEFAULT_QUEUE_MS);
+  let slot = null;
+
+  async function upstreamFetch(url, init) {
+    slot ??= acquireSlot(env, { max, waitMs });
+    const held = await slot;
+    if (!held.granted) {
+      slot = null;
+      return new Response(JSON.stringify({ error: { message: `Too many concurrent requests to Bloxs (limit ${max}); try again shortly` } }), {
+        status: 429,
+        headers: { 'Content-Type': 'application/json', 'Retry-After': String(held.retryAfter) }
+      });
+    }
+    const response = await fetcher(url, init);
+    const body = await response.arrayBuffer();
+    return new Response(body.byteLength > 0 ? body : null, {
+      status: response.status,
+      statusText: response.statusText,
+      headers: response.headers
+    });
+  }
+
+  // Give the slot back; an unreleased slot is reclaimed after SLOT_LEASE_MS
+  upstreamFetch.release = async () => {
+    if (!slot) return;
+    const held = await slot;
+    slot = null;
+    if (held.granted) await releaseSlot(env, held.id);
+  };
+  return upstreamFetch;
+}
+
+/**
+ * Durable Object calls one upstream fetcher makes for its slot (acquire and release)
+ */
+export function getSlotSubrequests(env) {
+  return isLimiterBound(env) ? 2 : 0;
+}
+
+async function acquireSlot(env, { max, waitMs }) {
+  if (!isLimiterBound(env)) {
+    return localSlots.acquire({ max, waitMs, leaseMs: SLOT_LEASE_MS });
+  }
+  try {
+    return await callLimiter(env, UPSTREAM_OBJECT, '/acquire', { max, waitMs, leaseMs: SLOT_LEASE_MS });
+  } catch (error) {
+    console.log(`Rate limiter unavailable, upstream request not counted: ${error.message}`);
+    return { granted: true, id: null };
+  }
+}
+
+async function releaseSlot(env, id) {
+  if (id == null) return;
+  if (!isLimiterBound(env)) {
+    localSlots.release(id);
+    return;
+  }
+  try {
+    await callLimiter(env, UPSTREAM_OBJECT, '/release', { id });
+  } catch (error) {
+    // The lease expires on its own
+    console.log(`Upstream slot ${id} not released: ${error.message}`);
+  }
+}
+
+/**
+ * Slots with leases, and callers waiting for one in arrival order
+ */
+function createSlotPool() {
+  const leases = new Map();
+  const waiting = [];
+  let nextId = 1;
+
+  function grant(leaseMs) {
+    const id = `${Date.now().toString(36)}-${nextId++}`;
+    leases.set(id, Date.now() + leaseMs);
+    return { granted: true, id };
+  }
+
+  function reclaimExpired() {
+    const now = Date.now();
+    for (const [id, expiresAt] of leases) {
+      if (expiresAt <= now) leases.delete(id);
+    }
+  }
+
+  function grantWaiting() {
+    while (waiting.length > 0 && leases.size < waiting[0].max) {
+      const waiter = waiting.shift();
+      clearTimeout(waiter.timer);
+      waiter.resolve(grant(waiter.leaseMs));
+    }
+  }
+
+  return {
+    acquire({ max, waitMs, leaseMs }) {
+      reclaimExpired();
+      if (leases.size < max && waiting.length === 0) return grant(leaseMs);
+      return new Promise((resolve) => {
+        const waiter = { max, leaseMs, resolve };
+        waiter.timer = setTimeout(() => {
+          waiting.splice(waiting.indexOf(waiter), 1);
+          reclaimExpired();
+          resolve(leases.size < max ? grant(leaseMs) : { granted: false, retryAfter: 1 });
+        }, waitMs);
+        waiting.push(waiter);
+      });
+    },
+    release(id) {
+      leases.delete(id);
+      grantWaiting();
+    }
+  };
+}
+
+function isLimiterBound(env) {
+  return Boolean(env?.RATE_LIMITER && typeof env.RATE_LIMITER.idFromName === 'function');
+}
+
+async function callLimiter(env, name, path, payload) {
+  const stub = env.RATE_LIMITER.get(env.RATE_LIMITER.idFromName(name));
+  const response = await stub.fetch(`${LIMITER_ORIGIN}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(payload)
+  });
+  if (!response.ok) throw new Error(`status ${response.status}`);
+  return response.json();
+}
+
+function parsePositiveInt(value, fallback) {
+  const parsed = Number.parseInt(value ?? '', 10);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+}
+
+/**
+ * Durable Object holding the token buckets of one caller, or the upstream slots
+ *
+ * State is kept in memory (its own clock): an object that was evicted after being idle
+ * starts again with full buckets and no slots in use.
+ */
+export class RateLimiter {
+  constructor(state, env) {
+    this.state = state;
+    this.env = env;
+    this.buckets = new Map();
+    this.slots = createSlotPool();
+  }
+
+  async fetch(request) {
+    const { pathname } = new URL(request.url);
+    const input = await request.json();
+    let result;
+    switch (pathname) {
+      case '/take':
+        result = takeTokens(this.buckets, input.caller, input.limits, Date.now());
+        break;
+      case '/acquire':
+        result = await this.slots.acquire(input);
+        break;
+      case '/release':
+        this.slots.release(input.id);
+        result = { released: true };
+        break;
+      default:
+        return new Response('Not found', { status: 404 });
+    }
+    return new Response(JSON.stringify(result), { headers: { 'Content-Type': 'application/json' } });
+  }
+}
@@ -0,0 +1,835 @@
+/**
+ * Server-side reports for the crossEntityInsights in $metadata-summary.
+ *
+ * GET /odatafeed/$report                              - list of reports and their parameters
+ * GET /odatafeed/$report/<id>?ownerId=515&asOf=...   - rows, aggregates and formula for one report
+ *
+ * Like the KPIs (kpi.js), each report loads its source entities through the request's
+ * entity reader, so the caller's scope and policy apply (rows of forbidden owners are
+ * never read), and computes the result with a pure function. Reports return rows and
+ * breakdowns rather than a single value.
+ *
+ * Report settings that must not vary per request (such as the tenant risk weights)
+ * come from env vars and are echoed in `parameters`:
+ * - TENANT_RISK_WEIGHTS - {"paymentAge": 1, "arrears": 1, "expiry": 1, "expiryWithinMonths": 6}
+ * - NOI_LEDGER_MAPPING  - {"financing": {"names": ["rente"]}, "income": {"codes": ["8"]}, "opex": {"codes": ["4"]}}
+ */
+
+import { readByKeys, readByKeysOrRange } from './join.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const DEFAULT_TENANT_RISK_WEIGHTS = {
+  paymentAge: 1,
+  arrears: 1,
+  expiry: 1,
+  expiryWithinMonths: 6
+};
+
+// Ledger account classes for NOI, checked in this order. Codes are prefixes (Dutch
+// decimal chart of accounts: 4 = costs, 8 = revenue), names case-insensitive substrings;
+// ledgerAccountIds match exactly. Accounts matching no class are left out of NOI.
+export const DEFAULT_NOI_LEDGER_MAPPING = {
+  financing: { names: ['rente', 'hypothe', 'lening', 'aflossing', 'financier', 'interest', 'mortgage', 'loan'] },
+  income: { codes: ['8'] },
+  opex: { codes: ['4'] }
+};
+
+const NOI_CLASSES = ['financing', 'income', 'opex'];
+
+// The NOI ledger read is split by financial period, so the parts are read in parallel
+const FINANCIAL_PERIODS = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12];
+
+// Months per invoice period (MonthlyInterval enum; OData returns the member name)
+const INTERVAL_MONTHS = { Month: 1, Quarter: 3, HalfYear: 6, Year: 12, 1: 1, 3: 3, 6: 6, 12: 12 };
+
+export const REPORT_DEFINITIONS = {
+  'vacancy-impact': {
+    title: 'Vacancy Financial Impact',
+    description: 'Potential rent lost on (partly) vacant units, per unit and aggregated by owner and complex',
+    formula: 'lostRent = sum(TheoreticalRentItems.Amount per unit) × (1 - Units.OccupationPercentage), for Units with OccupationPercentage < 1',
+    parameters: { ownerId: null, complexId: null, asOf: 'today' },
+    sources: ['Units', 'TheoreticalRentItems'],
+    async load(read, params) {
+      const units = await read('Units', {
+        filter: joinClauses([
+          'OccupationPercentage lt 1',
+          params.ownerId != null ? `OwnerId eq ${params.ownerId}` : null,
+          params.complexId != null ? `ComplexId eq ${params.complexId}` : null
+        ]),
+        select: [
+          'UnitId', 'DisplayName', 'OwnerId', 'Owner', 'ComplexId', 'ComplexName',
+          'OccupationPercentage', 'UnderManagementSince', 'SalesDate'
+        ]
+      });
+      if (units.error) return { units };
+
+      // TheoreticalRentItems has no owner column: only read the items of units the caller may see.
+      const unitIds = Array.from(new Set(units.rows.map((u) => u.UnitId).filter((id) => id != null)));
+      const rentItems = unitIds.length > 0
+        ? await readByKeysOrRange(read, 'TheoreticalRentItems', {
+          field: 'RealEstateObjectId',
+          keys: unitIds,
+          select: ['TheoreticalRentItemId', 'RealEstateObjectId', 'Amount']
+        })
+        : emptySource('TheoreticalRentItems');
+      return { units, rentItems };
+    },
+    compute: ({ units, rentItems }, params) => computeVacancyImpact(units, rentItems, params.asOf)
+  },
+  'tenant-risk': {
+    title: 'Tenant Risk Score',
+    description: 'Risk score per tenant (RelationId) from payment age, arrears relative to monthly rent and months to contract expiry, highest first',
+    formula: 'score = paymentAge × avg(Age) / 30 + arrears × sum(OutstandingAmount) / monthlyRent + expiry × (monthsToExpiry < expiryWithinMonths ? 1 : 0)',
+    parameters: { ownerId: null, asOf: 'today', top: 50 },
+    numbers: { top: { min: 1, max: 1000, integer: true } },
+    settings: (env) => ({ weights: getTenantRiskWeights(env) }),
+    sources: ['OpenPositionDebtors', 'SalesContracts', 'SalesContractLine'],
+    async load(read, params) {
+      const ownerFilter = params.ownerId != null ? `OwnerId eq ${params.ownerId}` : null;
+      const [debtors, contracts] = await Promise.all([
+        read('OpenPositionDebtors', {
+          filter: joinClauses([ownerFilter, 'OutstandingAmount gt 0']),
+          select: ['SalesInvoiceId', 'OwnerId', 'RelationId', 'RelationName', 'OutstandingAmount', 'Age']
+        }),
+        read('SalesContracts', {
+          filter: joinClauses([ownerFilter, 'IsEnded eq false']),
+          select: ['SalesContractId', 'Reference', 'OwnerId', 'RelationId', 'RelationName', 'StartDate', 'EndDate', 'InvoiceInterval']
+        })
+      ]);
+      if (debtors.error || contracts.error) return { debtors, contracts };
+
+      // SalesContractLine has no owner column: only read the lines of contracts the caller may see.
+      const contractIds = Array.from(new Set(contracts.rows.map((c) => c.SalesContractId).filter((id) => id != null)));
+      const lines = contractIds.length > 0
+        ? await readByKeysOrRange(read, 'SalesContractLine', {
+          field: 'SalesContractId',
+          keys: contractIds,
+          select: ['SalesContractLineId', 'SalesContractId', 'AmountExcl', 'StartDate', 'EndDate', 'InvoiceInterval']
+        })
+        : emptySource('SalesContractLine');
+      return { debtors, contracts, lines };
+    },
+    compute: ({ debtors, contracts, lines }, params) => {
+      const tenants = computeTenantRiskScores(debtors, contracts, lines, params.asOf, params.weights);
+      return {
+        totals: {
+          tenants: tenants.length,
+          scoredWithoutRent: tenants.filter((t) => t.components.arrears == null).length
+        },
+        tenants: tenants.slice(0, params.top),
+        truncated: tenants.length > params.top
+      };
+    }
+  },
+  noi: {
+    title: 'Net Operating Income (NOI) by Property',
+    description: 'Income, operating expenses and NOI per RealEstateObjectId for a financial year; financing costs are reported separately',
+    formula: 'NOI = income - opex per RealEstateObjectId, with ledger accounts classified as income, opex or financing (NOI_LEDGER_MAPPING)',
+    parameters: { year: 'current', ownerId: null, source: 'ledger' },
+    choices: { source: ['ledger', 'invoices'] },
+    settings: (env) => ({ ledgerMapping: getNoiLedgerMapping(env) }),
+    sources: ['LedgerAccounts', 'FinancialMutations', 'SalesInvoices', 'SalesInvoiceLines', 'PurchaseInvoices', 'PurchaseInvoiceLines'],
+    async load(read, params) {
+      const ownerFilter = params.ownerId != null ? `OwnerId eq ${params.ownerId}` : null;
+      const yearFilter = joinClauses([`FinancialYear eq ${params.year}`, ownerFilter]);
+      const ledgerAccounts = read('LedgerAccounts', { select: ['LedgerAccountId', 'Code', 'Name', 'LedgerAccountType'] });
+
+      if (params.source === 'ledger') {
+        const [accounts, mutations] = await Promise.all([
+          ledgerAccounts,
+          readByPeriod(read, 'FinancialMutations', {
+            filter: yearFilter,
+            select: ['JournalPostTransactionId', 'OwnerId', 'LedgerAccountId', 'RealEstateObjectId', 'RealEstateObjectName', 'Debit', 'Credit']
+          })
+        ]);
+        return requireComplete({ accounts, mutations }, params);
+      }
+
+      // Invoice lines carry no year or owner: read the invoice headers first, then their lines.
+      const [accounts, salesInvoices, purchaseInvoices] = await Promise.all([
+        ledgerAccounts,
+        read('SalesInvoices', { filter: yearFilter, select: ['SalesInvoiceId', 'OwnerId'] }),
+        read('PurchaseInvoices', { filter: yearFilter, select: ['PurchaseInvoiceId', 'OwnerId'] })
+      ]);
+      if (accounts.error || salesInvoices.error || purchaseInvoices.error) return { accounts, salesInvoices, purchaseInvoices };
+
+      const lineSelect = ['LedgerAccountId', 'RealEstateObjectId', 'RealEstateObjectName', 'AmountExcl'];
+      const [salesLines, purchaseLines] = await Promise.all([
+        readLinesOf(read, 'SalesInvoiceLines', 'SalesInvoiceId', salesInvoices.rows, lineSelect),
+        readLinesOf(read, 'PurchaseInvoiceLines', 'PurchaseInvoiceId', purchaseInvoices.rows, lineSelect)
+      ]);
+      return requireComplete({ accounts, salesInvoices, purchaseInvoices, salesLines, purchaseLines }, params);
+    },
+    compute: (data, params) => {
+      const entries = params.source === 'ledger'
+        ? data.mutations.map((m) => ({ ...m, amount: Number(m.Credit || 0) - Number(m.Debit || 0) }))
+        : [
+          ...data.salesLines.map((l) => ({ ...l, amount: Number(l.AmountExcl || 0) })),
+          ...data.purchaseLines.map((l) => ({ ...l, amount: -Number(l.AmountExcl || 0) }))
+        ];
+      return computeNoiByProperty(data.accounts, entries, params.ledgerMapping);
+    }
+  },
+  'indexation-forecast': {
+    title: 'Indexation Impact Forecast',
+    description: 'Projected rent per active contract from its indexation method and the latest index series values (or a cpi assumption), with portfolio totals per month',
+    formula: 'rent(month) = sum(indexable SalesContractLine monthly amounts) × (1 + rate)^(indexation dates from NextIndexDate, yearly, up to that month); rate = series change over 12 months (or cpi, or the fixed rate) + IncrementRate, within Minimum/MaximumIndexRate',
+    parameters: { ownerId: null, asOf: 'today', months: 12, cpi: null },
+    numbers: { months: { min: 1, max: 24, integer: true }, cpi: { min: -20, max: 50 } },
+    sources: ['SalesContracts', 'SalesContractLine', 'SalesContractLineItems', 'IndexationMethods', 'IndexationSeriesValues'],
+    async load(read, params) {
+      const [contracts, lineItems, methods] = await Promise.all([
+        read('SalesContracts', {
+          filter: joinClauses([params.ownerId != null ? `OwnerId eq ${params.ownerId}` : null, 'IsEnded eq false']),
+          select: [
+            'SalesContractId', 'Reference', 'OwnerId', 'RelationId', 'RelationName', 'IndexationMethodId',
+            'NextIndexDate', 'EndDate', 'AutomaticExtends', 'InvoiceInterval'
+          ]
+        }),
+        read('SalesContractLineItems', { select: ['SalesContractLineItemId', 'Name', 'IsIndexable'] }),
+        read('IndexationMethods', {
+          select: [
+            'IndexationMethodId', 'Type', 'Name', 'IndexationSeriesId', 'IndexationSeriesName', 'MinimumIndexRate', 'MaximumIndexRate',
+            'IncrementRate', 'IndexRateRounding', 'FixedIndexRate', 'FixedIndexValue'
+          ]
+        })
+      ]);
+      if (contracts.error || lineItems.error || methods.error) return { contracts, lineItems, methods };
+
+      const contractIds = Array.from(new Set(contracts.rows.map((c) => c.SalesContractId).filter((id) => id != null)));
+      const usedMethods = new Set(contracts.rows.map((c) => c.IndexationMethodId));
+      const seriesIds = Array.from(new Set(methods.rows
+        .filter((m) => usedMethods.has(m.IndexationMethodId) && m.IndexationSeriesId != null)
+        .map((m) => m.IndexationSeriesId)));
+
+      const [lines, seriesValues] = await Promise.all([
+        contractIds.length > 0
+          ? readByKeysOrRange(read, 'SalesContractLine', {
+            field: 'SalesContractId',
+            keys: contractIds,
+            select: ['SalesContractLineId', 'SalesContractId', 'SalesContractLineItemId', 'AmountExcl', 'StartDate', 'EndDate', 'InvoiceInterval']
+          })
+          : emptySource('SalesContractLine'),
+        // Two years of values are enough for the latest 12-month change.
+        seriesIds.length > 0 && params.cpi == null
+          ? readByKeys(read, 'IndexationSeriesValues', {
+            field: 'IndexationSeriesId',
+            keys: seriesIds,
+            filter: `CalendarYear ge ${params.asOf.getUTCFullYear() - 2}`,
+            select: ['IndexationSeriesValueId', 'IndexationSeriesId', 'Value', 'CalendarYear', 'CalendarMonth']
+          })
+          : emptySource('IndexationSeriesValues')
+      ]);
+      return { contracts, lines, lineItems, methods, seriesValues };
+    },
+    compute: (data, params) => computeIndexationForecast(data, params)
+  }
+};
+
+/**
+ * Short description of every report, for GET /odatafeed/$report
+ */
+export function listReports() {
+  return Object.entries(REPORT_DEFINITIONS).map(([id, report]) => ({
+    id,
+    title: report.title,
+    description: report.description,
+    sources: report.sources,
+    parameters: report.parameters,
+    path: `/odatafeed/$report/${id}`
+  }));
+}
+
+/**
+ * Parse the parameters a report declares (ownerId, complexId, asOf, year, choices, numbers) plus its env settings
+ *
+ * Returns { params } or { error }.
+ */
+export function parseReportParameters(id, searchParams, now = new Date(), env = {}) {
+  const report = REPORT_DEFINITIONS[id];
+  const params = { ...report.parameters };
+
+  for (const name of ['ownerId', 'complexId']) {
+    if (!(name in params)) continue;
+    const value = searchParams.get(name);
+    if (value == null || value === '') continue;
+    if (!/^\d+$/.test(value)) return { error: `${name} must be a whole number, got '${value}'` };
+    params[name] = Number(value);
+  }
+
+  if ('asOf' in params) {
+    params.asOf = startOfUtcDay(now);
+    const asOf = searchParams.get('asOf');
+    if (asOf) {
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(asOf) || Number.isNaN(Date.parse(`${asOf}T00:00:00Z`))) {
+        return { error: `asOf must be a date (YYYY-MM-DD), got '${asOf}'` };
+      }
+      params.asOf = new Date(`${asOf}T00:00:00Z`);
+    }
+  }
+
+  if ('year' in params) {
+    params.year = now.getUTCFullYear();
+    const year = searchParams.get('year');
+    if (year) {
+      if (!/^\d{4}$/.test(year) || Number(year) < 2000 || Number(year) > 2100) {
+        return { error: `year must be a financial year (YYYY), got '${year}'` };
+      }
+      params.year = Number(year);
+    }
+  }
+
+  for (const [name, allowed] of Object.entries(report.choices || {})) {
+    const value = searchParams.get(name);
+    if (value == null || value === '') continue;
+    if (!allowed.includes(value)) return { error: `${name} must be one of ${allowed.join(', ')}, got '${value}'` };
+    params[name] = value;
+  }
+
+  for (const [name, { min, max, integer }] of Object.entries(report.numbers || {})) {
+    const value = searchParams.get(name);
+    if (value == null || value === '') continue;
+    const valid = integer ? /^-?\d+$/.test(value) : /^-?\d+(\.\d+)?$/.test(value);
+    if (!valid || Number(value) < min || Number(value) > max) {
+      return { error: `${name} must be a ${integer ? 'whole number' : 'number'} between ${min} and ${max}, got '${value}'` };
+    }
+    params[name] = Number(value);
+  }
+
+  return { params: { ...params, ...(report.settings ? report.settings(env) : {}) } };
+}
+
+/**
+ * Load the source entities and compute one report
+ *
+ * Returns { result } or { error, status }.
+ */
+export async function computeReport(id, params, readEntity) {
+  const report = REPORT_DEFINITIONS[id];
+  const sources = await report.load(readEntity, params);
+
+  for (const source of Object.values(sources)) {
+    if (source.error) return { error: source.error, status: source.status };
+  }
+
+  const computed = report.compute(
+    Object.fromEntries(Object.entries(sources).map(([name, source]) => [name, source.rows])),
+    params
+  );
+
+  const result = {
+    report: id,
+    title: report.title,
+    formula: report.formula,
+    parameters: formatParameters(params),
+    ...computed,
+    sources: Object.values(sources).map((source) => ({
+      entity: source.entity,
+      rows: source.rows.length,
+      rowsWithheld: source.withheld,
+      requests: source.requests || 1,
+      complete: source.complete
+    }))
+  };
+  if (result.sources.some((source) => !source.complete)) {
+    result.warning = 'Not all source rows could be fetched within the paging budget; the report is based on partial data.';
+  }
+  return { result };
+}
+
+async function readLinesOf(read, entityName, keyField, headers, select) {
+  const ids = Array.from(new Set(headers.map((h) => h[keyField]).filter((id) => id != null)));
+  if (ids.length === 0) return emptySource(entityName);
+  return readByKeysOrRange(read, entityName, { field: keyField, keys: ids, select: [keyField, ...select] });
+}
+
+/**
+ * Read a year of bookings as one read per FinancialPeriod (1-12) plus one for any other period
+ *
+ * Returns { entity, rows, complete, withheld, requests } or { error, status }, like readByKeys.
+ */
+async function readByPeriod(read, entityName, { filter, select }) {
+  const periodFilters = [
+    ...FINANCIAL_PERIODS.map((period) => `FinancialPeriod eq ${period}`),
+    `(FinancialPeriod lt ${FINANCIAL_PERIODS[0]} or FinancialPeriod gt ${FINANCIAL_PERIODS.at(-1)})`
+  ];
+  const reads = await Promise.all(periodFilters.map((periodFilter) => read(entityName, {
+    filter: [filter ? `(${filter})` : null, periodFilter].filter(Boolean).join(' and '),
+    select
+  })));
+
+  const failed = reads.find((r) => r.error);
+  if (failed) return { error: failed.error, status: failed.status };
+  return {
+    entity: reads[0].entity,
+    rows: reads.flatMap((r) => r.rows),
+    complete: reads.every((r) => r.complete),
+    withheld: reads.reduce((total, r) => total + (r.withheld || 0), 0),
+    requests: reads.length
+  };
+}
+
+// NOI over part of the bookings would look like a plausible total: refuse it instead
+function requireComplete(sources, params) {
+  const partial = Object.entries(sources).find(([, source]) => !source.error && !source.complete);
+  if (!partial) return sources;
+  const [name, source] = partial;
+  const hint = params.ownerId == null ? '; pass ownerId to report one owner at a time' : '';
+  return {
+    ...sources,
+    [name]: {
+      error: `Not all ${source.entity} of ${params.year} could be read within the paging budget, so NOI would be incomplete${hint}`,
+      status: 422
+    }
+  };
+}
+
+function emptySource(entity) {
+  return { entity, rows: [], complete: true, withheld: 0, requests: 0 };
+}
+
+function formatParameters(params) {
+  return Object.fromEntries(Object.entries(params).map(([name, value]) => [
+    name,
+    value instanceof Date ? value.toISOString().slice(0, 10) : value
+  ]));
+}
+
+export function computeVacancyImpact(units, rentItems, asOf) {
+  const rentByUnit = new Map();
+  for (const item of rentItems) {
+    const amount = Number(item.Amount);
+    if (item.RealEstateObjectId == null || !Number.isFinite(amount)) continue;
+    rentByUnit.set(item.RealEstateObjectId, (rentByUnit.get(item.RealEstateObjectId) || 0) + amount);
+  }
+
+  // Units managed on the reference date: taken into management on or before it, not sold by then.
+  const endOfDay = asOf.getTime() + DAY_MS;
+  const managed = units.filter((u) =>
+    typeof u.OccupationPercentage === 'number' && u.OccupationPercentage < 1 &&
+    !(u.UnderManagementSince && Date.parse(u.UnderManagementSince) >= endOfDay) &&
+    !(u.SalesDate && Date.parse(u.SalesDate) < endOfDay));
+
+  const rows = managed.map((u) => {
+    const theoreticalRent = rentByUnit.has(u.UnitId) ? round(rentByUnit.get(u.UnitId), 2) : null;
+    const vacantShare = round(1 - Math.max(0, u.OccupationPercentage), 4);
+    return {
+      UnitId: u.UnitId,
+      DisplayName: u.DisplayName,
+      OwnerId: u.OwnerId,
+      Owner: u.Owner,
+      ComplexId: u.ComplexId,
+      ComplexName: u.ComplexName,
+      OccupationPercentage: u.OccupationPercentage,
+      vacantShare,
+      theoreticalRent,
+      lostRent: theoreticalRent != null ? round(theoreticalRent * vacantShare, 2) : null
+    };
+  }).sort((a, b) => (b.lostRent ?? -1) - (a.lostRent ?? -1) || a.UnitId - b.UnitId);
+
+  const aggregate = (keyOf, describe) => {
+    const groups = new Map();
+    for (const row of rows) {
+      const key = keyOf(row);
+      if (!groups.has(key)) groups.set(key, { ...describe(row), vacantUnits: 0, theoreticalRent: 0, lostRent: 0 });
+      const group = groups.get(key);
+      group.vacantUnits++;
+      group.theoreticalRent += row.theoreticalRent || 0;
+      group.lostRent += row.lostRent || 0;
+    }
+    return Array.from(groups.values())
+      .map((g) => ({ ...g, theoreticalRent: round(g.theoreticalRent, 2), lostRent: round(g.lostRent, 2) }))
+      .sort((a, b) => b.lostRent - a.lostRent);
+  };
+
+  return {
+    totals: {
+      vacantUnits: rows.length,
+      unitsWithoutTheoreticalRent: rows.filter((r) => r.theoreticalRent == null).length,
+      theoreticalRent: round(sum(rows.map((r) => r.theoreticalRent || 0)), 2),
+      lostRent: round(sum(rows.map((r) => r.lostRent || 0)), 2)
+    },
+    byOwner: aggregate((r) => r.OwnerId ?? null, (r) => ({ OwnerId: r.OwnerId ?? null, Owner: r.Owner ?? null })),
+    byComplex: aggregate((r) => r.ComplexId ?? null, (r) => ({ ComplexId: r.ComplexId ?? null, ComplexName: r.ComplexName ?? null })),
+    units: rows
+  };
+}
+
+/**
+ * Tenant risk weights: DEFAULT_TENANT_RISK_WEIGHTS overridden by the TENANT_RISK_WEIGHTS var
+ */
+export function getTenantRiskWeights(env) {
+  const weights = { ...DEFAULT_TENANT_RISK_WEIGHTS };
+  if (!env?.TENANT_RISK_WEIGHTS) return weights;
+  try {
+    const parsed = typeof env.TENANT_RISK_WEIGHTS === 'string' ? JSON.parse(env.TENANT_RISK_WEIGHTS) : env.TENANT_RISK_WEIGHTS;
+    for (const name of Object.keys(weights)) {
+      const value = Number(parsed?.[name]);
+      if (parsed?.[name] != null && Number.isFinite(value) && value >= 0) weights[name] = value;
+    }
+  } catch {
+    console.log('Ignoring TENANT_RISK_WEIGHTS: not valid JSON');
+  }
+  return weights;
+}
+
+/**
+ * Risk score per tenant (RelationId), highest first
+ *
+ * Components: paymentAge = average Age of open positions / 30, arrears = outstanding /
+ * monthly rent (null when the tenant has no current rent lines; left out of the score),
+ * expiry = 1 when the first active contract ends within expiryWithinMonths.
+ * Monthly rent sums the contract lines current on asOf, each AmountExcl divided by the
+ * months in its invoice interval (the line's, else the contract's, else monthly).
+ */
+export function computeTenantRiskScores(debtors, contracts, lines, asOf, weights) {
+  const tenants = new Map();
+  const tenant = (relationId, relationName) => {
+    if (!tenants.has(relationId)) {
+      tenants.set(relationId, {
+        RelationId: relationId, RelationName: relationName ?? null,
+        ages: [], outstanding: 0, openInvoices: 0, monthlyRent: 0, hasRent: false, contracts: [], endDates: []
+      });
+    }
+    const entry = tenants.get(relationId);
+    if (entry.RelationName == null && relationName != null) entry.RelationName = relationName;
+    return entry;
+  };
+
+  for (const d of debtors) {
+    const amount = Number(d.OutstandingAmount);
+    if (d.RelationId == null || !(amount > 0)) continue;
+    const entry = tenant(d.RelationId, d.RelationName);
+    entry.outstanding += amount;
+    entry.openInvoices++;
+    if (Number.isFinite(Number(d.Age)) && d.Age != null) entry.ages.push(Number(d.Age));
+  }
+
+  const contractsById = new Map();
+  const asOfTime = asOf.getTime();
+  for (const c of contracts) {
+    if (c.RelationId == null || c.IsEnded === true) continue;
+    if (c.EndDate && Date.parse(c.EndDate) < asOfTime) continue;
+    contractsById.set(c.SalesContractId, c);
+    const entry = tenant(c.RelationId, c.RelationName);
+    entry.contracts.push(c.Reference ?? c.SalesContractId);
+    if (c.EndDate) entry.endDates.push(Date.parse(c.EndDate));
+  }
+
+  for (const line of lines) {
+    const contract = contractsById.get(line.SalesContractId);
+    const amount = Number(line.AmountExcl);
+    if (!contract || !Number.isFinite(amount)) continue;
+    if (line.StartDate && Date.parse(line.StartDate) > asOfTime) continue;
+    if (line.EndDate && Date.parse(line.EndDate) < asOfTime) continue;
+    const months = INTERVAL_MONTHS[line.InvoiceInterval ?? contract.InvoiceInterval] || 1;
+    const entry = tenants.get(contract.RelationId);
+    entry.monthlyRent += amount / months;
+    entry.hasRent = true;
+  }
+
+  const scored = Array.from(tenants.values()).map((t) => {
+    const averageAge = t.ages.length > 0 ? sum(t.ages) / t.ages.length : 0;
+    const monthsToExpiry = t.endDates.length > 0 ? monthsBetween(asOf, new Date(Math.min(...t.endDates))) : null;
+    const components = {
+      paymentAge: round(averageAge / 30, 4),
+      arrears: t.hasRent && t.monthlyRent > 0 ? round(t.outstanding / t.monthlyRent, 4) : (t.outstanding > 0 ? null : 0),
+      expiry: monthsToExpiry != null && monthsToExpiry < weights.expiryWithinMonths ? 1 : 0
+    };
+    const score = weights.paymentAge * components.paymentAge +
+      weights.arrears * (components.arrears ?? 0) +
+      weights.expiry * components.expiry;
+    return {
+      RelationId: t.RelationId,
+      RelationName: t.RelationName,
+      score: round(score, 2),
+      components,
+      inputs: {
+        averagePaymentAge: round(averageAge, 1),
+        outstandingAmount: round(t.outstanding, 2),
+        openInvoices: t.openInvoices,
+        monthlyRent: t.hasRent ? round(t.monthlyRent, 2) : null,
+        monthsToExpiry: monthsToExpiry != null ? round(monthsToExpiry, 1) : null,
+        contracts: t.contracts
+      }
+    };
+  });
+
+  return scored.sort((a, b) => b.score - a.score || a.RelationId - b.RelationId);
+}
+
+/**
+ * NOI ledger mapping: DEFAULT_NOI_LEDGER_MAPPING, or the NOI_LEDGER_MAPPING var when set
+ */
+export function getNoiLedgerMapping(env) {
+  if (!env?.NOI_LEDGER_MAPPING) return DEFAULT_NOI_LEDGER_MAPPING;
+  try {
+    const parsed = typeof env.NOI_LEDGER_MAPPING === 'string' ? JSON.parse(env.NOI_LEDGER_MAPPING) : env.NOI_LEDGER_MAPPING;
+    const mapping = {};
+    for (const name of NOI_CLASSES) {
+      const rule = parsed?.[name] || {};
+      mapping[name] = {
+        codes: (rule.codes || []).map(String),
+        names: (rule.names || []).map((n) => String(n).toLowerCase()),
+        ledgerAccountIds: (rule.ledgerAccountIds || []).map(Number)
+      };
+    }
+    return mapping;
+  } catch {
+    console.log('Ignoring NOI_LEDGER_MAPPING: not valid JSON');
+    return DEFAULT_NOI_LEDGER_MAPPING;
+  }
+}
+
+/**
+ * Class of a ledger account (financing, income, opex) under the mapping, or null
+ */
+export function classifyLedgerAccount(account, mapping) {
+  const code = String(account?.Code ?? '');
+  const name = String(account?.Name ?? '').toLowerCase();
+  for (const cls of NOI_CLASSES) {
+    const rule = mapping[cls];
+    if (!rule) continue;
+    if ((rule.ledgerAccountIds || []).includes(Number(account?.LedgerAccountId))) return cls;
+    if (code && (rule.codes || []).some((prefix) => code.startsWith(prefix))) return cls;
+    if (name && (rule.names || []).some((part) => name.includes(part))) return cls;
+  }
+  return null;
+}
+
+/**
+ * Income, opex, NOI and financing per RealEstateObjectId
+ *
+ * entries carry LedgerAccountId, RealEstateObjectId(/Name) and a signed amount
+ * (positive = income side, negative = cost side). Income is the amount on income
+ * accounts, opex and financing the negated amount on their accounts.
+ */
+export function computeNoiByProperty(accounts, entries, mapping) {
+  const classes = new Map(accounts.map((a) => [a.LedgerAccountId, classifyLedgerAccount(a, mapping)]));
+  const properties = new Map();
+  const unclassified = { entries: 0, amount: 0, ledgerAccountIds: new Set() };
+
+  for (const entry of entries) {
+    const cls = classes.get(entry.LedgerAccountId) ?? null;
+    if (!cls || !Number.isFinite(entry.amount)) {
+      unclassified.entries++;
+      unclassified.amount += Number.isFinite(entry.amount) ? entry.amount : 0;
+      if (entry.LedgerAccountId != null) unclassified.ledgerAccountIds.add(entry.LedgerAccountId);
+      continue;
+    }
+
+    // Entries without a property are collected under RealEstateObjectId null.
+    const key = entry.RealEstateObjectId ?? null;
+    if (!properties.has(key)) {
+      properties.set(key, { RealEstateObjectId: key, RealEstateObjectName: null, income: 0, opex: 0, financing: 0 });
+    }
+    const property = properties.get(key);
+    if (key != null && property.RealEstateObjectName == null && entry.RealEstateObjectName != null) {
+      property.RealEstateObjectName = entry.RealEstateObjectName;
+    }
+    property[cls] += cls === 'income' ? entry.amount : -entry.amount;
+  }
+
+  const rows = Array.from(properties.values()).map((p) => ({
+    ...p,
+    income: round(p.income, 2),
+    opex: round(p.opex, 2),
+    financing: round(p.financing, 2),
+    noi: round(p.income - p.opex, 2)
+  })).sort((a, b) => (a.RealEstateObjectId == null) - (b.RealEstateObjectId == null) || b.noi - a.noi);
+
+  return {
+    totals: {
+      properties: rows.filter((r) => r.RealEstateObjectId != null).length,
+      income: round(sum(rows.map((r) => r.income)), 2),
+      opex: round(sum(rows.map((r) => r.opex)), 2),
+      noi: round(sum(rows.map((r) => r.noi)), 2),
+      financing: round(sum(rows.map((r) => r.financing)), 2),
+      unallocatedNoi: rows.find((r) => r.RealEstateObjectId == null)?.noi ?? 0
+    },
+    unclassified: {
+      entries: unclassified.entries,
+      amount: round(unclassified.amount, 2),
+      ledgerAccountIds: Array.from(unclassified.ledgerAccountIds).sort((a, b) => a - b)
+    },
+    properties: rows
+  };
+}
+
+/**
+ * Annual indexation rate (percent) for a method, or { rate: null, reason }
+ *
+ * Series-based methods use the change of the latest series value over the value
+ * 12 months earlier, unless a cpi assumption is given. IncrementRate is added, the
+ * result kept within MinimumIndexRate/MaximumIndexRate (when set) and rounded to
+ * one decimal when IndexRateRounding is on.
+ */
+export function getIndexationRate(method, seriesValues, cpi) {
+  if (!method) return { rate: null, reason: 'no indexation method' };
+
+  let base;
+  let basis;
+  switch (String(method.Type)) {
+    case 'FixedRate':
+    case '3':
+      base = Number(method.FixedIndexRate);
+      basis = 'fixed rate';
+      break;
+    case 'MonthlyIndex':
+    case 'YearlyIndex':
+    case 'MonthlyIndexCompoundInterest':
+    case '1':
+    case '2':
+    case '5':
+      if (cpi != null) {
+        base = cpi;
+        basis = 'cpi assumption';
+      } else {
+        base = getSeriesChange(seriesValues.filter((v) => v.IndexationSeriesId === method.IndexationSeriesId));
+        basis = `${method.IndexationSeriesName || 'index series'} (12-month change)`;
+        if (base == null) return { rate: null, reason: 'no index series values for the last 12 months' };
+      }
+      break;
+    default:
+      // FixedValue and IncomeDependent do not translate into a rate.
+      return { rate: null, reason: `indexation type ${method.Type} is not projected` };
+  }
+  if (!Number.isFinite(base)) return { rate: null, reason: 'indexation method has no rate' };
+
+  let rate = base + (Number(method.IncrementRate) || 0);
+  if (method.MinimumIndexRate != null) rate = Math.max(rate, Number(method.MinimumIndexRate));
+  if (method.MaximumIndexRate != null && Number(method.MaximumIndexRate) > 0) rate = Math.min(rate, Number(method.MaximumIndexRate));
+  return { rate: round(rate, method.IndexRateRounding ? 1 : 4), basis };
+}
+
+function getSeriesChange(values) {
+  const byMonth = new Map(values.map((v) => [v.CalendarYear * 12 + (v.CalendarMonth - 1), Number(v.Value)]));
+  const latest = Math.max(...byMonth.keys());
+  if (!Number.isFinite(latest)) return null;
+  const previous = byMonth.get(latest - 12);
+  if (!(previous > 0) || !Number.isFinite(byMonth.get(latest))) return null;
+  return (byMonth.get(latest) / previous - 1) * 100;
+}
+
+/**
+ * Project indexable rent per contract for `months` months after asOf
+ *
+ * Indexation happens on NextIndexDate and every 12 months after it; contracts stop
+ * at their EndDate unless they extend automatically, lines at their own EndDate.
+ */
+export function computeIndexationForecast({ contracts, lines, lineItems, methods, seriesValues }, params) {
+  const indexable = new Set(lineItems.filter((i) => i.IsIndexable === true).map((i) => i.SalesContractLineItemId));
+  const methodsById = new Map(methods.map((m) => [m.IndexationMethodId, m]));
+  const asOfTime = params.asOf.getTime();
+  const monthStarts = Array.from({ length: params.months }, (_, i) =>
+    new Date(Date.UTC(params.asOf.getUTCFullYear(), params.asOf.getUTCMonth() + 1 + i, 1)));
+
+  const linesByContract = new Map();
+  for (const line of lines) {
+    if (!indexable.has(line.SalesContractLineItemId)) continue;
+    if (line.StartDate && Date.parse(line.StartDate) > asOfTime) continue;
+    if (line.EndDate && Date.parse(line.EndDate) < asOfTime) continue;
+    if (!linesByContract.has(line.SalesContractId)) linesByContract.set(line.SalesContractId, []);
+    linesByContract.get(line.SalesContractId).push(line);
+  }
+
+  const rows = [];
+  const skipped = {};
+  const portfolio = monthStarts.map((start) => ({ month: start.toISOString().slice(0, 7), rent: 0, increase: 0 }));
+
+  for (const c of contracts) {
+    const contractLines = linesByContract.get(c.SalesContractId);
+    if (!contractLines) continue;
+    const { rate, basis, reason } = getIndexationRate(methodsById.get(c.IndexationMethodId), seriesValues, params.cpi);
+    if (rate == null) {
+      skipped[reason] = (skipped[reason] || 0) + 1;
+      continue;
+    }
+
+    const contractEnd = c.EndDate && c.AutomaticExtends !== true ? Date.parse(c.EndDate) : Infinity;
+    const monthly = contractLines.map((line) => ({
+      amount: Number(line.AmountExcl) / (INTERVAL_MONTHS[line.InvoiceInterval ?? c.InvoiceInterval] || 1),
+      end: Math.min(line.EndDate ? Date.parse(line.EndDate) : Infinity, contractEnd)
+    })).filter((l) => Number.isFinite(l.amount));
+    const currentRent = sum(monthly.map((l) => l.amount));
+
+    const firstIndex = c.NextIndexDate ? Date.parse(c.NextIndexDate) : null;
+    const indexationsBy = (time) => {
+      if (firstIndex == null || time < firstIndex) return 0;
+      const first = new Date(firstIndex);
+      const at = new Date(time);
+      const months = (at.getUTCFullYear() - first.getUTCFullYear()) * 12 + (at.getUTCMonth() - first.getUTCMonth()) -
+        (at.getUTCDate() < first.getUTCDate() ? 1 : 0);
+      return Math.floor(months / 12) + 1;
+    };
+
+    let increase = 0;
+    let projectedRent = currentRent;
+    monthStarts.forEach((start, i) => {
+      const time = start.getTime();
+      const factor = (1 + rate / 100) ** indexationsBy(time);
+      const base = sum(monthly.filter((l) => l.end >= time).map((l) => l.amount));
+      projectedRent = base * factor;
+      portfolio[i].rent += projectedRent;
+      portfolio[i].increase += projectedRent - base;
+      increase += projectedRent - base;
+    });
+
+    rows.push({
+      SalesContractId: c.SalesContractId,
+      Reference: c.Reference,
+      RelationName: c.RelationName,
+      OwnerId: c.OwnerId,
+      indexationMethod: methodsById.get(c.IndexationMethodId)?.Name ?? null,
+      rate,
+      rateBasis: basis,
+      nextIndexDate: c.NextIndexDate ? String(c.NextIndexDate).slice(0, 10) : null,
+      endDate: c.EndDate && c.AutomaticExtends !== true ? String(c.EndDate).slice(0, 10) : null,
+      currentMonthlyRent: round(currentRent, 2),
+      projectedMonthlyRent: round(projectedRent, 2),
+      increaseOverPeriod: round(increase, 2)
+    });
+  }
+
+  rows.sort((a, b) => b.increaseOverPeriod - a.increaseOverPeriod || a.SalesContractId - b.SalesContractId);
+  return {
+    totals: {
+      contracts: rows.length,
+      currentMonthlyRent: round(sum(rows.map((r) => r.currentMonthlyRent)), 2),
+      projectedMonthlyRent: round(sum(rows.map((r) => r.projectedMonthlyRent)), 2),
+      increaseOverPeriod: round(sum(rows.map((r) => r.increaseOverPeriod)), 2),
+      skippedContracts: skipped
+    },
+    months: portfolio.map((m) => ({ ...m, rent: round(m.rent, 2), increase: round(m.increase, 2) })),
+    contracts: rows
+  };
+}
+
+// Calendar months from a to b, with the remaining days as a fraction of 30
+function monthsBetween(a, b) {
+  let months = (b.getUTCFullYear() - a.getUTCFullYear()) * 12 + (b.getUTCMonth() - a.getUTCMonth());
+  let days = b.getUTCDate() - a.getUTCDate();
+  if (days < 0) {
+    months--;
+    days += 30;
+  }
+  return months + days / 30;
+}
+
+function joinClauses(clauses) {
+  return clauses.filter(Boolean).join(' and ') || null;
+}
+
+function startOfUtcDay(date) {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+}
+
+function sum(values) {
+  return values.reduce((total, value) => total + value, 0);
+}
+
+function round(value, decimals) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
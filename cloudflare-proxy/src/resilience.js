@@ -0,0 +1,228 @@
+/**
+ * Timeouts, retries and a circuit breaker for requests to Bloxs.
+ *
+ * - Every attempt has a timeout per entity set (seconds), overridable with the
+ *   UPSTREAM_TIMEOUTS var: {"*": 30, "FinancialMutations": 60}. A timeout answers 504.
+ * - GETs are retried (UPSTREAM_RETRIES, default 2) with exponential backoff on network
+ *   errors, 5xx and 429; a Retry-After from Bloxs is honoured up to MAX_RETRY_AFTER_MS.
+ *   A 5xx with an OData error body (a query Bloxs cannot evaluate) is not retried.
+ * - A 401 drops the cached JWT and repeats the request once with a fresh one (any
+ *   method: Bloxs did not run a request it refused).
+ * - After UPSTREAM_BREAKER_FAILURES (default 5) failed requests in a row (network errors,
+ *   timeouts, 5xx without an OData error body; counted once per request, after its
+ *   retries) the circuit opens: for UPSTREAM_BREAKER_SECONDS (default 30) requests
+ *   are answered 503 without calling Bloxs. Then one request is let through as a probe;
+ *   its outcome closes the circuit or opens it again. The state is per worker instance.
+ *
+ * Answers the proxy gives itself (504, 503) have the Bloxs error shape
+ * ({ error: { message } }), so callers handle them like upstream errors.
+ */
+
+import { createUpstreamFetch } from './ratelimit.js';
+import { refreshBloxsToken } from './token.js';
+
+const DEFAULT_TIMEOUT_SECONDS = 30;
+
+// Lowercased entity set -> timeout in seconds
+const ENTITY_TIMEOUT_SECONDS = {
+  financialmutations: 60,
+  journalposttransactions: 60
+};
+
+const DEFAULT_RETRIES = 2;
+const BACKOFF_BASE_MS = 250;
+const MAX_RETRY_AFTER_MS = 10 * 1000;
+const DEFAULT_BREAKER_FAILURES = 5;
+const DEFAULT_BREAKER_SECONDS = 30;
+
+// Circuit state (in-memory, per worker instance)
+const circuit = { failures: 0, openUntil: 0, probing: false };
+
+/**
+ * Timeout in milliseconds for one request to an entity set
+ */
+function getUpstreamTimeoutMs(env, entityName) {
+  const key = entityName ? String(entityName).split('(')[0].toLowerCase() : null;
+  const overrides = parseTimeoutOverrides(env?.UPSTREAM_TIMEOUTS);
+  let seconds = '*' in overrides ? overrides['*'] : DEFAULT_TIMEOUT_SECONDS;
+  if (key && key in overrides) seconds = overrides[key];
+  else if (key && key in ENTITY_TIMEOUT_SECONDS) seconds = ENTITY_TIMEOUT_SECONDS[key];
+  return seconds * 1000;
+}
+
+function parseTimeoutOverrides(value) {
+  if (!value) return {};
+  try {
+    const parsed = typeof value === 'string' ? JSON.parse(value) : value;
+    const overrides = {};
+    for (const [name, timeout] of Object.entries(parsed || {})) {
+      const seconds = Number.parseInt(timeout, 10);
+      if (Number.isFinite(seconds) && seconds > 0) overrides[name === '*' ? '*' : name.toLowerCase()] = seconds;
+    }
+    return overrides;
+  } catch {
+    console.log('Ignoring UPSTREAM_TIMEOUTS: not valid JSON');
+    return {};
+  }
+}
+
+/**
+ * fetch for requests to Bloxs about one entity set, with the behaviour described above
+ *
+ * Network errors that remain after the retries are thrown, as fetch would. All requests
+ * share one concurrency slot (see createUpstreamFetch); call release() when done.
+ */
+export function createBloxsFetch(env, entityName, fetcher) {
+  const upstreamFetch = createUpstreamFetch(env, fetcher);
+  const timeoutMs = getUpstreamTimeoutMs(env, entityName);
+  const retries = parseCount(env?.UPSTREAM_RETRIES, DEFAULT_RETRIES);
+  const breaker = {
+    failures: parseCount(env?.UPSTREAM_BREAKER_FAILURES, DEFAULT_BREAKER_FAILURES) || DEFAULT_BREAKER_FAILURES,
+    openMs: (parseCount(env?.UPSTREAM_BREAKER_SECONDS, DEFAULT_BREAKER_SECONDS) || DEFAULT_BREAKER_SECONDS) * 1000
+  };
+
+  async function bloxsFetch(url, init = {}) {
+    const { blocked, probe } = enterCircuit(breaker);
+    if (blocked) return blocked;
+
+    // One outcome per request, after the retries
+    let outcome;
+    try {
+      outcome = await fetchWithRetries(url, init);
+    } catch (caught) {
+      leaveCircuit(breaker, true, probe);
+      throw caught;
+    }
+    const { response, error, queryError } = outcome;
+    leaveCircuit(breaker, error !== null || (response.status >= 500 && !queryError), probe);
+
+    if (error) throw error;
+    return response;
+  }
+
+  async function fetchWithRetries(url, init) {
+    const retryable = (init.method || 'GET').toUpperCase() === 'GET';
+    let request = init;
+    let refreshed = false;
+
+    for (let attempt = 0; ; attempt++) {
+      let response = null;
+      let error = null;
+      try {
+        response = await fetchWithTimeout(upstreamFetch, url, request, timeoutMs);
+      } catch (caught) {
+        error = caught;
+      }
+
+      if (response?.status === 401 && !refreshed) {
+        refreshed = true;
+        const headers = new Headers(request.headers);
+        const rejected = (headers.get('Authorization') || '').replace(/^Bearer\s+/i, '');
+        headers.set('Authorization', `Bearer ${await refreshBloxsToken(env, rejected)}`);
+        request = { ...request, headers };
+        attempt--;
+        continue;
+      }
+
+      // Bloxs refusing the query would refuse it again
+      const queryError = response !== null && await isQueryError(response);
+      const timedOut = response?.status === 504 && response.headers.has('X-Upstream-Timeout');
+      const shouldRetry = retryable && attempt < retries && !timedOut && !queryError
+        && (error !== null || response.status >= 500 || response.status === 429);
+      const delay = shouldRetry ? getRetryDelay(response, attempt) : null;
+      if (delay === null) return { response, error, queryError };
+      await new Promise((resolve) => setTimeout(resolve, delay));
+    }
+  }
+
+  bloxsFetch.release = () => upstreamFetch.release();
+  return bloxsFetch;
+}
+
+// A 5xx with an OData error body is Bloxs rejecting the query, not Bloxs being down
+async function isQueryError(response) {
+  if (response.status < 500 || response.headers.has('X-Upstream-Timeout')) return false;
+  try {
+    const body = JSON.parse(await response.clone().text());
+    return Boolean(body?.error && typeof body.error === 'object' && (body.error.code || body.error.message));
+  } catch {
+    return false;
+  }
+}
+
+async function fetchWithTimeout(fetcher, url, init, timeoutMs) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  try {
+    return await fetcher(url, { ...init, signal: controller.signal });
+  } catch (error) {
+    if (!controller.signal.aborted) throw error;
+    return new Response(JSON.stringify({ error: { message: `Bloxs did not answer within ${timeoutMs / 1000} s` } }), {
+      status: 504,
+      headers: { 'Content-Type': 'application/json', 'X-Upstream-Timeout': String(timeoutMs) }
+    });
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Backoff with jitter, or the Retry-After Bloxs asked for; null when that is too long
+function getRetryDelay(response, attempt) {
+  const retryAfter = response?.headers.get('Retry-After');
+  if (retryAfter) {
+    const seconds = Number(retryAfter);
+    const ms = Number.isFinite(seconds) ? seconds * 1000 : Date.parse(retryAfter) - Date.now();
+    if (Number.isFinite(ms)) return ms <= MAX_RETRY_AFTER_MS ? Math.max(0, ms) : null;
+  }
+  return BACKOFF_BASE_MS * 2 ** attempt + Math.floor(Math.random() * BACKOFF_BASE_MS);
+}
+
+// { probe } when the request may go ahead, otherwise { blocked: the 503 to answer with }
+function enterCircuit(breaker) {
+  const now = Date.now();
+  if (circuit.openUntil === 0) return { probe: false };
+  if (now >= circuit.openUntil && !circuit.probing) {
+    circuit.probing = true;
+    return { probe: true };
+  }
+  const retryAfter = Math.max(1, Math.ceil((circuit.openUntil - now) / 1000));
+  const blocked = new Response(JSON.stringify({
+    error: { message: `Bloxs appears to be down (${circuit.failures} failed requests in a row); not calling it for ${retryAfter} s` }
+  }), {
+    status: 503,
+    headers: { 'Content-Type': 'application/json', 'Retry-After': String(retryAfter), 'X-Circuit-Open': 'true' }
+  });
+  return { blocked };
+}
+
+function leaveCircuit(breaker, failed, probe) {
+  if (probe) circuit.probing = false;
+  if (!failed) {
+    circuit.failures = 0;
+    circuit.openUntil = 0;
+    return;
+  }
+  circuit.failures++;
+  if (probe || circuit.failures >= breaker.failures) {
+    if (circuit.openUntil === 0 || probe) {
+      console.log(`Circuit to Bloxs open for ${breaker.openMs / 1000} s after ${circuit.failures} failed request(s)`);
+    }
+    circuit.openUntil = Date.now() + breaker.openMs;
+  }
+}
+
+/**
+ * Circuit state without side effects: { state: closed|open|half-open, failures, openUntil }
+ */
+export function getCircuitState(now = Date.now()) {
+  return {
+    state: circuit.openUntil === 0 ? 'closed' : now < circuit.openUntil ? 'open' : 'half-open',
+    failures: circuit.failures,
+    openUntil: circuit.openUntil ? new Date(circuit.openUntil).toISOString() : null
+  };
+}
+
+function parseCount(value, fallback) {
+  const parsed = Number.parseInt(value ?? '', 10);
+  return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+}
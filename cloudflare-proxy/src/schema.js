@@ -0,0 +1,318 @@
+/**
+ * Schema catalogue derived from the Bloxs OData $metadata (EDMX) document.
+ *
+ * The catalogue is loaded from the upstream `/odatafeed/$metadata` endpoint and
+ * cached per worker instance. If the upstream document cannot be fetched, the
+ * copy of metadata.xml bundled with the worker is used instead.
+ */
+
+import bundledMetadataXml from '../../metadata.xml';
+
+// Schema cache (in-memory, per worker instance)
+let cachedCatalogue = null;
+let catalogueExpiry = 0;
+let pendingCatalogue = null;
+let bundledCatalogue = null;
+
+const DEFAULT_SCHEMA_TTL_SECONDS = 6 * 60 * 60;
+
+// Retry the upstream document sooner when we had to fall back to the bundled copy.
+const FALLBACK_SCHEMA_TTL_SECONDS = 5 * 60;
+
+// Entity set names that Copilot (or older docs) use but that differ from the EDMX
+// by more than casing (lowercased alias -> canonical entity set name).
+const ENTITY_SET_ALIASES = {
+  salescontractlines: 'SalesContractLine'
+};
+
+/**
+ * Get the schema catalogue, refreshing it from upstream when the cache has expired
+ */
+export async function getSchemaCatalogue(env, token) {
+  const now = Date.now();
+  if (cachedCatalogue && catalogueExpiry > now) {
+    return cachedCatalogue;
+  }
+
+  // Single in-flight load per instance; concurrent requests share the result.
+  if (!pendingCatalogue) {
+    pendingCatalogue = loadCatalogue(env, token).finally(() => {
+      pendingCatalogue = null;
+    });
+  }
+  return pendingCatalogue;
+}
+
+async function loadCatalogue(env, token) {
+  const now = Date.now();
+  const source = String(env?.SCHEMA_SOURCE ?? 'upstream').toLowerCase();
+
+  if (source !== 'bundled' && token && env?.BLOXS_BASE_URL) {
+    try {
+      const response = await fetch(`${env.BLOXS_BASE_URL}/odatafeed/$metadata`, {
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Accept': 'application/xml'
+        }
+      });
+      if (response.ok) {
+        const catalogue = parseEdmx(await response.text(), 'upstream');
+        if (Object.keys(catalogue.entitySets).length > 0) {
+          cachedCatalogue = catalogue;
+          catalogueExpiry = now + getSchemaTtlSeconds(env) * 1000;
+          return catalogue;
+        }
+      }
+    } catch {
+      // Fall through to the bundled metadata.
+    }
+  }
+
+  // Keep serving a previously loaded upstream catalogue rather than downgrading.
+  const fallback = cachedCatalogue?.source === 'upstream' ? cachedCatalogue : getBundledCatalogue();
+  cachedCatalogue = fallback;
+  catalogueExpiry = now + (source === 'bundled' ? getSchemaTtlSeconds(env) : FALLBACK_SCHEMA_TTL_SECONDS) * 1000;
+  return fallback;
+}
+
+function getSchemaTtlSeconds(env) {
+  const parsed = Number.parseInt(env?.SCHEMA_TTL_SECONDS ?? '', 10);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : DEFAULT_SCHEMA_TTL_SECONDS;
+}
+
+/**
+ * Catalogue built from the metadata.xml bundled with the worker
+ */
+export function getBundledCatalogue() {
+  if (!bundledCatalogue) {
+    bundledCatalogue = parseEdmx(bundledMetadataXml, 'bundled');
+  }
+  return bundledCatalogue;
+}
+
+/**
+ * Parse an EDMX document into a per-entity-set property catalogue.
+ *
+ * Workers have no DOMParser, so this relies on the regular structure of the
+ * CSDL that Bloxs emits (one element per tag, attributes in double quotes).
+ */
+export function parseEdmx(xml, source) {
+  const text = typeof xml === 'string' ? xml : '';
+  const entityTypes = new Map();
+  const enumTypes = {};
+
+  for (const schemaMatch of text.matchAll(/<Schema\b([^>]*)>([\s\S]*?)<\/Schema>/g)) {
+    const namespace = parseXmlAttributes(schemaMatch[1]).Namespace || '';
+    const body = schemaMatch[2];
+
+    for (const typeMatch of body.matchAll(/<EntityType\b([^>]*?)(?:\/>|>([\s\S]*?)<\/EntityType>)/g)) {
+      const attrs = parseXmlAttributes(typeMatch[1]);
+      const typeBody = typeMatch[2] || '';
+      const keySection = typeBody.match(/<Key>([\s\S]*?)<\/Key>/);
+      const keys = keySection
+        ? Array.from(keySection[1].matchAll(/<PropertyRef\b([^>]*)\/?>/g), (m) => parseXmlAttributes(m[1]).Name).filter(Boolean)
+        : [];
+
+      const properties = [];
+      for (const propMatch of typeBody.matchAll(/<Property\b([^>]*?)\/?>/g)) {
+        const propAttrs = parseXmlAttributes(propMatch[1]);
+        if (!propAttrs.Name) continue;
+        properties.push({
+          name: propAttrs.Name,
+          type: propAttrs.Type || 'Edm.String',
+          nullable: propAttrs.Nullable !== 'false'
+        });
+      }
+
+      const navigationProperties = [];
+      for (const navMatch of typeBody.matchAll(/<NavigationProperty\b([^>]*?)\/?>/g)) {
+        const navAttrs = parseXmlAttributes(navMatch[1]);
+        if (!navAttrs.Name) continue;
+        const rawType = navAttrs.Type || '';
+        const collectionMatch = rawType.match(/^Collection\((.+)\)$/);
+        navigationProperties.push({
+          name: navAttrs.Name,
+          type: collectionMatch ? collectionMatch[1] : rawType,
+          isCollection: Boolean(collectionMatch)
+        });
+      }
+
+      entityTypes.set(`${namespace}.${attrs.Name}`, {
+        name: attrs.Name,
+        baseType: attrs.BaseType || null,
+        keys,
+        properties,
+        navigationProperties
+      });
+    }
+
+    for (const enumMatch of body.matchAll(/<EnumType\b([^>]*)>([\s\S]*?)<\/EnumType>/g)) {
+      const attrs = parseXmlAttributes(enumMatch[1]);
+      if (!attrs.Name) continue;
+      enumTypes[`${namespace}.${attrs.Name}`] = Array.from(
+        enumMatch[2].matchAll(/<Member\b([^>]*?)\/?>/g),
+        (m) => {
+          const memberAttrs = parseXmlAttributes(m[1]);
+          return { name: memberAttrs.Name, value: memberAttrs.Value != null ? Number(memberAttrs.Value) : null };
+        }
+      );
+    }
+  }
+
+  const entitySets = {};
+  for (const setMatch of text.matchAll(/<EntitySet\b([^>]*?)\/?>/g)) {
+    const attrs = parseXmlAttributes(setMatch[1]);
+    const type = resolveEntityType(entityTypes, attrs.EntityType);
+    if (!attrs.Name || !type) continue;
+    entitySets[attrs.Name] = {
+      name: attrs.Name,
+      entityType: attrs.EntityType,
+      keys: type.keys,
+      properties: type.properties,
+      navigationProperties: type.navigationProperties
+    };
+  }
+
+  const entitySetsLower = new Map();
+  for (const name of Object.keys(entitySets)) {
+    entitySetsLower.set(name.toLowerCase(), name);
+  }
+
+  return {
+    source: source || 'unknown',
+    loadedAt: new Date().toISOString(),
+    entitySets,
+    entitySetsLower,
+    enumTypes
+  };
+}
+
+// Flatten BaseType inheritance so every entity type carries its full property list.
+function resolveEntityType(entityTypes, qualifiedName, depth = 0) {
+  const type = entityTypes.get(qualifiedName);
+  if (!type || !type.baseType || depth > 10) return type || null;
+  const base = resolveEntityType(entityTypes, type.baseType, depth + 1);
+  if (!base) return type;
+  return {
+    ...type,
+    keys: type.keys.length > 0 ? type.keys : base.keys,
+    properties: [...base.properties, ...type.properties],
+    navigationProperties: [...base.navigationProperties, ...type.navigationProperties]
+  };
+}
+
+function parseXmlAttributes(source) {
+  const attrs = {};
+  for (const match of String(source || '').matchAll(/([\w:.-]+)\s*=\s*"([^"]*)"/g)) {
+    attrs[match[1]] = decodeXmlEntities(match[2]);
+  }
+  return attrs;
+}
+
+function decodeXmlEntities(value) {
+  return value
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Resolve a path segment (any casing, optional key predicate) to its canonical entity set name
+ */
+export function resolveEntitySetName(catalogue, segment) {
+  if (!catalogue || !segment) return null;
+  const bare = String(segment).split('(')[0].toLowerCase();
+  return catalogue.entitySetsLower.get(bare) || ENTITY_SET_ALIASES[bare] || null;
+}
+
+/**
+ * Look up the schema entry for an entity set (case-insensitive)
+ */
+export function getEntitySchema(catalogue, entityName) {
+  const name = resolveEntitySetName(catalogue, entityName);
+  return name ? catalogue.entitySets[name] || null : null;
+}
+
+/**
+ * Property names of an entity set, in EDMX order
+ */
+export function getEntityFieldNames(catalogue, entityName) {
+  const schema = getEntitySchema(catalogue, entityName);
+  return schema ? schema.properties.map((p) => p.name) : [];
+}
+
+/**
+ * Find a property by name (case-insensitive)
+ */
+export function getEntityProperty(catalogue, entityName, fieldName) {
+  const schema = getEntitySchema(catalogue, entityName);
+  if (!schema || !fieldName) return null;
+  const lower = String(fieldName).toLowerCase();
+  return schema.properties.find((p) => p.name.toLowerCase() === lower) || null;
+}
+
+/**
+ * Compact, serialisable description of an entity set for summaries and error hints
+ */
+export function describeEntitySchema(catalogue, entityName) {
+  const schema = getEntitySchema(catalogue, entityName);
+  if (!schema) return null;
+  return {
+    entitySet: schema.name,
+    key: schema.keys,
+    fields: Object.fromEntries(schema.properties.map((p) => [p.name, p.type])),
+    navigationProperties: schema.navigationProperties.map((n) => n.name)
+  };
+}
+
+/**
+ * Suggest the closest known field for a misspelled one (case, suffix, containment, then edit distance)
+ */
+export function findClosestField(fields, invalidField) {
+  const lower = String(invalidField || '').toLowerCase();
+  if (!lower || !fields || fields.length === 0) return null;
+
+  const exact = fields.find(f => f.toLowerCase() === lower);
+  if (exact) return exact;
+
+  // 'Address' -> 'DisplayAddress' before 'AddressId'
+  const shortest = (list) => list.reduce((best, f) => (f.length < best.length ? f : best));
+  const ending = fields.filter(f => f.toLowerCase().endsWith(lower));
+  if (ending.length > 0) return shortest(ending);
+
+  const containing = fields.filter(f => f.toLowerCase().includes(lower));
+  if (containing.length > 0) return shortest(containing);
+
+  const contained = fields.filter(f => lower.includes(f.toLowerCase()) && f.length >= 4);
+  if (contained.length > 0) {
+    return contained.reduce((best, f) => (f.length > best.length ? f : best));
+  }
+
+  // Typos such as 'Adress' -> 'AddressId' / 'DisplayAddress' are caught by edit distance.
+  let best = null;
+  let bestDistance = 3;
+  for (const f of fields) {
+    const distance = editDistance(lower, f.toLowerCase());
+    if (distance < bestDistance) {
+      best = f;
+      bestDistance = distance;
+    }
+  }
+  return best;
+}
+
+function editDistance(a, b) {
+  if (Math.abs(a.length - b.length) > 2) return Infinity;
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
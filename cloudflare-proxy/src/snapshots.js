@@ -0,0 +1,237 @@
+/**
+ * Daily arrears snapshots, so collection can be followed over time.
+ *
+ * OpenPositionDebtors only holds today's position. A Cron Trigger (scheduled handler)
+ * aggregates it once a day and stores the result in the SNAPSHOT_KV namespace:
+ *
+ *   snapshot:arrears:v1:<YYYY-MM-DD> = { date, takenAt, complete, totals, owners: [...] }
+ *
+ * Like the learning store, only aggregates are kept: totals per owner and age bucket,
+ * never invoices, tenants or other record values. Snapshots expire after
+ * SNAPSHOT_RETENTION_DAYS (default 730).
+ *
+ * GET /odatafeed/$snapshots/arrears?from=&to=&ownerId= returns the time series, limited
+ * to the owners the caller's policy allows.
+ */
+
+import { isEntityAllowed } from './auth.js';
+import { isOwnerRestricted, isRowWithheld } from './policy.js';
+
+export const SNAPSHOT_PATH = '/odatafeed/$snapshots';
+
+const KEY_PREFIX = 'snapshot:arrears:v1:';
+const DEFAULT_RETENTION_DAYS = 730;
+const DEFAULT_SERIES_DAYS = 90;
+const MAX_SERIES_DAYS = 366;
+const READ_BATCH = 50;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Age buckets as Bloxs splits OutstandingAmount on each open position
+const AGE_BUCKETS = {
+  until30: 'AgeUntil30OutstandingAmount',
+  from30To60: 'Age30To60OutstandingAmount',
+  from60To90: 'Age60To90OutstandingAmount',
+  over90: 'AgeOver90OutstandingAmount'
+};
+
+const SNAPSHOT_OWNER_FIELDS = { ownerId: ['OwnerId'], ownerName: ['OwnerName'] };
+
+/**
+ * Whether a KV namespace for snapshots is bound
+ */
+export function isSnapshotStoreEnabled(env) {
+  return Boolean(env?.SNAPSHOT_KV && typeof env.SNAPSHOT_KV.put === 'function');
+}
+
+/**
+ * Aggregate open debtor positions into one day's snapshot (totals and per owner)
+ */
+export function summarizeArrears(debtors, { date, takenAt, complete }) {
+  const byOwner = new Map();
+  for (const d of debtors) {
+    const outstanding = Number(d.OutstandingAmount);
+    if (!(outstanding > 0)) continue;
+    const key = d.OwnerId ?? null;
+    if (!byOwner.has(key)) {
+      byOwner.set(key, { OwnerId: key, OwnerName: d.OwnerName ?? null, ...emptyAggregate() });
+    }
+    addPosition(byOwner.get(key), d, outstanding);
+  }
+
+  const owners = Array.from(byOwner.values())
+    .map(finishAggregate)
+    .sort((a, b) => b.outstanding - a.outstanding || (a.OwnerId ?? 0) - (b.OwnerId ?? 0));
+  return { date, takenAt, complete, totals: combineAggregates(owners), owners };
+}
+
+function emptyAggregate() {
+  return {
+    outstanding: 0,
+    invoices: 0,
+    ageDays: 0,
+    buckets: Object.fromEntries(Object.keys(AGE_BUCKETS).map((bucket) => [bucket, 0]))
+  };
+}
+
+function addPosition(aggregate, position, outstanding) {
+  aggregate.outstanding += outstanding;
+  aggregate.invoices++;
+  aggregate.ageDays += Number(position.Age) || 0;
+  for (const [bucket, field] of Object.entries(AGE_BUCKETS)) {
+    aggregate.buckets[bucket] += Number(position[field]) || 0;
+  }
+}
+
+// Rounded amounts; ageDays is kept so averages can be recombined across owners.
+function finishAggregate(aggregate) {
+  return {
+    ...aggregate,
+    outstanding: round(aggregate.outstanding, 2),
+    averageAge: aggregate.invoices > 0 ? round(aggregate.ageDays / aggregate.invoices, 1) : null,
+    buckets: Object.fromEntries(Object.entries(aggregate.buckets).map(([bucket, value]) => [bucket, round(value, 2)]))
+  };
+}
+
+function combineAggregates(aggregates) {
+  const total = emptyAggregate();
+  for (const aggregate of aggregates) {
+    total.outstanding += aggregate.outstanding;
+    total.invoices += aggregate.invoices;
+    total.ageDays += aggregate.ageDays;
+    for (const bucket of Object.keys(AGE_BUCKETS)) total.buckets[bucket] += aggregate.buckets[bucket] || 0;
+  }
+  return finishAggregate(total);
+}
+
+/**
+ * Read today's open positions and store the snapshot (scheduled handler)
+ *
+ * Returns { snapshot, key } or { error, status }.
+ */
+export async function takeArrearsSnapshot(env, readEntity, now = new Date()) {
+  if (!isSnapshotStoreEnabled(env)) {
+    return { error: 'SNAPSHOT_KV is not bound; arrears snapshots are disabled', status: 501 };
+  }
+
+  const debtors = await readEntity('OpenPositionDebtors', {
+    filter: 'OutstandingAmount gt 0',
+    select: ['OwnerId', 'OwnerName', 'OutstandingAmount', 'Age', ...Object.values(AGE_BUCKETS)]
+  });
+  if (debtors.error) return { error: debtors.error, status: debtors.status };
+
+  const date = now.toISOString().slice(0, 10);
+  const snapshot = summarizeArrears(debtors.rows, { date, takenAt: now.toISOString(), complete: debtors.complete });
+  const key = KEY_PREFIX + date;
+  await env.SNAPSHOT_KV.put(key, JSON.stringify(snapshot), { expirationTtl: getRetentionDays(env) * 24 * 60 * 60 });
+  return { snapshot, key };
+}
+
+function getRetentionDays(env) {
+  const days = Number.parseInt(env?.SNAPSHOT_RETENTION_DAYS ?? '', 10);
+  return Number.isFinite(days) && days > 0 ? days : DEFAULT_RETENTION_DAYS;
+}
+
+/**
+ * Parse from/to (YYYY-MM-DD, at most 366 days apart; default the last 90 days) and ownerId
+ *
+ * Returns { params } or { error }.
+ */
+export function parseSeriesParameters(searchParams, now = new Date()) {
+  const today = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+  const params = { ownerId: null, from: null, to: today };
+
+  for (const name of ['from', 'to']) {
+    const value = searchParams.get(name);
+    if (!value) continue;
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || Number.isNaN(Date.parse(`${value}T00:00:00Z`))) {
+      return { error: `${name} must be a date (YYYY-MM-DD), got '${value}'` };
+    }
+    params[name] = new Date(`${value}T00:00:00Z`);
+  }
+  params.from = params.from || new Date(params.to.getTime() - (DEFAULT_SERIES_DAYS - 1) * DAY_MS);
+  if (params.from > params.to) {
+    return { error: 'from must not be after to' };
+  }
+  if ((params.to - params.from) / DAY_MS + 1 > MAX_SERIES_DAYS) {
+    return { error: `The series can span at most ${MAX_SERIES_DAYS} days` };
+  }
+
+  const ownerId = searchParams.get('ownerId');
+  if (ownerId != null && ownerId !== '') {
+    if (!/^\d+$/.test(ownerId)) return { error: `ownerId must be a whole number, got '${ownerId}'` };
+    params.ownerId = Number(ownerId);
+  }
+  return { params };
+}
+
+/**
+ * Daily arrears series for the owners the caller may see
+ *
+ * Owner-restricted callers get totals recomputed from their own owners only.
+ * Returns { result } or { error, status }.
+ */
+export async function readArrearsSeries(env, params, { client, policy }) {
+  if (!isSnapshotStoreEnabled(env)) {
+    return { error: 'SNAPSHOT_KV is not bound; arrears snapshots are disabled', status: 501 };
+  }
+  if (!isEntityAllowed(client, 'OpenPositionDebtors', { ownerRestricted: isOwnerRestricted(policy), hasOwnerColumn: true })) {
+    return { error: `API client '${client.name}' is not allowed to query OpenPositionDebtors`, status: 403 };
+  }
+
+  const dates = [];
+  for (let time = params.from.getTime(); time <= params.to.getTime(); time += DAY_MS) {
+    dates.push(new Date(time).toISOString().slice(0, 10));
+  }
+  const snapshots = [];
+  for (let i = 0; i < dates.length; i += READ_BATCH) {
+    snapshots.push(...await Promise.all(
+      dates.slice(i, i + READ_BATCH).map((date) => env.SNAPSHOT_KV.get(KEY_PREFIX + date, { type: 'json' }))
+    ));
+  }
+
+  const series = [];
+  for (const snapshot of snapshots) {
+    if (!snapshot) continue;
+    let owners = snapshot.owners.filter((owner) => !isRowWithheld(owner, policy, SNAPSHOT_OWNER_FIELDS));
+    // Positions without an owner cannot be attributed, so owner-restricted callers never see them.
+    if (isOwnerRestricted(policy)) owners = owners.filter((owner) => owner.OwnerId != null);
+    if (params.ownerId != null) owners = owners.filter((owner) => owner.OwnerId === params.ownerId);
+
+    const scoped = params.ownerId != null || owners.length !== snapshot.owners.length;
+    const { ageDays, ...totals } = scoped ? combineAggregates(owners) : snapshot.totals;
+    series.push({ date: snapshot.date, ...totals, complete: snapshot.complete });
+  }
+
+  const result = {
+    metric: 'arrears',
+    parameters: {
+      ownerId: params.ownerId,
+      from: params.from.toISOString().slice(0, 10),
+      to: params.to.toISOString().slice(0, 10)
+    },
+    buckets: Object.keys(AGE_BUCKETS),
+    days: dates.length,
+    missingDays: dates.length - series.length,
+    series
+  };
+  if (series.length >= 2) {
+    const first = series[0];
+    const last = series[series.length - 1];
+    result.change = {
+      from: first.date,
+      to: last.date,
+      outstanding: round(last.outstanding - first.outstanding, 2),
+      over90: round(last.buckets.over90 - first.buckets.over90, 2),
+      averageAge: first.averageAge != null && last.averageAge != null ? round(last.averageAge - first.averageAge, 1) : null
+    };
+  }
+  if (series.some((point) => !point.complete)) {
+    result.warning = 'Some snapshots were taken from partial data (paging budget); their totals are too low.';
+  }
+  return { result };
+}
+
+function round(value, decimals) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
@@ -0,0 +1,354 @@
+/**
+ * Bloxs JWT for upstream requests.
+ *
+ * Bloxs issues a token for the API key and secret (POST /Authorization). Each worker
+ * instance keeps it in memory until five minutes before it expires, and drops it as soon
+ * as Bloxs rejects it. Concurrent requests that need a new token share one refresh.
+ *
+ * With the BLOXS_TOKEN Durable Object bound, instances get the token from it instead of
+ * each calling /Authorization. The object is the single place that refreshes: it stores
+ * the token AES-GCM encrypted (key derived from BLOXS_API_SECRET) and renews it with an
+ * alarm before it runs out, as long as it was used in the last day.
+ */
+
+const REFRESH_BUFFER_MS = 5 * 60 * 1000;
+// Renew in the background once less than this is left, before the buffer is reached
+const PROACTIVE_REFRESH_MS = 15 * 60 * 1000;
+const ACTIVE_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+const BROKER_ORIGIN = 'https://token-broker.bloxs-proxy.internal';
+const BROKER_OBJECT = 'bloxs-token';
+const STORAGE_KEY = 'token:v1';
+
+// Token cache (in-memory, per worker instance)
+let cachedToken = null;
+let tokenExpiry = 0;
+let tokenIssuedAt = 0;
+let pendingToken = null;
+let lastRefreshError = null;
+
+/**
+ * Get a valid Bloxs JWT token, refreshing if needed
+ *
+ * Pass the request's ctx to renew a token that is close to the buffer in the background.
+ */
+export async function getBloxsToken(env, ctx) {
+  const now = Date.now();
+
+  // Return cached token if still valid (with 5 minute buffer)
+  if (cachedToken && tokenExpiry > now + REFRESH_BUFFER_MS) {
+    if (ctx && !pendingToken && tokenExpiry <= now + PROACTIVE_REFRESH_MS) {
+      ctx.waitUntil(loadToken(env).catch((error) => console.log(`Background token refresh failed: ${error.message}`)));
+    }
+    return cachedToken;
+  }
+  return loadToken(env);
+}
+
+/**
+ * A token to retry with after Bloxs answered 401 to `rejectedToken`
+ *
+ * Requests a new token unless another request already replaced the rejected one.
+ */
+export async function refreshBloxsToken(env, rejectedToken) {
+  if (cachedToken && cachedToken !== rejectedToken && tokenExpiry > Date.now()) {
+    return cachedToken;
+  }
+  cachedToken = null;
+  tokenExpiry = 0;
+  return loadToken(env, rejectedToken);
+}
+
+// One refresh at a time per instance; everyone waiting gets its result
+function loadToken(env, rejectedToken = null) {
+  if (!pendingToken) {
+    const source = isTokenBrokerBound(env) ? fetchFromBroker(env, rejectedToken) : requestToken(env);
+    pendingToken = source
+      .then((issued) => {
+        cachedToken = issued.token;
+        tokenExpiry = issued.expiresAt;
+        tokenIssuedAt = issued.issuedAt;
+        lastRefreshError = null;
+        return issued.token;
+      })
+      .catch((error) => {
+        lastRefreshError = { at: new Date().toISOString(), message: error.message };
+        throw error;
+      })
+      .finally(() => {
+        pendingToken = null;
+      });
+  }
+  return pendingToken;
+}
+
+async function fetchFromBroker(env, rejectedToken) {
+  let response;
+  try {
+    response = await getBroker(env).fetch(`${BROKER_ORIGIN}/token`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ rejected: rejectedToken })
+    });
+  } catch (error) {
+    console.log(`Token broker unavailable, requesting a token directly: ${error.message}`);
+    return requestToken(env);
+  }
+  const data = await response.json();
+  if (!response.ok) {
+    throw new Error(data.error || `Bloxs auth failed: ${response.status}`);
+  }
+  return data;
+}
+
+/**
+ * Request a new token from Bloxs: { token, issuedAt, expiresAt }
+ */
+async function requestToken(env) {
+  const now = Date.now();
+  const response = await fetch(`${env.BLOXS_BASE_URL}/Authorization`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({
+      apiKey: env.BLOXS_API_KEY,
+      apiSecret: env.BLOXS_API_SECRET
+    })
+  });
+
+  if (!response.ok) {
+    throw new Error(`Bloxs auth failed: ${response.status}`);
+  }
+
+  const data = await response.json();
+
+  // Prefer JWT exp (if token is a JWT); fallback to Bloxs expiration string.
+  const expiresAt = getJwtExpiryMs(data.token)
+    || parseBloxsExpirationMs(data.expiration)
+    || (now + 55 * 60 * 1000);
+
+  return { token: data.token, issuedAt: now, expiresAt };
+}
+
+/**
+ * Token state without the token: { source, present, issuedAt, expiresAt, ageSeconds,
+ * expiresInSeconds, lastError }
+ */
+export async function getTokenStatus(env, now = Date.now()) {
+  let state = { issuedAt: tokenIssuedAt || null, expiresAt: tokenExpiry || null, lastError: lastRefreshError };
+  let source = 'memory';
+  if (isTokenBrokerBound(env)) {
+    source = 'durable-object';
+    try {
+      const response = await getBroker(env).fetch(`${BROKER_ORIGIN}/status`);
+      state = await response.json();
+    } catch (error) {
+      state = { ...state, lastError: { at: new Date(now).toISOString(), message: `Token broker unavailable: ${error.message}` } };
+    }
+  }
+
+  const present = Boolean(state.expiresAt && state.expiresAt > now);
+  return {
+    source,
+    present,
+    issuedAt: state.issuedAt ? new Date(state.issuedAt).toISOString() : null,
+    expiresAt: state.expiresAt ? new Date(state.expiresAt).toISOString() : null,
+    ageSeconds: state.issuedAt ? Math.floor((now - state.issuedAt) / 1000) : null,
+    expiresInSeconds: present ? Math.floor((state.expiresAt - now) / 1000) : null,
+    lastError: state.lastError || null
+  };
+}
+
+function isTokenBrokerBound(env) {
+  return Boolean(env?.BLOXS_TOKEN && typeof env.BLOXS_TOKEN.idFromName === 'function');
+}
+
+function getBroker(env) {
+  return env.BLOXS_TOKEN.get(env.BLOXS_TOKEN.idFromName(BROKER_OBJECT));
+}
+
+/**
+ * Durable Object that holds the one shared Bloxs token
+ *
+ * POST /token { rejected } returns { token, issuedAt, expiresAt }, refreshing when the
+ * stored token is close to expiry or is the rejected one. GET /status returns the same
+ * without the token, plus the last refresh error.
+ */
+export class TokenBroker {
+  constructor(state, env) {
+    this.state = state;
+    this.env = env;
+    this.current = undefined;
+    this.refreshing = null;
+  }
+
+  async fetch(request) {
+    const { pathname } = new URL(request.url);
+    if (pathname === '/status') {
+      const current = await this.load();
+      return jsonResponse({
+        issuedAt: current?.issuedAt ?? null,
+        expiresAt: current?.expiresAt ?? null,
+        lastError: (await this.state.storage.get('lastError')) || null
+      });
+    }
+    if (pathname !== '/token') {
+      return jsonResponse({ error: 'Not found' }, 404);
+    }
+
+    const { rejected } = await request.json();
+    try {
+      return jsonResponse(await this.getToken(rejected || null));
+    } catch (error) {
+      return jsonResponse({ error: error.message }, 502);
+    }
+  }
+
+  async getToken(rejected) {
+    const now = Date.now();
+    await this.state.storage.put('lastUsedAt', now);
+    const current = await this.load();
+    if (current && current.token !== rejected && current.expiresAt > now + REFRESH_BUFFER_MS) {
+      if (current.expiresAt <= now + PROACTIVE_REFRESH_MS) {
+        this.refresh().catch(() => {});
+      }
+      return current;
+    }
+    return this.refresh();
+  }
+
+  // Renew ahead of expiry, unless nobody asked for a token lately
+  async alarm() {
+    const lastUsedAt = (await this.state.storage.get('lastUsedAt')) || 0;
+    if (Date.now() - lastUsedAt < ACTIVE_WINDOW_MS) {
+      await this.refresh();
+    }
+  }
+
+  refresh() {
+    if (!this.refreshing) {
+      this.refreshing = requestToken(this.env)
+        .then(async (issued) => {
+          await this.state.storage.put(STORAGE_KEY, await encryptToken(this.env, issued));
+          await this.state.storage.delete('lastError');
+          await this.state.storage.setAlarm(Math.max(Date.now(), issued.expiresAt - PROACTIVE_REFRESH_MS));
+          this.current = issued;
+          return issued;
+        })
+        .catch(async (error) => {
+          await this.state.storage.put('lastError', { at: new Date().toISOString(), message: error.message });
+          throw error;
+        })
+        .finally(() => {
+          this.refreshing = null;
+        });
+    }
+    return this.refreshing;
+  }
+
+  async load() {
+    if (this.current === undefined) {
+      const stored = await this.state.storage.get(STORAGE_KEY);
+      this.current = stored ? await decryptToken(this.env, stored) : null;
+    }
+    return this.current;
+  }
+}
+
+function jsonResponse(data, status = 200) {
+  return new Response(JSON.stringify(data), { status, headers: { 'Content-Type': 'application/json' } });
+}
+
+// AES-GCM key for the stored token, derived from the Bloxs API secret
+async function getStorageKey(env) {
+  const encoder = new TextEncoder();
+  const material = await crypto.subtle.importKey('raw', encoder.encode(env.BLOXS_API_SECRET || ''), 'HKDF', false, ['deriveKey']);
+  return crypto.subtle.deriveKey(
+    { name: 'HKDF', hash: 'SHA-256', salt: encoder.encode('bloxs-proxy'), info: encoder.encode(STORAGE_KEY) },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+}
+
+async function encryptToken(env, issued) {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, await getStorageKey(env), new TextEncoder().encode(issued.token));
+  return { iv: toBase64(iv), data: toBase64(new Uint8Array(data)), issuedAt: issued.issuedAt, expiresAt: issued.expiresAt };
+}
+
+// null when it cannot be decrypted (e.g. after the API secret was rotated): refresh then
+async function decryptToken(env, stored) {
+  try {
+    const data = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(stored.iv) }, await getStorageKey(env), fromBase64(stored.data));
+    return { token: new TextDecoder().decode(data), issuedAt: stored.issuedAt, expiresAt: stored.expiresAt };
+  } catch {
+    return null;
+  }
+}
+
+function toBase64(bytes) {
+  return btoa(String.fromCharCode(...bytes));
+}
+
+function fromBase64(value) {
+  return Uint8Array.from(atob(value), (char) => char.charCodeAt(0));
+}
+
+function getJwtExpiryMs(token) {
+  if (!token || typeof token !== 'string') return null;
+  const parts = token.split('.');
+  if (parts.length !== 3) return null;
+  try {
+    const payloadJson = base64UrlDecodeToString(parts[1]);
+    const payload = JSON.parse(payloadJson);
+    if (typeof payload.exp === 'number' && Number.isFinite(payload.exp)) {
+      return payload.exp * 1000;
+    }
+  } catch {
+    // ignore
+  }
+  return null;
+}
+
+function base64UrlDecodeToString(value) {
+  const padded = value.replace(/-/g, '+').replace(/_/g, '/') + '==='.slice((value.length + 3) % 4);
+  const binary = atob(padded);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return new TextDecoder('utf-8').decode(bytes);
+}
+
+function parseBloxsExpirationMs(expiration) {
+  if (!expiration || typeof expiration !== 'string') return null;
+  // Common observed format: "01/10/2026 16:42:26" (NL often DD/MM/YYYY)
+  // Try DD/MM/YYYY first; if that fails, try MM/DD/YYYY.
+  const match = expiration.trim().match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})(?:\s+(\d{1,2}):(\d{2})(?::(\d{2}))?)?$/);
+  if (!match) return null;
+
+  const a = Number.parseInt(match[1], 10);
+  const b = Number.parseInt(match[2], 10);
+  const year = Number.parseInt(match[3], 10);
+  const hour = Number.parseInt(match[4] ?? '0', 10);
+  const minute = Number.parseInt(match[5] ?? '0', 10);
+  const second = Number.parseInt(match[6] ?? '0', 10);
+
+  const ddFirst = toUtcMs(year, b, a, hour, minute, second);
+  if (ddFirst) return ddFirst;
+
+  const mmFirst = toUtcMs(year, a, b, hour, minute, second);
+  if (mmFirst) return mmFirst;
+
+  return null;
+}
+
+function toUtcMs(year, month, day, hour, minute, second) {
+  if (!Number.isFinite(year) || !Number.isFinite(month) || !Number.isFinite(day)) return null;
+  if (month < 1 || month > 12 || day < 1 || day > 31) return null;
+  const ms = Date.UTC(year, month - 1, day, hour || 0, minute || 0, second || 0);
+  return Number.isFinite(ms) ? ms : null;
+}
@@ -0,0 +1,151 @@
+/**
+ * Internal entity reads for server-side endpoints (KPIs and other computed views).
+ *
+ * Applies the same access rules as pass-through queries: the client's entity
+ * scope, the owner $filter and the row check on the response. Pages are followed
+ * within the paging budget, so results can be incomplete; callers report that.
+ *
+ * The pass-through guardrails apply too: entity sets that require a $filter are
+ * refused without one, and are read in $top/$skip pages of their $top cap. The reads of
+ * one reader (one request) share a page pool, and take one token per entity set from
+ * the client's rate limit for it, where one is set.
+ */
+
+import { isEntityAllowed } from './auth.js';
+import { createPagePool, fetchAllPages, fetchPagesBySkip, getPagingBudget } from './paging.js';
+import {
+  addOwnerFilter,
+  applyRowPolicy,
+  buildOwnerFilter,
+  getOwnerFields,
+  isOwnerRestricted,
+  needsValueWalk
+} from './policy.js';
+import { checkEntityRateLimit, getSlotSubrequests } from './ratelimit.js';
+import { createBloxsFetch } from './resilience.js';
+import { getEntitySchema } from './schema.js';
+
+/**
+ * Create a reader bound to one request's token, catalogue, policy and client
+ *
+ * guardrails: { requiresFilter(entitySet), getTopCap(entitySet) } from the pass-through path.
+ * readEntity(entityName, { filter, select, orderby }) returns
+ * { entity, rows, complete, withheld, filter } or { error, status }.
+ */
+export function createEntityReader({ env, token, catalogue, policy, client, guardrails }) {
+  const budget = { ...getPagingBudget(env), pool: createPagePool() };
+  // Entity set -> rate limit check, so a report reading one entity set in parts pays once
+  const charges = new Map();
+
+  return async function readEntity(entityName, { filter, select, orderby } = {}) {
+    const schema = getEntitySchema(catalogue, entityName);
+    if (!schema) {
+      return { error: `Unknown entity set '${entityName}'`, status: 500 };
+    }
+
+    const ownerFields = getOwnerFields(policy, schema.name, schema);
+    const allowed = isEntityAllowed(client, schema.name, {
+      ownerRestricted: isOwnerRestricted(policy),
+      hasOwnerColumn: ownerFields.ownerId.length > 0 || ownerFields.ownerName.length > 0
+    });
+    if (!allowed) {
+      return { error: `API client '${client.name}' is not allowed to query ${schema.name}`, status: 403 };
+    }
+
+    const large = guardrails ? guardrails.requiresFilter(schema.name) : false;
+    if (large && !filter) {
+      return { error: `${schema.name} must not be read without a filter`, status: 400 };
+    }
+
+    if (!charges.has(schema.name)) charges.set(schema.name, checkEntityRateLimit(env, client, schema.name));
+    const rateLimit = await charges.get(schema.name);
+    if (!rateLimit.allowed) {
+      return {
+        error: `Rate limit exceeded: at most ${rateLimit.limit.perMinute} ${schema.name} requests per minute for '${client.name}'. Retry after ${rateLimit.retryAfter} s.`,
+        status: 429
+      };
+    }
+
+    // The first page, and the Durable Object calls for this read's concurrency slot
+    if (!budget.pool.take(1 + getSlotSubrequests(env))) {
+      return {
+        error: `${schema.name} could not be read: this request needs more than ${budget.pool.size} requests to Bloxs; narrow it (for example with ownerId)`,
+        status: 422
+      };
+    }
+
+    // Without owner name fields every value is checked, so whole rows are read.
+    const walk = needsValueWalk(policy, ownerFields);
+    const params = new URLSearchParams();
+    if (filter) params.set('$filter', filter);
+    if (select && !walk) {
+      // Keep the owner fields so the row check can still see them.
+      const fields = new Set([...select, ...ownerFields.ownerId, ...ownerFields.ownerName]);
+      params.set('$select', Array.from(fields).join(','));
+    }
+    // $skip paging needs a stable order; the key is the fallback.
+    if (orderby || large) params.set('$orderby', orderby || schema.keys.join(','));
+
+    const search = addOwnerFilter(params.toString() ? '?' + params.toString() : '', buildOwnerFilter(policy, ownerFields));
+    const url = `${env.BLOXS_BASE_URL}/odatafeed/${schema.name}${search}`;
+    const bloxsFetch = createBloxsFetch(env, schema.name);
+    const fetchPage = (pageUrl) => bloxsFetch(pageUrl, {
+      method: 'GET',
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json',
+        'Accept': 'application/json'
+      }
+    });
+
+    let result;
+    try {
+      if (large) {
+        const pageSize = guardrails.getTopCap(schema.name);
+        result = await fetchPagesBySkip((skip) => `${url}&$top=${pageSize}&$skip=${skip}`, fetchPage, budget, pageSize);
+      } else {
+        result = await fetchAllPages(url, fetchPage, budget);
+      }
+    } catch (error) {
+      return { error: `Failed to fetch ${schema.name} from Bloxs: ${error.message}`, status: 502 };
+    } finally {
+      await bloxsFetch.release();
+    }
+    if (result.response.status === 429) {
+      return { error: `Bloxs is busy; ${schema.name} could not be read, try again shortly`, status: 429 };
+    }
+    if (result.response.status === 503 || result.response.status === 504) {
+      return { error: `${schema.name} could not be read: ${readErrorMessage(result.body)}`, status: result.response.status };
+    }
+    if (!result.response.ok) {
+      return { error: `Bloxs returned ${result.response.status} for ${schema.name}`, status: 502 };
+    }
+
+    const { body, withheld } = applyRowPolicy(result.body, policy, ownerFields);
+    let rows = [];
+    try {
+      rows = JSON.parse(body)?.value || [];
+    } catch {
+      return { error: `Bloxs returned an unreadable response for ${schema.name}`, status: 502 };
+    }
+    if (select && walk) {
+      rows = rows.map((row) => Object.fromEntries(select.filter((f) => f in row).map((f) => [f, row[f]])));
+    }
+
+    return {
+      entity: schema.name,
+      rows,
+      complete: result.paging ? result.paging.complete : true,
+      withheld,
+      filter: filter || null
+    };
+  };
+}
+
+function readErrorMessage(body) {
+  try {
+    return JSON.parse(body)?.error?.message || 'Bloxs is unavailable';
+  } catch {
+    return 'Bloxs is unavailable';
+  }
+}
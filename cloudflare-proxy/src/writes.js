@@ -0,0 +1,267 @@
+/**
+ * Controlled writes: create and update ServiceTickets.
+ *
+ * POST  /odatafeed/ServiceTickets        creates a ticket
+ * PATCH /odatafeed/ServiceTickets(<id>)  changes its state, priority, description or closing
+ *                                        date, and/or adds a note (Notes, linked to the ticket)
+ *
+ * Only the fields listed below are accepted. Values are checked against the property types
+ * in the schema catalogue, ids against the ServiceTicketStates/ProblemCategories/
+ * CostCategories lookups, and the ticket (or its RealEstateObject) against the caller's
+ * row policy. The caller needs the servicetickets:write scope. Every attempt, successful
+ * or not, is written to the audit trail.
+ */
+
+import { describeCaller, writeAuditEntry } from './audit.js';
+import { hasScope, isEntityAllowed } from './auth.js';
+import { isOwnerRestricted } from './policy.js';
+import { findClosestField, getEntityProperty } from './schema.js';
+
+export const WRITE_SCOPE = 'servicetickets:write';
+
+const ENTITY = 'ServiceTickets';
+const KEY_FIELD = 'ServiceTicketId';
+const NOTE_FIELD = 'Note';
+const MAX_NOTE_LENGTH = 4000;
+
+const CREATE_FIELDS = [
+  'RealEstateObjectId', 'Description', 'Priority', 'ReportingDate', 'ServiceTicketStateId',
+  'ServiceTicketProblemCategoryId', 'ServiceTicketCostCategoryId', 'TenantId', 'SupplierId', 'ReporterId',
+  'MandateAmount', 'ExpectedCosts', 'CostsAreForTenant'
+];
+const CREATE_REQUIRED = ['RealEstateObjectId', 'Description'];
+const UPDATE_FIELDS = ['ServiceTicketStateId', 'Priority', 'Description', 'ClosingDate'];
+
+// Id fields that must point at an entry of a lookup entity set
+const LOOKUPS = {
+  ServiceTicketStateId: { entity: 'ServiceTicketStates', select: ['Name', 'SystemState', 'IsArchived'], usable: (row) => !row.IsArchived },
+  ServiceTicketProblemCategoryId: { entity: 'ServiceTicketProblemCategories', select: ['Name'] },
+  ServiceTicketCostCategoryId: { entity: 'ServiceTicketCostCategories', select: ['Name', 'InUse'], usable: (row) => row.InUse !== false }
+};
+
+const INTEGER_TYPES = new Set(['Edm.Byte', 'Edm.Int16', 'Edm.Int32', 'Edm.Int64']);
+const NUMBER_TYPES = new Set(['Edm.Decimal', 'Edm.Double', 'Edm.Single']);
+const DATETIME_PATTERN = /^\d{4}-\d{2}-\d{2}(?:T\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:\d{2})?)?$/;
+const GUID_PATTERN = /^[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}$/;
+
+/**
+ * Match a writable path: { entity, key } (key null for the collection), or null
+ */
+export function matchWritePath(pathname) {
+  const match = /^\/odatafeed\/servicetickets(?:\((\d+)\))?\/?$/i.exec(pathname || '');
+  if (!match) return null;
+  return { entity: ENTITY, key: match[1] != null ? Number(match[1]) : null };
+}
+
+/**
+ * Check a request body against the allowed fields and the schema catalogue
+ *
+ * Returns { values, note } (enum values normalised to member names) or { error }.
+ */
+export function validateTicketPayload(payload, mode, catalogue) {
+  if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+    return { error: 'The request body must be a JSON object' };
+  }
+  const allowed = mode === 'create' ? CREATE_FIELDS : UPDATE_FIELDS;
+  const accepted = mode === 'create' ? allowed : [...allowed, NOTE_FIELD];
+
+  const values = {};
+  let note = null;
+  for (const [name, value] of Object.entries(payload)) {
+    if (mode === 'update' && name === NOTE_FIELD) {
+      if (typeof value !== 'string' || !value.trim()) return { error: `${NOTE_FIELD} must be a non-empty string` };
+      if (value.length > MAX_NOTE_LENGTH) return { error: `${NOTE_FIELD} must be at most ${MAX_NOTE_LENGTH} characters` };
+      note = value.trim();
+      continue;
+    }
+    if (!allowed.includes(name)) {
+      const suggestion = findClosestField(accepted, name);
+      return {
+        error: `Field '${name}' cannot be ${mode === 'create' ? 'set on a new ticket' : 'changed'}.`
+          + `${suggestion ? ` Did you mean '${suggestion}'?` : ''} Allowed: ${accepted.join(', ')}`
+      };
+    }
+    const property = getEntityProperty(catalogue, ENTITY, name);
+    if (!property) return { error: `Field '${name}' is not in the ${ENTITY} schema` };
+    const { value: checked, error } = checkValue(property, value, catalogue);
+    if (error) return { error };
+    values[name] = checked;
+  }
+
+  if (mode === 'create') {
+    const missing = CREATE_REQUIRED.filter((name) => values[name] == null || values[name] === '');
+    if (missing.length > 0) return { error: `Missing required field(s): ${missing.join(', ')}` };
+  } else if (Object.keys(values).length === 0 && note == null) {
+    return { error: `Nothing to change. Send one or more of: ${accepted.join(', ')}` };
+  }
+  return { values, note };
+}
+
+function checkValue(property, value, catalogue) {
+  const { name, type, nullable } = property;
+  if (value === null) {
+    return nullable ? { value: null } : { error: `${name} cannot be null` };
+  }
+  const members = catalogue.enumTypes?.[type];
+  if (members) {
+    const member = members.find((m) => m.value === value || m.name.toLowerCase() === String(value).toLowerCase());
+    return member
+      ? { value: member.name }
+      : { error: `${name} must be one of ${members.map((m) => m.name).join(', ')}, got '${value}'` };
+  }
+  if (INTEGER_TYPES.has(type)) {
+    return Number.isInteger(value) ? { value } : { error: `${name} must be a whole number, got '${value}'` };
+  }
+  if (NUMBER_TYPES.has(type)) {
+    return typeof value === 'number' && Number.isFinite(value) ? { value } : { error: `${name} must be a number, got '${value}'` };
+  }
+  if (type === 'Edm.Boolean') {
+    return typeof value === 'boolean' ? { value } : { error: `${name} must be true or false, got '${value}'` };
+  }
+  if (type === 'Edm.DateTimeOffset' || type === 'Edm.Date') {
+    return typeof value === 'string' && DATETIME_PATTERN.test(value) && !Number.isNaN(Date.parse(value))
+      ? { value }
+      : { error: `${name} must be a date (YYYY-MM-DD) or date-time (ISO 8601), got '${value}'` };
+  }
+  if (type === 'Edm.Guid') {
+    return typeof value === 'string' && GUID_PATTERN.test(value) ? { value } : { error: `${name} must be a GUID, got '${value}'` };
+  }
+  return typeof value === 'string' ? { value } : { error: `${name} must be a string` };
+}
+
+/**
+ * Check the id fields against their lookup entity sets
+ *
+ * Returns {} or { error, status }; the error lists the valid choices.
+ */
+export async function checkLookups(values, readEntity) {
+  for (const [field, lookup] of Object.entries(LOOKUPS)) {
+    if (values[field] == null) continue;
+    const { rows, error, status } = await readEntity(lookup.entity, { select: [field, ...lookup.select] });
+    if (error) return { error, status };
+    const usable = rows.filter((row) => !lookup.usable || lookup.usable(row));
+    if (!usable.some((row) => row[field] === values[field])) {
+      const choices = usable.map((row) => `${row[field]} (${row.Name})`).join(', ');
+      return { error: `${field} ${values[field]} is not a valid ${lookup.entity} entry. Valid: ${choices || 'none'}`, status: 400 };
+    }
+  }
+  return {};
+}
+
+/**
+ * Create or update a ticket upstream and record it in the audit trail
+ *
+ * `request` is { mode: 'create' | 'update', key, payload }. Returns
+ * { status, result } or { status, error }, both with the audit entry id.
+ */
+export async function writeServiceTicket(request, { env, token, catalogue, policy, client, readEntity, fetcher = fetch }) {
+  const { mode, key } = request;
+  const audit = { caller: describeCaller(client), action: mode, entity: ENTITY, key };
+  const finish = async (outcome) => {
+    const entry = { ...audit, status: outcome.status, ...(outcome.error ? { error: outcome.error } : {}) };
+    try {
+      return { ...outcome, auditId: (await writeAuditEntry(env, entry)).id };
+    } catch (error) {
+      // The change itself has happened; keep the entry in the Worker log rather than lose it.
+      console.log(`Audit write failed (${error.message}): ${JSON.stringify(entry)}`);
+      return { ...outcome, auditId: null };
+    }
+  };
+
+  if (!hasScope(client, WRITE_SCOPE)) {
+    return finish({ status: 403, error: `API client '${client.name}' is not allowed to change ${ENTITY} (needs the ${WRITE_SCOPE} scope)` });
+  }
+
+  const { values, note, error: payloadError } = validateTicketPayload(request.payload, mode, catalogue);
+  if (payloadError) return finish({ status: 400, error: payloadError });
+  audit.changes = values;
+  if (note != null) audit.note = note;
+
+  // The caller must be able to see the ticket (update) or its RealEstateObject (create).
+  if (mode === 'create') {
+    if (!isEntityAllowed(client, ENTITY, { ownerRestricted: isOwnerRestricted(policy), hasOwnerColumn: true })) {
+      return finish({ status: 403, error: `API client '${client.name}' is not allowed to query ${ENTITY}` });
+    }
+    const target = await readEntity('RealEstateObjects', {
+      filter: `RealEstateObjectId eq ${values.RealEstateObjectId}`,
+      select: ['RealEstateObjectId', 'DisplayName']
+    });
+    if (target.error) return finish({ status: target.status, error: target.error });
+    if (target.rows.length === 0) {
+      return finish({ status: 400, error: `RealEstateObjectId ${values.RealEstateObjectId} does not exist or is not accessible` });
+    }
+  } else {
+    const current = await readEntity(ENTITY, {
+      filter: `${KEY_FIELD} eq ${key}`,
+      select: [KEY_FIELD, ...UPDATE_FIELDS]
+    });
+    if (current.error) return finish({ status: current.status, error: current.error });
+    if (current.rows.length === 0) return finish({ status: 404, error: `ServiceTicket ${key} not found` });
+    audit.previous = Object.fromEntries(Object.keys(values).map((name) => [name, current.rows[0][name] ?? null]));
+  }
+
+  const lookups = await checkLookups(values, readEntity);
+  if (lookups.error) return finish({ status: lookups.status, error: lookups.error });
+
+  const send = (method, path, body) => sendWrite(env, token, fetcher, method, path, body);
+  if (mode === 'create') {
+    const created = await send('POST', `/odatafeed/${ENTITY}`, values);
+    if (!created.ok) return finish(upstreamFailure(created));
+    audit.key = created.body?.[KEY_FIELD] ?? null;
+    return finish({ status: 201, result: { created: true, [KEY_FIELD]: audit.key, ticket: created.body } });
+  }
+
+  const result = { [KEY_FIELD]: key, updated: Object.keys(values) };
+  if (result.updated.length > 0) {
+    const updated = await send('PATCH', `/odatafeed/${ENTITY}(${key})`, values);
+    if (!updated.ok) return finish(upstreamFailure(updated));
+    if (updated.body) result.ticket = updated.body;
+  }
+  if (note != null) {
+    const added = await send('POST', '/odatafeed/Notes', { EntityId: key, EntityLinkType: 'ServiceTicket', Message: note });
+    if (!added.ok) {
+      const failure = upstreamFailure(added);
+      return finish({ ...failure, error: `${result.updated.length > 0 ? 'The ticket was updated, but the' : 'The'} note was not saved: ${failure.error}` });
+    }
+    result.note = { NoteId: added.body?.NoteId ?? null };
+  }
+  return finish({ status: 200, result });
+}
+
+// { ok, status, body, text, timedOut }, or { ok: false, status: 502, error } when Bloxs could not be reached
+async function sendWrite(env, token, fetcher, method, path, body) {
+  let response;
+  let text;
+  try {
+    response = await fetcher(`${env.BLOXS_BASE_URL}${path}`, {
+      method,
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json',
+        'Accept': 'application/json',
+        'Prefer': 'return=representation'
+      },
+      body: JSON.stringify(body)
+    });
+    text = await response.text();
+  } catch (error) {
+    return { ok: false, status: 502, error: `The request to Bloxs failed: ${error.message}` };
+  }
+  let parsed = null;
+  try {
+    parsed = text ? JSON.parse(text) : null;
+  } catch {
+    parsed = null;
+  }
+  return { ok: response.ok, status: response.status, body: parsed, text, timedOut: response.headers.has('X-Upstream-Timeout') };
+}
+
+// Bloxs' own message where it has one; upstream 5xx becomes 502 for the caller
+function upstreamFailure({ status, body, text, error, timedOut }) {
+  if (error) return { status, error };
+  if (timedOut) {
+    return { status: 504, error: 'Bloxs did not answer in time; the outcome is unknown, so check the ticket before trying again' };
+  }
+  const message = body?.error?.message || body?.message || (text ? text.slice(0, 300) : `status ${status}`);
+  return { status: status >= 500 ? 502 : status, error: `Bloxs rejected the change (${status}): ${message}` };
+}
@@ -0,0 +1,132 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { authenticateRequest, constantTimeEqual, hasScope } from '../src/auth.js';
+import { authenticateFeedToken, createFeedToken } from '../src/calendar.js';
+import { apiClients, revokedFeeds } from './fixtures/auth.js';
+
+// One env for the whole file: the client registry is cached per worker instance.
+const env = {
+  PROXY_API_KEY: 'legacy-key',
+  API_CLIENTS: JSON.stringify(apiClients),
+  CALENDAR_FEED_SECRET: 'feed-secret',
+  AUTH_KV: { get: async (key) => (key === 'calendar:revoked:v1' ? revokedFeeds : null) }
+};
+
+const request = (authorization) => new Request('https://proxy.example/odatafeed/Units', {
+  headers: authorization ? { Authorization: authorization } : {}
+});
+const authenticate = (authorization) => authenticateRequest(request(authorization), env);
+
+describe('authenticateRequest', () => {
+  it('rejects a missing or non-bearer Authorization header', async () => {
+    const missing = { error: 'Missing or invalid Authorization header', status: 401 };
+    assert.deepEqual(await authenticate(null), missing);
+    assert.deepEqual(await authenticate('Basic cGJpLWtleQ=='), missing);
+    assert.deepEqual(await authenticate('Bearer'), missing);
+  });
+
+  it('finds a client by its plain key', async () => {
+    const { client } = await authenticate('Bearer pbi-key');
+    assert.equal(client.name, 'powerbi');
+    assert.equal(client.kind, 'key');
+    assert.deepEqual(client.entities, new Set(['units', 'commercialoverview']));
+    assert.deepEqual(client.ownerIds, new Set([515]));
+  });
+
+  it('finds a client by the sha-256 of its key and normalizes its scopes', async () => {
+    const { client } = await authenticate('Bearer script-key');
+    assert.equal(client.name, 'scripts');
+    assert.deepEqual(client.entities, new Set(['*']));
+    assert.equal(hasScope(client, 'audit:read'), true);
+    assert.equal(hasScope(client, 'write'), true);
+  });
+
+  it('gives the PROXY_API_KEY client every entity set but only the cache:purge scope', async () => {
+    const { client } = await authenticate('Bearer legacy-key');
+    assert.equal(client.name, 'default');
+    assert.deepEqual(client.entities, new Set(['*']));
+    assert.equal(hasScope(client, 'Cache.Purge'), true);
+    assert.equal(hasScope(client, 'write'), false);
+    assert.equal(hasScope(client, 'audit:read'), false);
+  });
+
+  it('rejects unknown, disabled and shadowed keys', async () => {
+    const invalid = { error: 'Invalid API key', status: 401 };
+    assert.deepEqual(await authenticate('Bearer nope'), invalid);
+    assert.deepEqual(await authenticate('Bearer retired-key'), invalid);
+    assert.deepEqual(await authenticate('Bearer second-pbi-key'), invalid);
+  });
+
+  it('rejects an expired key by name', async () => {
+    assert.deepEqual(await authenticate('Bearer old-key'), { error: "API key for 'old' has expired", status: 401 });
+  });
+});
+
+describe('constantTimeEqual', () => {
+  it('compares byte arrays by value', () => {
+    assert.equal(constantTimeEqual(new Uint8Array([1, 2, 3]), new Uint8Array([1, 2, 3])), true);
+    assert.equal(constantTimeEqual(new Uint8Array([1, 2, 3]), new Uint8Array([1, 2, 4])), false);
+  });
+
+  it('is false for different lengths or missing values', () => {
+    assert.equal(constantTimeEqual(new Uint8Array([1, 2]), new Uint8Array([1, 2, 3])), false);
+    assert.equal(constantTimeEqual(null, new Uint8Array([1])), false);
+    assert.equal(constantTimeEqual(new Uint8Array(0), undefined), false);
+  });
+});
+
+describe('authenticateFeedToken', () => {
+  const issuedAt = Date.parse('2026-03-01T08:00:00Z');
+  const usedAt = new Date('2026-03-02T10:30:00Z');
+  const feedToken = (client, params = { ownerId: 515, months: 6 }, secretEnv = env) => createFeedToken(secretEnv, client, params, issuedAt);
+  const invalid = { error: 'Invalid calendar feed token', status: 401 };
+
+  it('restores the client and the fixed feed parameters', async () => {
+    const { client } = await authenticate('Bearer pbi-key');
+    const result = await authenticateFeedToken(await feedToken(client), env, usedAt);
+    assert.equal(result.client.name, 'powerbi');
+    assert.deepEqual(result.params, { ownerId: 515, asOf: new Date('2026-03-02T00:00:00Z'), months: 6 });
+  });
+
+  it('falls back to the default months for an out-of-range value', async () => {
+    const { client } = await authenticate('Bearer pbi-key');
+    const result = await authenticateFeedToken(await feedToken(client, { ownerId: null, months: 99 }), env, usedAt);
+    assert.deepEqual(result.params, { ownerId: null, asOf: new Date('2026-03-02T00:00:00Z'), months: 12 });
+  });
+
+  it('rejects malformed and tampered tokens', async () => {
+    const { client } = await authenticate('Bearer pbi-key');
+    const [body, signature] = (await feedToken(client)).split('.');
+    const otherBody = (await feedToken(client, { ownerId: 612, months: 6 })).split('.')[0];
+    const otherSecret = await feedToken(client, undefined, { CALENDAR_FEED_SECRET: 'other-secret' });
+
+    assert.deepEqual(await authenticateFeedToken('not-a-token', env, usedAt), invalid);
+    assert.deepEqual(await authenticateFeedToken(`${body}.${signature}.x`, env, usedAt), invalid);
+    assert.deepEqual(await authenticateFeedToken(`${otherBody}.${signature}`, env, usedAt), invalid);
+    assert.deepEqual(await authenticateFeedToken(otherSecret, env, usedAt), invalid);
+  });
+
+  it('rejects an expired token', async () => {
+    const { client } = await authenticate('Bearer pbi-key');
+    const result = await authenticateFeedToken(await feedToken(client), env, new Date('2027-03-02T00:00:00Z'));
+    assert.equal(result.status, 401);
+    assert.match(result.error, /has expired/);
+  });
+
+  it('rejects a token issued before its client was revoked', async () => {
+    const { client } = await authenticate('Bearer script-key');
+    assert.deepEqual(await authenticateFeedToken(await feedToken(client), env, usedAt), { error: 'Calendar feed token has been revoked', status: 401 });
+  });
+
+  it('rejects a token whose client is no longer registered or enabled', async () => {
+    const result = await authenticateFeedToken(await feedToken({ kind: 'key', name: 'retired' }), env, usedAt);
+    assert.deepEqual(result, { error: "API client 'retired' is not registered or disabled", status: 401 });
+  });
+
+  it('is refused without CALENDAR_FEED_SECRET', async () => {
+    const result = await authenticateFeedToken('a.b', {}, usedAt);
+    assert.equal(result.status, 401);
+    assert.match(result.error, /not enabled/);
+  });
+});
@@ -0,0 +1,15 @@
+// API client registry entries (API_CLIENTS) and revoked calendar feeds (AUTH_KV)
+
+export const apiClients = [
+  { name: 'powerbi', key: 'pbi-key', entities: ['Units', 'CommercialOverview'], ownerIds: [515] },
+  // sha-256 of 'script-key'
+  { name: 'scripts', keySha256: '9dd0de1937e128f7114d3bd52b36125ad9e71b2de8a2284e0e6c574a9f811376', scopes: ['Audit.Read', 'write'] },
+  { name: 'retired', key: 'retired-key', disabled: true },
+  { name: 'old', key: 'old-key', expiresAt: '2020-01-01T00:00:00Z' },
+  { name: 'powerbi', key: 'second-pbi-key' },
+  { name: 'no-key' }
+];
+
+export const revokedFeeds = {
+  scripts: '2026-03-15T00:00:00Z'
+};
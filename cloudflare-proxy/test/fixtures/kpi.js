@@ -0,0 +1,40 @@
+// Rows as the entity reader returns them for the KPI sources
+
+export const units = [
+  { UnitId: 1, OwnerId: 515, OccupationPercentage: 1 },
+  { UnitId: 2, OwnerId: 515, OccupationPercentage: 0 },
+  { UnitId: 3, OwnerId: 515, OccupationPercentage: 0.5 },
+  { UnitId: 4, OwnerId: 612, OccupationPercentage: 1 },
+  { UnitId: 5, OwnerId: 612, OccupationPercentage: null },
+  { UnitId: 6, OwnerId: 612, OccupationPercentage: '0' },
+  { UnitId: 7, OccupationPercentage: 1 }
+];
+
+export const debtors = [
+  { SalesInvoiceId: 10, OwnerId: 515, OutstandingAmount: 1200, Age: 45 },
+  { SalesInvoiceId: 11, OwnerId: 515, OutstandingAmount: 300.55, Age: 10 },
+  { SalesInvoiceId: 12, OwnerId: 612, OutstandingAmount: '499.45', Age: '31' },
+  { SalesInvoiceId: 13, OwnerId: 612, OutstandingAmount: 0, Age: 200 },
+  { SalesInvoiceId: 14, OwnerId: 612, OutstandingAmount: -50, Age: 90 },
+  { SalesInvoiceId: 15, OutstandingAmount: 100, Age: 30 },
+  { SalesInvoiceId: 16, OwnerId: 515, OutstandingAmount: 80 }
+];
+
+export const tickets = [
+  { ServiceTicketId: 1, OwnerId: 515, ReportingDate: '2025-05-20T09:00:00Z', ClosingDate: '2025-06-02T12:00:00Z' },
+  { ServiceTicketId: 2, OwnerId: 515, ReportingDate: '2025-06-01T00:00:00Z', ClosingDate: null },
+  { ServiceTicketId: 3, OwnerId: 612, ReportingDate: '2025-06-10T23:59:59Z', ClosingDate: null },
+  { ServiceTicketId: 4, OwnerId: 612, ReportingDate: '2025-04-01T08:00:00Z', ClosingDate: '2025-05-11T23:59:59Z' },
+  { ServiceTicketId: 5, ReportingDate: '2025-06-11T00:00:00Z', ClosingDate: null },
+  { ServiceTicketId: 6, OwnerId: 515, ReportingDate: null, ClosingDate: '2025-05-12T00:00:00Z' }
+];
+
+export const contracts = [
+  { SalesContractId: 21, Reference: 'HC-21', RelationName: 'Jansen', EndDate: '2025-08-31T00:00:00Z', IsEnded: false },
+  { SalesContractId: 20, Reference: 'HC-20', RelationName: 'De Vries', EndDate: '2025-08-31T00:00:00Z', IsEnded: false },
+  { SalesContractId: 22, Reference: 'HC-22', RelationName: 'Bakker', EndDate: '2025-06-10T00:00:00Z', IsEnded: false },
+  { SalesContractId: 23, Reference: 'HC-23', RelationName: 'Visser', EndDate: '2025-06-09T23:59:59Z', IsEnded: false },
+  { SalesContractId: 24, Reference: 'HC-24', RelationName: 'Smit', EndDate: '2025-09-08T00:00:00Z', IsEnded: false },
+  { SalesContractId: 25, Reference: 'HC-25', RelationName: 'Mulder', EndDate: '2025-07-01T00:00:00Z', IsEnded: true },
+  { SalesContractId: 26, Reference: 'HC-26', RelationName: 'Bos', EndDate: null, IsEnded: false }
+];
@@ -0,0 +1,24 @@
+// Policy document and rows for the row-level security checks
+
+export const policyDocument = {
+  default: { deny: { ownerNames: ['Wals Huren'] } },
+  principals: {
+    powerbi: { allow: { ownerIds: [515, 516] } },
+    'jan@example.com': { deny: { ownerIds: [12] } }
+  },
+  fields: { ownerId: ['OwnerId'], ownerName: ['OwnerName', 'Owner'] },
+  entityFields: { Owners: { ownerId: ['OwnerId'], ownerName: ['DisplayName'] } }
+};
+
+export const units = [
+  { UnitId: 1, DisplayName: 'Kade 1', OwnerId: 515, Owner: 'Havenfonds' },
+  { UnitId: 2, DisplayName: 'Kade 2', OwnerId: 612, Owner: 'Stadsbezit' },
+  { UnitId: 3, DisplayName: 'Kade 3', OwnerId: 516, Owner: 'wals huren ' },
+  { UnitId: 4, DisplayName: 'Kade 4', OwnerId: 12, Owner: 'Ijsselbouw' },
+  { UnitId: 5, DisplayName: 'Kade 5' }
+];
+
+export const persons = [
+  { RelationId: 30, DisplayName: 'Jansen' },
+  { RelationId: 31, DisplayName: 'De Vries', Contracts: [{ SalesContractId: 7, ParentOwnerName: 'Wals Huren' }] }
+];
@@ -0,0 +1,28 @@
+// Rows as the entity reader returns them for the tenant risk report (asOf 2025-06-15)
+
+export const debtors = [
+  { SalesInvoiceId: 1, RelationId: 100, RelationName: 'Jansen', OutstandingAmount: 1000, Age: 60 },
+  { SalesInvoiceId: 2, RelationId: 100, RelationName: 'Jansen', OutstandingAmount: 500, Age: 30 },
+  { SalesInvoiceId: 3, RelationId: 200, RelationName: 'De Vries', OutstandingAmount: 450, Age: 10 },
+  { SalesInvoiceId: 4, RelationId: 300, RelationName: 'Bakker', OutstandingAmount: 200 },
+  { SalesInvoiceId: 5, RelationId: 400, RelationName: 'Visser', OutstandingAmount: 0, Age: 90 },
+  { SalesInvoiceId: 6, RelationId: null, RelationName: 'Unknown', OutstandingAmount: 75, Age: 120 }
+];
+
+export const contracts = [
+  { SalesContractId: 10, Reference: 'HC-10', RelationId: 100, RelationName: 'Jansen', EndDate: '2025-09-15T00:00:00Z', InvoiceInterval: 'Month', IsEnded: false },
+  { SalesContractId: 20, Reference: 'HC-20', RelationId: 200, RelationName: 'De Vries', EndDate: null, InvoiceInterval: 'Quarter', IsEnded: false },
+  { SalesContractId: 40, Reference: 'HC-40', RelationId: 400, RelationName: 'Visser', EndDate: '2025-12-31T00:00:00Z', IsEnded: true },
+  { SalesContractId: 41, Reference: 'HC-41', RelationId: 400, RelationName: 'Visser', EndDate: '2025-06-14T00:00:00Z', IsEnded: false },
+  { SalesContractId: 50, Reference: 'HC-50', RelationId: 500, RelationName: 'Smit', EndDate: '2025-12-15T00:00:00Z', InvoiceInterval: 'Month', IsEnded: false }
+];
+
+export const lines = [
+  { SalesContractLineId: 101, SalesContractId: 10, AmountExcl: 750, StartDate: '2024-01-01T00:00:00Z', EndDate: null },
+  { SalesContractLineId: 102, SalesContractId: 10, AmountExcl: 3000, StartDate: '2024-01-01T00:00:00Z', EndDate: null, InvoiceInterval: 'Quarter' },
+  { SalesContractLineId: 103, SalesContractId: 10, AmountExcl: 400, StartDate: '2025-07-01T00:00:00Z', EndDate: null },
+  { SalesContractLineId: 104, SalesContractId: 10, AmountExcl: 900, StartDate: '2024-01-01T00:00:00Z', EndDate: '2025-05-31T00:00:00Z' },
+  { SalesContractLineId: 201, SalesContractId: 20, AmountExcl: 2700, StartDate: '2023-01-01T00:00:00Z', EndDate: null },
+  { SalesContractLineId: 401, SalesContractId: 40, AmountExcl: 5000, StartDate: '2023-01-01T00:00:00Z', EndDate: null },
+  { SalesContractLineId: 501, SalesContractId: 50, AmountExcl: 1000, StartDate: '2025-01-01T00:00:00Z', EndDate: null }
+];
@@ -0,0 +1,140 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import {
+  computeArrears,
+  computeContractRenewalRisk,
+  computeDebtorDaysOutstanding,
+  computeKpi,
+  computeMaintenanceVelocity,
+  computeVacancyRate
+} from '../src/kpi.js';
+import { contracts, debtors, tickets, units } from './fixtures/kpi.js';
+
+const asOf = new Date('2025-06-10T00:00:00Z');
+
+describe('computeVacancyRate', () => {
+  it('counts units below full occupation among units with a numeric OccupationPercentage', () => {
+    assert.deepEqual(computeVacancyRate(units), {
+      value: 0.4,
+      inputs: { totalUnits: 5, vacantUnits: 2, unitsWithoutOccupation: 2 }
+    });
+  });
+
+  it('is null without measured units', () => {
+    assert.deepEqual(computeVacancyRate([]), {
+      value: null,
+      inputs: { totalUnits: 0, vacantUnits: 0, unitsWithoutOccupation: 0 }
+    });
+    assert.equal(computeVacancyRate([{ UnitId: 1, OccupationPercentage: '0.5' }]).value, null);
+  });
+});
+
+describe('computeArrears', () => {
+  it('sums open amounts older than minAgeDays, including rows without an owner', () => {
+    assert.deepEqual(computeArrears(debtors, 30), {
+      value: 1699.45,
+      inputs: { openInvoices: 5, overdueInvoices: 2, totalOutstanding: 2180, arrearsShare: 0.7796 }
+    });
+  });
+
+  it('takes the age boundary as exclusive', () => {
+    assert.equal(computeArrears(debtors, 29).inputs.overdueInvoices, 3);
+    assert.equal(computeArrears(debtors, 29).value, 1799.45);
+  });
+
+  it('is zero without open invoices', () => {
+    assert.deepEqual(computeArrears([], 30), {
+      value: 0,
+      inputs: { openInvoices: 0, overdueInvoices: 0, totalOutstanding: 0, arrearsShare: null }
+    });
+  });
+});
+
+describe('computeMaintenanceVelocity', () => {
+  it('divides tickets closed by tickets reported in the window ending on asOf', () => {
+    assert.deepEqual(computeMaintenanceVelocity(tickets, asOf, 30), {
+      value: 0.6667,
+      inputs: { windowStart: '2025-05-12', windowEnd: '2025-06-11', reportedTickets: 3, closedTickets: 2 }
+    });
+  });
+
+  it('is null when no tickets were reported', () => {
+    assert.equal(computeMaintenanceVelocity([], asOf, 30).value, null);
+    assert.equal(computeMaintenanceVelocity([tickets[5]], asOf, 30).value, null);
+  });
+});
+
+describe('computeDebtorDaysOutstanding', () => {
+  it('averages the age of open invoices with a known age', () => {
+    assert.deepEqual(computeDebtorDaysOutstanding(debtors), {
+      value: 29,
+      inputs: { openInvoices: 4, oldestAge: 45 }
+    });
+  });
+
+  it('is null without open invoices', () => {
+    assert.deepEqual(computeDebtorDaysOutstanding([]), {
+      value: null,
+      inputs: { openInvoices: 0, oldestAge: null }
+    });
+  });
+});
+
+describe('computeContractRenewalRisk', () => {
+  it('lists running contracts ending in [asOf, asOf + days), by end date and id', () => {
+    const { value, inputs } = computeContractRenewalRisk(contracts, asOf, 90);
+    assert.equal(value, 3);
+    assert.equal(inputs.windowStart, '2025-06-10');
+    assert.equal(inputs.windowEnd, '2025-09-08');
+    assert.deepEqual(inputs.contracts.map((c) => c.SalesContractId), [22, 20, 21]);
+    assert.deepEqual(inputs.contracts[0], {
+      SalesContractId: 22,
+      Reference: 'HC-22',
+      RelationName: 'Bakker',
+      EndDate: '2025-06-10T00:00:00Z'
+    });
+  });
+
+  it('is zero without contracts', () => {
+    assert.equal(computeContractRenewalRisk([], asOf, 90).value, 0);
+  });
+});
+
+describe('computeKpi', () => {
+  const reader = (rowsByEntity, overrides = {}) => async (entity, { filter }) => ({
+    entity,
+    rows: rowsByEntity[entity],
+    complete: true,
+    withheld: 0,
+    filter,
+    ...overrides
+  });
+
+  it('computes from the reader rows and reports sources and threshold status', async () => {
+    const { result } = await computeKpi('vacancy-rate', { ownerId: 515, asOf }, reader({ Units: units }));
+    assert.equal(result.value, 0.4);
+    assert.equal(result.status, 'attention');
+    assert.equal(result.parameters.asOf, '2025-06-10');
+    assert.deepEqual(result.sources, [
+      { entity: 'Units', filter: 'OwnerId eq 515', rows: 7, rowsWithheld: 0, complete: true }
+    ]);
+    assert.equal(result.warning, undefined);
+  });
+
+  it('warns when a source is incomplete', async () => {
+    const params = { ownerId: null, asOf, minAgeDays: 30 };
+    const { result } = await computeKpi('arrears', params, reader({ OpenPositionDebtors: debtors }, { complete: false }));
+    assert.equal(result.value, 1699.45);
+    assert.equal(result.sources[0].filter, 'OutstandingAmount gt 0');
+    assert.match(result.warning, /partial data/);
+  });
+
+  it('passes a reader error through', async () => {
+    const failing = async () => ({ error: 'Bloxs is busy', status: 429 });
+    assert.deepEqual(await computeKpi('debtor-days-outstanding', { ownerId: null, asOf }, failing), {
+      error: 'Bloxs is busy',
+      status: 429
+    });
+  });
+});
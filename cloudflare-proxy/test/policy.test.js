@@ -0,0 +1,169 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import {
+  applyRowPolicy,
+  buildOwnerFilter,
+  getOwnerFields,
+  isRowWithheld,
+  resolvePolicy,
+  widenSelectForPolicy
+} from '../src/policy.js';
+import { projectResponseBody } from '../src/projection.js';
+import { getBundledCatalogue, getEntitySchema } from '../src/schema.js';
+import { persons, policyDocument, units } from './fixtures/policy.js';
+
+const catalogue = getBundledCatalogue();
+const schemaOf = (name) => getEntitySchema(catalogue, name);
+
+const defaultPolicy = resolvePolicy(policyDocument, { name: 'scripts' });
+const powerbiPolicy = resolvePolicy(policyDocument, { name: 'powerbi' });
+const janPolicy = resolvePolicy(policyDocument, { name: 'Jan@Example.com', kind: 'user', identity: { upn: 'Jan@Example.com' } });
+const restrictedPolicy = resolvePolicy(policyDocument, { name: 'r', ownerIds: new Set([612]) });
+
+const unitFields = getOwnerFields(defaultPolicy, 'Units', schemaOf('Units'));
+const personFields = getOwnerFields(defaultPolicy, 'Persons', schemaOf('Persons'));
+
+const withheldIds = (policy, options) => units.filter((row) => isRowWithheld(row, policy, unitFields, options)).map((row) => row.UnitId);
+
+describe('getOwnerFields', () => {
+  it('keeps the configured owner fields the entity set has', () => {
+    assert.deepEqual(unitFields, { ownerId: ['OwnerId'], ownerName: ['Owner'] });
+    assert.deepEqual(personFields, { ownerId: [], ownerName: [] });
+  });
+
+  it('applies entityFields overrides by entity set name, in any casing', () => {
+    assert.deepEqual(getOwnerFields(defaultPolicy, 'owners', schemaOf('owners')), { ownerId: ['OwnerId'], ownerName: ['DisplayName'] });
+  });
+
+  it('has no owner fields for an entity set outside the catalogue', () => {
+    assert.deepEqual(getOwnerFields(restrictedPolicy, 'Gadgets', null), { ownerId: [], ownerName: [] });
+  });
+});
+
+describe('buildOwnerFilter', () => {
+  it('turns deny lists into ne clauses, names compared in lower case', () => {
+    assert.equal(buildOwnerFilter(defaultPolicy, unitFields), "tolower(Owner) ne 'wals huren'");
+    assert.equal(buildOwnerFilter(janPolicy, unitFields), "OwnerId ne 12 and tolower(Owner) ne 'wals huren'");
+  });
+
+  it('ORs the ids of one allow list', () => {
+    assert.equal(
+      buildOwnerFilter(powerbiPolicy, unitFields),
+      "tolower(Owner) ne 'wals huren' and (OwnerId eq 515 or OwnerId eq 516)"
+    );
+    assert.equal(buildOwnerFilter(restrictedPolicy, unitFields), "tolower(Owner) ne 'wals huren' and OwnerId eq 612");
+  });
+
+  it('escapes quotes in owner names', () => {
+    const policy = resolvePolicy({ default: { deny: { ownerNames: ["O'Neill Vastgoed"] } } }, null);
+    assert.equal(buildOwnerFilter(policy, unitFields), "tolower(Owner) ne 'o''neill vastgoed'");
+  });
+
+  it('is null without owner fields', () => {
+    assert.equal(buildOwnerFilter(restrictedPolicy, personFields), null);
+  });
+});
+
+describe('isRowWithheld', () => {
+  it('withholds deny-listed owner ids and names', () => {
+    assert.deepEqual(withheldIds(defaultPolicy), [3]);
+    assert.deepEqual(withheldIds(janPolicy), [3, 4]);
+  });
+
+  it('withholds rows outside an allow list', () => {
+    assert.deepEqual(withheldIds(powerbiPolicy), [2, 3, 4]);
+    assert.deepEqual(withheldIds(restrictedPolicy), [1, 3, 4]);
+  });
+
+  it('withholds a row without an owner value from an owner-restricted client only with requireOwner', () => {
+    assert.deepEqual(withheldIds(restrictedPolicy, { requireOwner: true }), [1, 3, 4, 5]);
+    assert.deepEqual(withheldIds(defaultPolicy, { requireOwner: true }), [3]);
+    assert.equal(isRowWithheld(persons[0], restrictedPolicy, personFields, { requireOwner: true }), false);
+  });
+
+  it('walks every value for deny-listed names when the entity set has no owner name field', () => {
+    assert.equal(isRowWithheld(persons[0], defaultPolicy, personFields), false);
+    assert.equal(isRowWithheld(persons[1], defaultPolicy, personFields), true);
+  });
+
+  it('ignores values that are not rows', () => {
+    assert.equal(isRowWithheld(null, restrictedPolicy, unitFields, { requireOwner: true }), false);
+    assert.equal(isRowWithheld([units[1]], restrictedPolicy, unitFields, { requireOwner: true }), false);
+  });
+});
+
+describe('applyRowPolicy', () => {
+  const collection = JSON.stringify({ '@odata.context': 'x', value: units });
+
+  it('filters a collection and counts the withheld rows', () => {
+    const result = applyRowPolicy(collection, powerbiPolicy, unitFields);
+    assert.equal(result.withheld, 3);
+    assert.equal(result.rows, 2);
+    assert.equal(result.notFound, false);
+    assert.deepEqual(JSON.parse(result.body).value.map((row) => row.UnitId), [1, 5]);
+    assert.equal(JSON.parse(result.body)['@odata.context'], 'x');
+  });
+
+  it('passes options to the row check', () => {
+    const result = applyRowPolicy(collection, powerbiPolicy, unitFields, { requireOwner: true });
+    assert.deepEqual(JSON.parse(result.body).value.map((row) => row.UnitId), [1]);
+  });
+
+  it('returns the body unchanged when nothing is withheld', () => {
+    const body = JSON.stringify({ value: units.slice(0, 2) });
+    assert.deepEqual(applyRowPolicy(body, defaultPolicy, unitFields), { body, withheld: 0, notFound: false, rows: 2 });
+  });
+
+  it('reports a withheld single entity as not found', () => {
+    assert.deepEqual(applyRowPolicy(JSON.stringify(units[1]), powerbiPolicy, unitFields), { body: null, withheld: 1, notFound: true, rows: 0 });
+    assert.equal(applyRowPolicy(JSON.stringify(units[0]), powerbiPolicy, unitFields).rows, 1);
+  });
+
+  it('leaves bodies that are not OData JSON alone', () => {
+    assert.deepEqual(applyRowPolicy('<xml/>', powerbiPolicy, unitFields), { body: '<xml/>', withheld: 0, notFound: false, rows: null });
+  });
+});
+
+describe('widenSelectForPolicy', () => {
+  it('adds the owner fields to a narrow $select and keeps the requested ones', () => {
+    const { search, keep } = widenSelectForPolicy('?$select=UnitId,DisplayName', restrictedPolicy, unitFields);
+    assert.equal(new URLSearchParams(search).get('$select'), 'UnitId,DisplayName,OwnerId,Owner');
+    assert.deepEqual(keep, new Set(['UnitId', 'DisplayName']));
+  });
+
+  it('drops $select when every value is walked, keeping selected and expanded fields', () => {
+    const { search, keep } = widenSelectForPolicy('?$select=RelationId&$expand=Contracts($select=Reference)', defaultPolicy, personFields);
+    const params = new URLSearchParams(search);
+    assert.equal(params.has('$select'), false);
+    assert.equal(params.get('$expand'), 'Contracts($select=Reference)');
+    assert.deepEqual(keep, new Set(['RelationId', 'Contracts']));
+  });
+
+  it('leaves the query alone when nothing needs widening', () => {
+    const unrestricted = resolvePolicy({}, null);
+    assert.deepEqual(widenSelectForPolicy('?$select=UnitId', unrestricted, unitFields), { search: '?$select=UnitId', keep: null });
+    assert.deepEqual(widenSelectForPolicy('?$select=UnitId,OwnerId,Owner', restrictedPolicy, unitFields), { search: '?$select=UnitId,OwnerId,Owner', keep: null });
+    assert.deepEqual(widenSelectForPolicy('?$top=5', restrictedPolicy, unitFields), { search: '?$top=5', keep: null });
+  });
+});
+
+describe('key request with a narrow $select', () => {
+  const { keep } = widenSelectForPolicy('?$select=UnitId,DisplayName', restrictedPolicy, unitFields);
+
+  it('withholds another owner\'s entity once the owner fields are selected', () => {
+    const upstream = JSON.stringify({ UnitId: 1, DisplayName: 'Kade 1', OwnerId: 515, Owner: 'Havenfonds' });
+    assert.equal(applyRowPolicy(upstream, restrictedPolicy, unitFields, { requireOwner: true }).notFound, true);
+  });
+
+  it('withholds an entity that comes back without owner fields', () => {
+    const upstream = JSON.stringify({ UnitId: 1, DisplayName: 'Kade 1' });
+    assert.equal(applyRowPolicy(upstream, restrictedPolicy, unitFields, { requireOwner: true }).notFound, true);
+  });
+
+  it('projects a permitted entity back to the requested fields', () => {
+    const upstream = JSON.stringify({ '@odata.context': 'x', ...units[1] });
+    const { body } = applyRowPolicy(upstream, restrictedPolicy, unitFields, { requireOwner: true });
+    assert.deepEqual(JSON.parse(projectResponseBody(body, keep)), { '@odata.context': 'x', UnitId: 2, DisplayName: 'Kade 2' });
+  });
+});
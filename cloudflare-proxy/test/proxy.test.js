@@ -0,0 +1,78 @@
+import assert from 'node:assert/strict';
+import { after, before, beforeEach, describe, it } from 'node:test';
+
+import worker from '../src/index.js';
+
+// Owner-restricted API clients; the catalogue is the bundled metadata.xml.
+const env = {
+  BLOXS_BASE_URL: 'https://bloxs.example',
+  BLOXS_API_KEY: 'bloxs-key',
+  BLOXS_API_SECRET: 'bloxs-secret',
+  SCHEMA_SOURCE: 'bundled',
+  API_CLIENTS: JSON.stringify([
+    { name: 'owner-612', key: 'k612', entities: ['Units', 'Gadgets'], ownerIds: [612] },
+    { name: 'owner-612-all', key: 'k612-all', entities: ['*'], ownerIds: [612] }
+  ])
+};
+const ctx = { waitUntil() {} };
+
+// Upstream Bloxs: the token endpoint, and Units(1) owned by 515 (its owner fields only when selected)
+const upstreamCalls = [];
+const originalFetch = globalThis.fetch;
+
+function bloxs(input) {
+  const raw = typeof input === 'string' ? input : input.url;
+  const url = decodeURIComponent(raw);
+  upstreamCalls.push(url);
+  if (url.endsWith('/Authorization')) {
+    return Response.json({ token: 'bloxs-jwt', expiration: '01/10/2099 16:42:26' });
+  }
+  if (url.includes('/odatafeed/Units(1)')) {
+    const selected = new URL(raw).searchParams.get('$select');
+    const owner = !selected || selected.includes('OwnerId') ? { OwnerId: 515, Owner: 'Havenfonds' } : {};
+    return Response.json({ '@odata.context': 'x', UnitId: 1, DisplayName: 'Kade 1', ...owner });
+  }
+  return Response.json({ value: [] });
+}
+
+const get = (path, key) => worker.fetch(
+  new Request(`https://proxy.example${path}`, { headers: { Authorization: `Bearer ${key}` } }),
+  env,
+  ctx
+);
+const odataCalls = () => upstreamCalls.filter((url) => url.includes('/odatafeed/'));
+
+before(() => {
+  globalThis.fetch = async (input) => bloxs(input);
+});
+after(() => {
+  globalThis.fetch = originalFetch;
+});
+beforeEach(() => {
+  upstreamCalls.length = 0;
+});
+
+describe('key request with a narrow $select', () => {
+  it('selects the owner fields upstream and answers 404 for another owner\'s entity', async () => {
+    const response = await get('/odatafeed/Units(1)?$select=UnitId,DisplayName', 'k612');
+    assert.equal(response.status, 404);
+    assert.equal(response.headers.get('X-Rows-Withheld'), '1');
+    assert.equal(odataCalls().length, 1);
+    assert.match(odataCalls()[0], /\$select=UnitId,DisplayName,OwnerId,Owner/);
+  });
+});
+
+describe('entity set outside the catalogue', () => {
+  it('is refused for an owner-restricted client that lists it explicitly', async () => {
+    const response = await get('/odatafeed/Gadgets', 'k612');
+    assert.equal(response.status, 403);
+    assert.match((await response.json()).error, /not in the catalogue/);
+    assert.deepEqual(odataCalls(), []);
+  });
+
+  it('is refused for an owner-restricted client with every entity set', async () => {
+    const response = await get('/odatafeed/Gadgets', 'k612-all');
+    assert.equal(response.status, 403);
+    assert.deepEqual(odataCalls(), []);
+  });
+});
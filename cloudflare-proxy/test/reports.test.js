@@ -0,0 +1,175 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import {
+  DEFAULT_TENANT_RISK_WEIGHTS,
+  computeReport,
+  computeTenantRiskScores,
+  getTenantRiskWeights
+} from '../src/reports.js';
+import { contracts, debtors, lines } from './fixtures/reports.js';
+
+const asOf = new Date('2025-06-15T00:00:00Z');
+
+const scoreAll = (weights = DEFAULT_TENANT_RISK_WEIGHTS) => computeTenantRiskScores(debtors, contracts, lines, asOf, weights);
+const byId = (tenants, id) => tenants.find((t) => t.RelationId === id);
+
+describe('computeTenantRiskScores', () => {
+  it('scores tenants highest first, ties by RelationId', () => {
+    assert.deepEqual(scoreAll().map((t) => [t.RelationId, t.score]), [
+      [100, 3.36],
+      [200, 0.83],
+      [300, 0],
+      [500, 0]
+    ]);
+  });
+
+  it('pins the payment age, arrears and expiry terms', () => {
+    assert.deepEqual(byId(scoreAll(), 100), {
+      RelationId: 100,
+      RelationName: 'Jansen',
+      score: 3.36,
+      components: { paymentAge: 1.5, arrears: 0.8571, expiry: 1 },
+      inputs: {
+        averagePaymentAge: 45,
+        outstandingAmount: 1500,
+        openInvoices: 2,
+        monthlyRent: 1750,
+        monthsToExpiry: 3,
+        contracts: ['HC-10']
+      }
+    });
+  });
+
+  it('uses the contract invoice interval when a line has none, and no expiry without an EndDate', () => {
+    const tenant = byId(scoreAll(), 200);
+    assert.deepEqual(tenant.components, { paymentAge: 0.3333, arrears: 0.5, expiry: 0 });
+    assert.equal(tenant.inputs.monthlyRent, 900);
+    assert.equal(tenant.inputs.monthsToExpiry, null);
+  });
+
+  it('leaves arrears out of the score for a tenant without rent lines', () => {
+    const tenant = byId(scoreAll(), 300);
+    assert.deepEqual(tenant.components, { paymentAge: 0, arrears: null, expiry: 0 });
+    assert.equal(tenant.inputs.monthlyRent, null);
+    assert.deepEqual(tenant.inputs.contracts, []);
+  });
+
+  it('counts expiry only strictly within expiryWithinMonths', () => {
+    const tenant = byId(scoreAll(), 500);
+    assert.equal(tenant.inputs.monthsToExpiry, 6);
+    assert.deepEqual(tenant.components, { paymentAge: 0, arrears: 0, expiry: 0 });
+  });
+
+  it('skips ended contracts, contracts ended before asOf, empty positions and rows without a RelationId', () => {
+    const tenants = scoreAll();
+    assert.equal(byId(tenants, 400), undefined);
+    assert.equal(byId(tenants, null), undefined);
+  });
+
+  it('applies custom weights', () => {
+    const weights = { paymentAge: 2, arrears: 0, expiry: 3, expiryWithinMonths: 7 };
+    assert.deepEqual(scoreAll(weights).map((t) => [t.RelationId, t.score]), [
+      [100, 6],
+      [500, 3],
+      [200, 0.67],
+      [300, 0]
+    ]);
+  });
+
+  it('is empty without input rows', () => {
+    assert.deepEqual(computeTenantRiskScores([], [], [], asOf, DEFAULT_TENANT_RISK_WEIGHTS), []);
+  });
+});
+
+describe('getTenantRiskWeights', () => {
+  it('defaults without TENANT_RISK_WEIGHTS', () => {
+    assert.deepEqual(getTenantRiskWeights({}), DEFAULT_TENANT_RISK_WEIGHTS);
+  });
+
+  it('overrides the weights that are given', () => {
+    assert.deepEqual(getTenantRiskWeights({ TENANT_RISK_WEIGHTS: '{"arrears": 2.5, "expiryWithinMonths": 3}' }), {
+      paymentAge: 1,
+      arrears: 2.5,
+      expiry: 1,
+      expiryWithinMonths: 3
+    });
+  });
+
+  it('ignores negative, non-numeric and unknown weights, and invalid JSON', () => {
+    assert.deepEqual(getTenantRiskWeights({ TENANT_RISK_WEIGHTS: { paymentAge: -1, arrears: 'high', risk: 5 } }), DEFAULT_TENANT_RISK_WEIGHTS);
+    assert.deepEqual(getTenantRiskWeights({ TENANT_RISK_WEIGHTS: '{not json' }), DEFAULT_TENANT_RISK_WEIGHTS);
+  });
+
+  it('feeds the score', () => {
+    const weights = getTenantRiskWeights({ TENANT_RISK_WEIGHTS: '{"paymentAge": 0, "arrears": 0}' });
+    assert.equal(byId(scoreAll(weights), 100).score, 1);
+  });
+});
+
+describe('noi report (source=ledger)', () => {
+  const params = { year: 2025, ownerId: null, source: 'ledger', ledgerMapping: { income: { codes: ['8'] }, opex: { codes: ['4'] } } };
+  const accounts = [
+    { LedgerAccountId: 1, Code: '8000', Name: 'Huur' },
+    { LedgerAccountId: 2, Code: '4000', Name: 'Onderhoud' }
+  ];
+  const reader = (complete = () => true) => {
+    const filters = [];
+    const read = async (entity, { filter }) => {
+      filters.push(filter);
+      const period = /FinancialPeriod eq (\d+)/.exec(filter || '')?.[1];
+      const rows = entity === 'LedgerAccounts'
+        ? accounts
+        : period ? [{ LedgerAccountId: 1, RealEstateObjectId: 7, Debit: 0, Credit: 100 }] : [{ LedgerAccountId: 2, RealEstateObjectId: 7, Debit: 50, Credit: 0 }];
+      return { entity, rows, complete: entity === 'LedgerAccounts' || complete(filter), withheld: 0, filter };
+    };
+    return { read, filters };
+  };
+
+  it('reads FinancialMutations per financial period', async () => {
+    const { read, filters } = reader();
+    const { result } = await computeReport('noi', params, read);
+    const mutationFilters = filters.filter((f) => f?.includes('FinancialYear'));
+    assert.equal(mutationFilters.length, 13);
+    assert.equal(mutationFilters[0], '(FinancialYear eq 2025) and FinancialPeriod eq 1');
+    assert.equal(mutationFilters[12], '(FinancialYear eq 2025) and (FinancialPeriod lt 1 or FinancialPeriod gt 12)');
+    assert.deepEqual(result.sources.find((s) => s.entity === 'FinancialMutations'), {
+      entity: 'FinancialMutations', rows: 13, rowsWithheld: 0, requests: 13, complete: true
+    });
+    assert.equal(result.warning, undefined);
+  });
+
+  it('refuses a partial NOI', async () => {
+    const { read } = reader((filter) => !filter.includes('FinancialPeriod eq 12'));
+    const { error, status } = await computeReport('noi', params, read);
+    assert.equal(status, 422);
+    assert.match(error, /Not all FinancialMutations of 2025 .* pass ownerId/);
+  });
+});
+
+describe('noi report (source=invoices)', () => {
+  const params = { year: 2025, ownerId: null, source: 'invoices', ledgerMapping: { income: { codes: ['8'] }, opex: { codes: ['4'] } } };
+
+  it('reads the lines of more than 1000 invoices as one id range', async () => {
+    const filters = [];
+    const read = async (entity, { filter }) => {
+      filters.push([entity, filter]);
+      const rows = {
+        LedgerAccounts: [{ LedgerAccountId: 1, Code: '8000', Name: 'Huur' }],
+        SalesInvoices: Array.from({ length: 1200 }, (_, i) => ({ SalesInvoiceId: 5000 + i })),
+        PurchaseInvoices: [],
+        SalesInvoiceLines: [
+          { SalesInvoiceId: 5000, LedgerAccountId: 1, RealEstateObjectId: 7, AmountExcl: 100 },
+          { SalesInvoiceId: 6199, LedgerAccountId: 1, RealEstateObjectId: 7, AmountExcl: 50 }
+        ]
+      }[entity];
+      return { entity, rows, complete: true, withheld: 0, filter };
+    };
+    const { result, error } = await computeReport('noi', params, read);
+    assert.equal(error, undefined);
+    assert.deepEqual(filters.find(([entity]) => entity === 'SalesInvoiceLines'), [
+      'SalesInvoiceLines', 'SalesInvoiceId ge 5000 and SalesInvoiceId le 6199'
+    ]);
+    assert.equal(result.sources.find((s) => s.entity === 'SalesInvoiceLines').rows, 2);
+  });
+});
@@ -0,0 +1,5 @@
+// Load .xml imports as text, like the [[rules]] type = "Text" entry in wrangler.toml,
+// and .json imports without an import attribute, as wrangler does
+import { register } from 'node:module';
+
+register('./text-modules.js', import.meta.url);
@@ -0,0 +1,15 @@
+import { readFile } from 'node:fs/promises';
+
+// .xml as a text default export ([[rules]] type = "Text"); .json without an import
+// attribute, as wrangler's bundler accepts it (the adaptive cards in appPackage/)
+export async function load(url, context, nextLoad) {
+  if (url.endsWith('.xml')) {
+    const text = await readFile(new URL(url), 'utf8');
+    return { format: 'module', source: `export default ${JSON.stringify(text)};`, shortCircuit: true };
+  }
+  if (url.endsWith('.json') && !context.importAttributes?.type) {
+    const text = await readFile(new URL(url), 'utf8');
+    return { format: 'module', source: `export default ${text};`, shortCircuit: true };
+  }
+  return nextLoad(url, context);
+}